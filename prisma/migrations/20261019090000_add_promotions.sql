@@ -0,0 +1,27 @@
+-- Database-backed promotions (replaces PROMO_TOYS_RATE / PROMO_TOYS_END_ISO env config)
+CREATE TABLE IF NOT EXISTS public.promotion (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  name TEXT NOT NULL,
+  description TEXT,
+  discount_type TEXT NOT NULL CHECK (discount_type IN ('percent', 'fixed')),
+  amount NUMERIC NOT NULL CHECK (amount > 0),
+  starts_at TIMESTAMPTZ,
+  ends_at TIMESTAMPTZ,
+  brand_segments TEXT[] NOT NULL DEFAULT '{}',
+  category_slugs TEXT[] NOT NULL DEFAULT '{}',
+  product_ids TEXT[] NOT NULL DEFAULT '{}',
+  min_subtotal NUMERIC NOT NULL DEFAULT 0,
+  priority INTEGER NOT NULL DEFAULT 0,
+  stackable BOOLEAN NOT NULL DEFAULT false,
+  combinable_with_codes BOOLEAN NOT NULL DEFAULT false,
+  active BOOLEAN NOT NULL DEFAULT true,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS promotion_active_window_idx ON public.promotion (active, starts_at, ends_at);
+
+-- Carry over the previous hard-coded auto toys promo (10% off toys until 2025-11-01)
+INSERT INTO public.promotion (name, discount_type, amount, ends_at, brand_segments, priority)
+SELECT 'Auto Toys Promo', 'percent', 10, '2025-11-01T00:00:00Z', ARRAY['toys'], 0
+WHERE NOT EXISTS (SELECT 1 FROM public.promotion WHERE name = 'Auto Toys Promo');
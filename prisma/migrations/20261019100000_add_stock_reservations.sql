@@ -0,0 +1,56 @@
+-- Short-lived stock holds for open Stripe Checkout sessions
+CREATE TABLE IF NOT EXISTS public.stock_reservation (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  hold_id UUID NOT NULL,
+  product_id TEXT NOT NULL,
+  quantity INTEGER NOT NULL CHECK (quantity > 0),
+  status TEXT NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'released', 'converted')),
+  stripe_session_id TEXT,
+  order_id TEXT,
+  expires_at TIMESTAMPTZ NOT NULL,
+  released_at TIMESTAMPTZ,
+  converted_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS stock_reservation_product_active_idx
+  ON public.stock_reservation (product_id, expires_at) WHERE status = 'active';
+CREATE INDEX IF NOT EXISTS stock_reservation_hold_idx ON public.stock_reservation (hold_id);
+CREATE INDEX IF NOT EXISTS stock_reservation_session_idx ON public.stock_reservation (stripe_session_id);
+
+-- Atomic reserve: locks each product row, checks on-hand minus active holds, inserts the hold.
+-- p_items: [{ "product_id": "...", "quantity": 2 }, ...]. Raises 'Insufficient stock ...' on shortfall
+-- (the whole call rolls back, so a cart is either fully held or not at all).
+CREATE OR REPLACE FUNCTION public.reserve_product_stock(p_hold_id UUID, p_items JSONB, p_expires_at TIMESTAMPTZ)
+RETURNS VOID
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  it JSONB;
+  v_pid TEXT;
+  v_need INTEGER;
+  v_on_hand INTEGER;
+  v_reserved INTEGER;
+BEGIN
+  FOR it IN SELECT * FROM jsonb_array_elements(p_items) LOOP
+    v_pid := it->>'product_id';
+    v_need := (it->>'quantity')::INTEGER;
+
+    SELECT quantity INTO v_on_hand FROM public.product WHERE id::TEXT = v_pid FOR UPDATE;
+    IF NOT FOUND THEN
+      RAISE EXCEPTION 'Product % not found', v_pid;
+    END IF;
+
+    SELECT COALESCE(SUM(quantity), 0) INTO v_reserved
+      FROM public.stock_reservation
+      WHERE product_id = v_pid AND status = 'active' AND expires_at > now();
+
+    IF COALESCE(v_on_hand, 0) - v_reserved < v_need THEN
+      RAISE EXCEPTION 'Insufficient stock for product %', v_pid;
+    END IF;
+
+    INSERT INTO public.stock_reservation (hold_id, product_id, quantity, expires_at)
+      VALUES (p_hold_id, v_pid, v_need, p_expires_at);
+  END LOOP;
+END;
+$$;
@@ -0,0 +1,16 @@
+-- Refund, dispute and payment-outcome tracking for Stripe orders (idempotent)
+ALTER TABLE public."order"
+  ADD COLUMN IF NOT EXISTS refund_amount numeric,
+  ADD COLUMN IF NOT EXISTS refund_status text,
+  ADD COLUMN IF NOT EXISTS refunded_at timestamptz,
+  ADD COLUMN IF NOT EXISTS restocked_at timestamptz,
+  ADD COLUMN IF NOT EXISTS dispute_id text,
+  ADD COLUMN IF NOT EXISTS dispute_status text,
+  ADD COLUMN IF NOT EXISTS dispute_reason text,
+  ADD COLUMN IF NOT EXISTS dispute_amount numeric,
+  ADD COLUMN IF NOT EXISTS disputed_at timestamptz,
+  ADD COLUMN IF NOT EXISTS dispute_closed_at timestamptz,
+  ADD COLUMN IF NOT EXISTS stripe_payment_status text,
+  ADD COLUMN IF NOT EXISTS payment_failed_at timestamptz;
+
+CREATE INDEX IF NOT EXISTS order_stripe_payment_intent_idx ON public."order" (stripe_payment_intent_id);
@@ -0,0 +1,25 @@
+-- Persistent log of incoming webhook events with processing outcome (idempotent)
+CREATE TABLE IF NOT EXISTS public.webhook_event (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  provider text NOT NULL DEFAULT 'stripe',
+  event_id text,
+  type text NOT NULL,
+  payload jsonb NOT NULL,
+  status text NOT NULL DEFAULT 'received', -- received | processing | processed | ignored | failed
+  error text,
+  result jsonb,
+  attempts integer NOT NULL DEFAULT 0,
+  last_attempt_at timestamptz,
+  processed_at timestamptz,
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS webhook_event_provider_event_id_key ON public.webhook_event (provider, event_id);
+CREATE INDEX IF NOT EXISTS webhook_event_status_idx ON public.webhook_event (status, created_at DESC);
+
+-- Per-line stock decrement marker so replaying a checkout event never decrements twice
+ALTER TABLE public.order_item
+  ADD COLUMN IF NOT EXISTS stock_decremented_at timestamptz;
+
+-- Existing lines were handled by the old flow; treat them as done
+UPDATE public.order_item SET stock_decremented_at = now() WHERE stock_decremented_at IS NULL;
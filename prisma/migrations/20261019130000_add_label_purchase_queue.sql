@@ -0,0 +1,11 @@
+-- Shippo label purchase queue state, tracked per order (idempotent)
+ALTER TABLE public."order"
+  ADD COLUMN IF NOT EXISTS label_status text, -- queued | purchasing | retrying | purchased | failed
+  ADD COLUMN IF NOT EXISTS label_attempt_count integer NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS label_attempts jsonb NOT NULL DEFAULT '[]'::jsonb,
+  ADD COLUMN IF NOT EXISTS label_last_error text,
+  ADD COLUMN IF NOT EXISTS label_next_attempt_at timestamptz,
+  ADD COLUMN IF NOT EXISTS label_purchased_at timestamptz;
+
+CREATE INDEX IF NOT EXISTS order_label_queue_idx ON public."order" (label_status, label_next_attempt_at)
+  WHERE label_status IN ('queued', 'retrying', 'purchasing');
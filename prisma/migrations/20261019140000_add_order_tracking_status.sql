@@ -0,0 +1,9 @@
+-- Carrier tracking state pushed by the Shippo track_updated webhook (idempotent)
+ALTER TABLE public."order"
+  ADD COLUMN IF NOT EXISTS tracking_status text, -- pre_transit | in_transit | out_for_delivery | delivered | exception
+  ADD COLUMN IF NOT EXISTS tracking_status_at timestamptz,
+  ADD COLUMN IF NOT EXISTS tracking_history jsonb NOT NULL DEFAULT '[]'::jsonb,
+  ADD COLUMN IF NOT EXISTS delivered_at timestamptz;
+
+CREATE INDEX IF NOT EXISTS order_tracking_code_idx ON public."order" (tracking_code);
+CREATE INDEX IF NOT EXISTS order_shippo_transaction_idx ON public."order" (shippo_transaction_id);
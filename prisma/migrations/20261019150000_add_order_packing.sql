@@ -0,0 +1,3 @@
+-- Box assignment for shipped orders: [{ parcel, box, dimensions_in, items: [{ id, quantity }], ... }]
+ALTER TABLE public."order"
+  ADD COLUMN IF NOT EXISTS packing jsonb;
@@ -0,0 +1,3 @@
+-- State/province on saved profile addresses (needed to validate US/CA addresses)
+ALTER TABLE public."user"
+  ADD COLUMN IF NOT EXISTS state text;
@@ -0,0 +1,6 @@
+-- Customs data for international shipments (idempotent)
+ALTER TABLE public.product
+  ADD COLUMN IF NOT EXISTS hs_code text,              -- Harmonized System code, digits only
+  ADD COLUMN IF NOT EXISTS origin_country text,       -- 2-letter country of manufacture
+  ADD COLUMN IF NOT EXISTS customs_value numeric,     -- declared unit value in USD; falls back to price
+  ADD COLUMN IF NOT EXISTS customs_description text;  -- declared contents; falls back to title
@@ -0,0 +1,47 @@
+-- Return merchandise authorizations (RMA): customer requests, admin review, return label, refund (idempotent)
+CREATE TABLE IF NOT EXISTS public.return_request (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  order_id TEXT NOT NULL,
+  user_id TEXT,
+  email TEXT,
+  status TEXT NOT NULL DEFAULT 'requested'
+    CHECK (status IN ('requested', 'approved', 'denied', 'received', 'refunded')),
+  reason TEXT NOT NULL,
+  customer_note TEXT,
+  photos JSONB NOT NULL DEFAULT '[]'::jsonb,     -- storage paths in the orders bucket
+  admin_note TEXT,
+  denial_reason TEXT,
+  return_label_url TEXT,
+  return_tracking_code TEXT,
+  return_tracking_url TEXT,
+  return_carrier TEXT,
+  return_service TEXT,
+  return_label_cost NUMERIC,
+  shippo_return_transaction_id TEXT,
+  refund_amount NUMERIC,
+  refund_method TEXT,                             -- stripe | manual
+  stripe_refund_id TEXT,
+  approved_at TIMESTAMPTZ,
+  denied_at TIMESTAMPTZ,
+  received_at TIMESTAMPTZ,
+  refunded_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS return_request_order_idx ON public.return_request (order_id);
+CREATE INDEX IF NOT EXISTS return_request_status_idx ON public.return_request (status, created_at DESC);
+CREATE INDEX IF NOT EXISTS return_request_user_idx ON public.return_request (user_id);
+
+CREATE TABLE IF NOT EXISTS public.return_request_item (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  return_request_id UUID NOT NULL REFERENCES public.return_request (id) ON DELETE CASCADE,
+  order_item_id TEXT NOT NULL,
+  product_id TEXT,
+  quantity INTEGER NOT NULL CHECK (quantity > 0),
+  unit_price NUMERIC,
+  restocked_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS return_request_item_request_idx ON public.return_request_item (return_request_id);
+CREATE INDEX IF NOT EXISTS return_request_item_order_item_idx ON public.return_request_item (order_item_id);
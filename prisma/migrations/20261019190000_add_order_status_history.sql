@@ -0,0 +1,20 @@
+-- Order lifecycle audit trail: one row per status change (idempotent)
+CREATE TABLE IF NOT EXISTS public.order_status_history (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  order_id TEXT NOT NULL,
+  from_status TEXT,                -- null for the row written when the order is created
+  to_status TEXT NOT NULL,
+  actor_type TEXT NOT NULL DEFAULT 'system' CHECK (actor_type IN ('admin', 'customer', 'system')),
+  actor_id TEXT,
+  actor_label TEXT,                -- email for people, source (stripe, shippo, pickup-expiry) for system
+  reason TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS order_status_history_order_idx ON public.order_status_history (order_id, created_at);
+
+-- Unify legacy status spellings with the lifecycle module
+UPDATE public."order" SET status = 'Canceled' WHERE status IN ('canceled', 'cancelled', 'Cancelled');
+UPDATE public."order" SET status = 'Pending' WHERE status = 'pending';
+UPDATE public."order" SET status = 'Shipped' WHERE status = 'shipped';
+UPDATE public."order" SET status = 'Delivered' WHERE status = 'delivered';
@@ -0,0 +1,47 @@
+-- Partial refunds and adjustments issued from the admin API (idempotent)
+CREATE TABLE IF NOT EXISTS public.order_refund (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  order_id TEXT NOT NULL,
+  method TEXT NOT NULL,                          -- stripe | cash | card_in_person | zelle | venmo | store_credit | other
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'succeeded', 'failed')),
+  amount NUMERIC NOT NULL,                       -- total refunded in dollars
+  shipping_amount NUMERIC NOT NULL DEFAULT 0,
+  adjustment_amount NUMERIC NOT NULL DEFAULT 0,  -- custom amount, also added to order.discount_amount
+  items JSONB NOT NULL DEFAULT '[]'::jsonb,      -- [{ order_item_id, product_id, title, quantity, unit_price, amount }]
+  restock BOOLEAN NOT NULL DEFAULT false,
+  restock_failures JSONB,
+  reason TEXT,
+  source TEXT NOT NULL DEFAULT 'admin',          -- admin | return
+  stripe_refund_id TEXT,
+  error TEXT,
+  actor_id TEXT,
+  actor_label TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS order_refund_order_idx ON public.order_refund (order_id, created_at);
+
+ALTER TABLE public."order"
+  ADD COLUMN IF NOT EXISTS original_total_amount numeric,       -- total before any refunds; total_amount is net of refunds
+  ADD COLUMN IF NOT EXISTS refunded_shipping_amount numeric NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS refunded_adjustment_amount numeric NOT NULL DEFAULT 0;
+
+ALTER TABLE public.order_item
+  ADD COLUMN IF NOT EXISTS refunded_quantity integer NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS restocked_quantity integer NOT NULL DEFAULT 0;
+
+-- Units already put back by received returns
+UPDATE public.order_item oi
+   SET restocked_quantity = r.qty
+  FROM (
+    SELECT order_item_id, SUM(quantity)::integer AS qty
+      FROM public.return_request_item
+     WHERE restocked_at IS NOT NULL
+     GROUP BY order_item_id
+  ) r
+ WHERE oi.id::text = r.order_item_id AND oi.restocked_quantity = 0;
+
+-- Per-order refund lease: refundOrder claims it before pricing and releases it when done, so two
+-- concurrent refunds can't both pass the remaining-amount checks against the same snapshot
+ALTER TABLE public."order" ADD COLUMN IF NOT EXISTS refund_lock_id TEXT;
+ALTER TABLE public."order" ADD COLUMN IF NOT EXISTS refund_lock_expires_at TIMESTAMPTZ;  -- a crashed refund's lease lapses
@@ -0,0 +1,5 @@
+-- Stripe processing fee per order, for bookkeeping exports (idempotent)
+ALTER TABLE public."order"
+  ADD COLUMN IF NOT EXISTS stripe_fee numeric;
+
+CREATE INDEX IF NOT EXISTS order_created_at_idx ON public."order" (created_at);
@@ -0,0 +1,40 @@
+-- Flattened, searchable view of orders for the admin search endpoint (idempotent).
+-- One row per order; line items are rolled up so item filters don't multiply rows.
+CREATE OR REPLACE VIEW public.order_search AS
+SELECT
+  o.id,
+  o.id::TEXT AS id_text,
+  o.created_at,
+  o.status,
+  o.total_amount,
+  LOWER(COALESCE(u.email, o.email, '')) AS email,
+  LOWER(COALESCE(o.shipping_info->>'name', o.shipping_info->'customer'->>'name', '')) AS customer_name,
+  o.tracking_code,
+  CASE WHEN o.shipping_info->>'shipping_method' = 'local_pickup' THEN 'local_pickup' ELSE 'shipping' END AS shipping_method,
+  -- Same precedence as the CSV export: refunds, then Stripe, then the pickup payment flag
+  CASE
+    WHEN o.refund_status IS NOT NULL THEN o.refund_status
+    WHEN o.stripe_payment_intent_id IS NOT NULL THEN COALESCE(o.stripe_payment_status, 'paid')
+    ELSE COALESCE(o.shipping_info->>'payment_status', 'unpaid')
+  END AS payment_status,
+  o.shipping_info->>'payment_proof_status' AS payment_proof_status,
+  COALESCE(items.product_ids, '{}') AS product_ids,
+  COALESCE(items.brand_segments, '{}') AS brand_segments,
+  COALESCE(items.product_titles, '') AS product_titles
+FROM public."order" o
+LEFT JOIN public."user" u ON u.id = o.user_id
+LEFT JOIN LATERAL (
+  SELECT
+    ARRAY_AGG(DISTINCT oi.product_id::TEXT) AS product_ids,
+    ARRAY_AGG(DISTINCT LOWER(oi.product_brand_segment)) FILTER (WHERE oi.product_brand_segment IS NOT NULL) AS brand_segments,
+    LOWER(STRING_AGG(p.title, ' | ')) AS product_titles
+  FROM public.order_item oi
+  LEFT JOIN public.product p ON p.id = oi.product_id
+  WHERE oi.order_id = o.id
+) items ON TRUE;
+
+-- Views run with the owner's rights; keep customer data away from the public API roles
+REVOKE ALL ON public.order_search FROM anon, authenticated;
+
+CREATE INDEX IF NOT EXISTS order_total_amount_idx ON public."order" (total_amount, id);
+CREATE INDEX IF NOT EXISTS order_tracking_code_idx ON public."order" (tracking_code);
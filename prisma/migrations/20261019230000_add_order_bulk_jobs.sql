@@ -0,0 +1,24 @@
+-- Bulk admin order actions run as tracked jobs, plus free-form order tags (idempotent)
+ALTER TABLE public."order" ADD COLUMN IF NOT EXISTS tags TEXT[] NOT NULL DEFAULT '{}';
+CREATE INDEX IF NOT EXISTS order_tags_idx ON public."order" USING GIN (tags);
+
+CREATE TABLE IF NOT EXISTS public.order_bulk_job (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  action TEXT NOT NULL CHECK (action IN ('mark_shipped', 'purchase_label', 'mark_paid', 'cancel', 'add_tag')),
+  params JSONB NOT NULL DEFAULT '{}'::jsonb,      -- { trackingCodes: { <order_id>: code } } or { tag }
+  order_ids TEXT[] NOT NULL,
+  status TEXT NOT NULL DEFAULT 'queued' CHECK (status IN ('queued', 'running', 'completed', 'failed')),
+  total INTEGER NOT NULL DEFAULT 0,
+  succeeded INTEGER NOT NULL DEFAULT 0,
+  failed INTEGER NOT NULL DEFAULT 0,
+  results JSONB NOT NULL DEFAULT '[]'::jsonb,      -- [{ order_id, ok, error?, ...details }]
+  error TEXT,
+  created_by TEXT,
+  created_by_email TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  started_at TIMESTAMPTZ,
+  finished_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS order_bulk_job_created_idx ON public.order_bulk_job (created_at DESC);
+CREATE INDEX IF NOT EXISTS order_bulk_job_open_idx ON public.order_bulk_job (status) WHERE status IN ('queued', 'running');
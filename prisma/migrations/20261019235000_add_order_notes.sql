@@ -0,0 +1,14 @@
+-- Order notes: internal-only notes and customer-visible messages with optional attachments (idempotent)
+CREATE TABLE IF NOT EXISTS public.order_note (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  order_id TEXT NOT NULL,
+  visibility TEXT NOT NULL DEFAULT 'internal' CHECK (visibility IN ('internal', 'customer')),
+  body TEXT NOT NULL,
+  attachments JSONB NOT NULL DEFAULT '[]'::jsonb,   -- [{ path, name, content_type, size }] in the orders bucket
+  author_id TEXT,
+  author_email TEXT,
+  emailed_at TIMESTAMPTZ,                           -- customer messages: when the notification went out
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS order_note_order_idx ON public.order_note (order_id, created_at);
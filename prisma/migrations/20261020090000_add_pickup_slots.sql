@@ -0,0 +1,77 @@
+-- Pickup appointments: locations with weekly hours, blackout dates and per-slot capacity (idempotent)
+CREATE TABLE IF NOT EXISTS public.pickup_location (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  name TEXT NOT NULL,
+  address TEXT,
+  instructions TEXT,
+  timezone TEXT NOT NULL DEFAULT 'America/Los_Angeles',
+  slot_minutes INTEGER NOT NULL DEFAULT 30 CHECK (slot_minutes BETWEEN 5 AND 480),
+  slot_capacity INTEGER NOT NULL DEFAULT 3 CHECK (slot_capacity > 0),   -- orders per slot
+  min_lead_minutes INTEGER NOT NULL DEFAULT 120 CHECK (min_lead_minutes >= 0),
+  booking_horizon_days INTEGER NOT NULL DEFAULT 14 CHECK (booking_horizon_days BETWEEN 1 AND 90),
+  hold_grace_minutes INTEGER NOT NULL DEFAULT 60 CHECK (hold_grace_minutes >= 0), -- hold expires this long after the slot ends
+  active BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+-- Weekly opening hours in the location's timezone; several rows per weekday are allowed (split shifts)
+CREATE TABLE IF NOT EXISTS public.pickup_hours (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  location_id UUID NOT NULL REFERENCES public.pickup_location(id) ON DELETE CASCADE,
+  weekday SMALLINT NOT NULL CHECK (weekday BETWEEN 0 AND 6),            -- 0 = Sunday
+  opens_at TIME NOT NULL,
+  closes_at TIME NOT NULL,
+  CHECK (closes_at > opens_at)
+);
+CREATE INDEX IF NOT EXISTS pickup_hours_location_idx ON public.pickup_hours (location_id, weekday);
+
+CREATE TABLE IF NOT EXISTS public.pickup_blackout (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  location_id UUID NOT NULL REFERENCES public.pickup_location(id) ON DELETE CASCADE,
+  starts_on DATE NOT NULL,
+  ends_on DATE NOT NULL,                                                  -- inclusive
+  reason TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  CHECK (ends_on >= starts_on)
+);
+CREATE INDEX IF NOT EXISTS pickup_blackout_location_idx ON public.pickup_blackout (location_id, starts_on);
+
+-- One row per pickup order; canceled/refunded orders stop counting against capacity
+CREATE TABLE IF NOT EXISTS public.pickup_booking (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  location_id UUID NOT NULL REFERENCES public.pickup_location(id),
+  order_id TEXT NOT NULL UNIQUE,
+  slot_start TIMESTAMPTZ NOT NULL,
+  slot_end TIMESTAMPTZ NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+CREATE INDEX IF NOT EXISTS pickup_booking_slot_idx ON public.pickup_booking (location_id, slot_start);
+
+-- Atomic booking: serializes on (location, slot) and raises 'Pickup slot full' when capacity is used up.
+CREATE OR REPLACE FUNCTION public.book_pickup_slot(
+  p_location_id UUID, p_order_id TEXT, p_slot_start TIMESTAMPTZ, p_slot_end TIMESTAMPTZ, p_capacity INTEGER
+)
+RETURNS VOID
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_taken INTEGER;
+BEGIN
+  PERFORM pg_advisory_xact_lock(hashtext(p_location_id::TEXT || '|' || p_slot_start::TEXT));
+
+  SELECT COUNT(*) INTO v_taken
+    FROM public.pickup_booking b
+    JOIN public."order" o ON o.id::TEXT = b.order_id
+    WHERE b.location_id = p_location_id
+      AND b.slot_start = p_slot_start
+      AND o.status NOT IN ('Canceled', 'Refunded');
+
+  IF v_taken >= p_capacity THEN
+    RAISE EXCEPTION 'Pickup slot full';
+  END IF;
+
+  INSERT INTO public.pickup_booking (location_id, order_id, slot_start, slot_end)
+    VALUES (p_location_id, p_order_id, p_slot_start, p_slot_end);
+END;
+$$;
@@ -0,0 +1,7 @@
+-- Pickup locations can be a dated popup event (e.g. a Las Vegas market) and carry their own contact (idempotent)
+ALTER TABLE public.pickup_location ADD COLUMN IF NOT EXISTS popup_event_id UUID REFERENCES public.popup_events(id) ON DELETE SET NULL;
+ALTER TABLE public.pickup_location ADD COLUMN IF NOT EXISTS event_date DATE;       -- only bookable on this day when set
+ALTER TABLE public.pickup_location ADD COLUMN IF NOT EXISTS contact_email TEXT;    -- falls back to ADMIN_EMAIL
+ALTER TABLE public.pickup_location ADD COLUMN IF NOT EXISTS contact_phone TEXT;
+
+CREATE INDEX IF NOT EXISTS pickup_location_event_idx ON public.pickup_location (popup_event_id);
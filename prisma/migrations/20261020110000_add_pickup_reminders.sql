@@ -0,0 +1,4 @@
+-- When each pickup hold notification went out; a set timestamp means never send it again (idempotent)
+ALTER TABLE public."order" ADD COLUMN IF NOT EXISTS pickup_reminder_sent_at TIMESTAMPTZ;       -- ~24h before expiry
+ALTER TABLE public."order" ADD COLUMN IF NOT EXISTS pickup_final_warning_sent_at TIMESTAMPTZ;  -- a few hours before expiry
+ALTER TABLE public."order" ADD COLUMN IF NOT EXISTS pickup_expiry_notice_sent_at TIMESTAMPTZ;  -- after the auto-cancel
@@ -0,0 +1,42 @@
+-- QR pickup check-in: a single-use signed code per pickup order (idempotent)
+ALTER TABLE public."order" ADD COLUMN IF NOT EXISTS pickup_code_nonce TEXT;          -- rotating it invalidates older codes
+ALTER TABLE public."order" ADD COLUMN IF NOT EXISTS pickup_checked_in_at TIMESTAMPTZ;
+ALTER TABLE public."order" ADD COLUMN IF NOT EXISTS pickup_checked_in_by TEXT;
+
+-- Record payment and mark the order picked up in one statement. Raises 'Pickup code not valid'
+-- when the code was rotated or used, or the order isn't awaiting pickup any more.
+CREATE OR REPLACE FUNCTION public.complete_pickup_check_in(
+  p_order_id TEXT, p_nonce TEXT, p_payment_method TEXT, p_payment_reference TEXT, p_actor_id TEXT, p_actor_label TEXT
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_order public."order"%ROWTYPE;
+BEGIN
+  UPDATE public."order" o
+    SET status = 'picked_up',
+        pickup_checked_in_at = now(),
+        pickup_checked_in_by = p_actor_label,
+        shipping_info = COALESCE(o.shipping_info, '{}'::jsonb)
+          || jsonb_build_object('payment_status', 'paid', 'paid_at', COALESCE(o.shipping_info->>'paid_at', now()::TEXT))
+          || CASE WHEN p_payment_method IS NULL THEN '{}'::jsonb
+                  ELSE jsonb_build_object('pickup_payment_method', p_payment_method) END
+          || CASE WHEN p_payment_reference IS NULL THEN '{}'::jsonb
+                  ELSE jsonb_build_object('pickup_payment_reference', p_payment_reference) END
+    WHERE o.id::TEXT = p_order_id
+      AND o.pickup_code_nonce = p_nonce
+      AND o.pickup_checked_in_at IS NULL
+      AND o.status = 'awaiting_pickup'
+    RETURNING * INTO v_order;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Pickup code not valid';
+  END IF;
+
+  INSERT INTO public.order_status_history (order_id, from_status, to_status, actor_type, actor_id, actor_label, reason)
+    VALUES (p_order_id, 'awaiting_pickup', 'picked_up', 'admin', p_actor_id, p_actor_label, 'QR pickup check-in');
+
+  RETURN to_jsonb(v_order);
+END;
+$$;
@@ -125,14 +125,29 @@ import emailRoutes from "./src/routes/emailRoutes.js";
 import analyticsRoutes from "./src/routes/analyticsRoutes.js";
 import blogRoutes from "./src/routes/blogRoutes.js";
 import popupEventRoutes from "./src/routes/popupEventRoutes.js";
+import promotionRoutes from "./src/routes/promotionRoutes.js";
+import webhookEventRoutes from "./src/routes/webhookEventRoutes.js";
+import shippoWebhookRoutes from "./src/routes/shippoWebhookRoutes.js";
+import { publicRouter as returnPublicRouter, adminRouter as returnAdminRouter } from "./src/routes/returnRoutes.js";
+import { publicRouter as pickupPublicRouter, adminRouter as pickupAdminRouter } from "./src/routes/pickupRoutes.js";
+import { startLabelPurchaseWorker } from "./src/services/labelPurchaseService.js";
+import { resumeBulkJobs } from "./src/services/orderBulkActions.js";
+import { startPickupReminderWorker } from "./src/services/pickupReminders.js";
 import { publicRouter as orderPublicRouter, adminRouter as orderAdminRouter } from "./src/routes/orderRoutes.js";
 
 
+app.use("/api/webhooks/shippo", shippoWebhookRoutes);
 app.use("/auth", authRoutes);
 app.use("/orders", orderPublicRouter);
 app.use("/admin/orders", orderAdminRouter);
+app.use("/returns", returnPublicRouter);
+app.use("/admin/returns", returnAdminRouter);
+app.use("/pickup", pickupPublicRouter);
+app.use("/admin/pickup", pickupAdminRouter);
 app.use("/categories", categoryPublicRoute);
 app.use("/admin/categories", categoryAdminRoute);
+app.use("/admin/promotions", promotionRoutes);
+app.use("/admin/webhook-events", webhookEventRoutes);
 app.use("/products", productRoutes);
 app.use("/admin", adminRoutes);
 app.use("/users", userRoutes);
@@ -202,4 +217,7 @@ app.listen(PORT, () => {
   console.log(`\n📍 Test endpoint available at:`);
   console.log(`   ALL  http://localhost:${PORT}/admin/users/test/reset-password-test`);
   console.log('\n=== Server ready for requests ===\n');
+  startLabelPurchaseWorker();
+  startPickupReminderWorker();
+  resumeBulkJobs();
 });
\ No newline at end of file
@@ -1,5 +1,6 @@
 import supabase from "../../supabaseClient.js";
 import bcrypt from "bcryptjs";
+import { withAvailability } from "../services/stockReservationService.js";
 
 // Helpers for parsing form values
 const parseBool = (v, fallback = false) => {
@@ -325,7 +326,7 @@ export const getAllProducts = async (req, res) => {
       limit,
       totalProducts,
       totalPages: Math.ceil(totalProducts / limit),
-      products: (products || []).map(mapAdminProductRow),
+      products: (await withAvailability(products || [])).map(mapAdminProductRow),
     });
   } catch (error) {
     res.status(500).json({ message: "Server error", error: error.message });
@@ -0,0 +1,76 @@
+import {
+  BULK_ACTIONS,
+  BULK_MAX_ORDERS,
+  getBulkJob,
+  listBulkJobs,
+  normalizeTag,
+  startBulkJob,
+} from "../services/orderBulkActions.js";
+import { actorFromRequest } from "../services/orderLifecycle.js";
+
+// 🔹 Admin: run one action over many orders as a tracked job
+// POST /admin/orders/bulk { action, orderIds: [...], trackingCodes?: { <orderId>: code }, tag? }
+export const createBulkOrderJob = async (req, res) => {
+  const { action, trackingCodes, tag } = req.body || {};
+  if (!BULK_ACTIONS.includes(action)) {
+    return res.status(400).json({ message: `action invalid. Allowed: ${BULK_ACTIONS.join(", ")}` });
+  }
+  if (!Array.isArray(req.body?.orderIds) || !req.body.orderIds.length) {
+    return res.status(400).json({ message: "orderIds must be a non-empty array" });
+  }
+  const orderIds = [...new Set(req.body.orderIds.map((id) => String(id).trim()).filter(Boolean))];
+  if (orderIds.length > BULK_MAX_ORDERS) {
+    return res.status(400).json({ message: `At most ${BULK_MAX_ORDERS} orders per job` });
+  }
+
+  const params = {};
+  if (action === "mark_shipped") {
+    if (!trackingCodes || typeof trackingCodes !== "object" || Array.isArray(trackingCodes)) {
+      return res.status(400).json({ message: "trackingCodes must map each order id to its tracking code" });
+    }
+    const missing = orderIds.filter((id) => !String(trackingCodes[id] || "").trim());
+    if (missing.length) {
+      return res.status(400).json({ message: "Tracking code missing for some orders", missing });
+    }
+    params.trackingCodes = Object.fromEntries(orderIds.map((id) => [id, String(trackingCodes[id]).trim()]));
+  }
+  if (action === "add_tag") {
+    params.tag = normalizeTag(tag);
+    if (!params.tag) return res.status(400).json({ message: "tag is required" });
+  }
+
+  try {
+    const { data: job, error } = await startBulkJob({ action, orderIds, params, actor: actorFromRequest(req) });
+    if (error) throw error;
+    return res.status(202).json({ job });
+  } catch (e) {
+    console.error("❌ createBulkOrderJob error:", e);
+    return res.status(500).json({ message: "Failed to start bulk job", error: e.message });
+  }
+};
+
+// 🔹 Admin: job progress and per-order results
+export const getBulkOrderJob = async (req, res) => {
+  try {
+    const { data: job, error } = await getBulkJob(req.params.jobId);
+    if (error) throw error;
+    if (!job) return res.status(404).json({ message: "Bulk job not found" });
+    return res.json({ job });
+  } catch (e) {
+    console.error("❌ getBulkOrderJob error:", e);
+    return res.status(500).json({ message: "Failed to fetch bulk job" });
+  }
+};
+
+// 🔹 Admin: recent bulk jobs
+export const listBulkOrderJobs = async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit ?? 20, 10) || 20, 1), 100);
+    const { data, error } = await listBulkJobs({ limit });
+    if (error) throw error;
+    return res.json({ jobs: data });
+  } catch (e) {
+    console.error("❌ listBulkOrderJobs error:", e);
+    return res.status(500).json({ message: "Failed to fetch bulk jobs" });
+  }
+};
@@ -1,10 +1,39 @@
 import sendEmail from "../services/emailServices.js";
 import supabase from "../../supabaseClient.js";
 import { decrementProductQuantity } from "./productController.js";
-import { incrementProductQuantity } from "./productController.js"; // NEW
+import { applyActivePromotions } from "../services/promotionService.js";
+import { getReservedQuantities } from "../services/stockReservationService.js";
+import { purchaseLabelForOrder, cancelQueuedLabel } from "../services/labelPurchaseService.js";
+import { ensureOrdersBucket } from "../services/orderStorage.js";
+import {
+  ORDER_STATUS,
+  ORDER_STATUSES,
+  INITIAL_STATUS,
+  normalizeOrderStatus,
+  orderFlow,
+  allowedTransitions,
+  canTransition,
+  transitionOrder,
+  transitionErrorStatus,
+  actorFromRequest,
+  systemActor,
+  recordStatusChange,
+  getOrderStatusHistory,
+} from "../services/orderLifecycle.js";
+import { refundOrder, getOrderRefunds, refundableRemaining } from "../services/orderRefundService.js";
+import { ADMIN_ORDER_SELECT, toAdminOrder } from "../services/orderSearch.js";
+import { createOrderNote, listOrderNotes, customerMessagesByOrder, deleteOrderNote } from "../services/orderNotes.js";
+import { listPickupLocations, resolvePickupSlot, bookPickupSlot, formatSlot, pickupSummary } from "../services/pickupScheduling.js";
+import { processPickupReminders, sendPickupExpiryNotice } from "../services/pickupReminders.js";
+import { newPickupNonce, pickupCode, pickupQrAttachment, pickupQrHtml } from "../services/pickupCheckIn.js";
+import { reviewPaymentProof, listSubmittedProofs } from "../services/paymentProofReview.js";
+import { restockOrderOnce } from "../services/orderRestock.js";
 
 // Configuration defaults
 const ADMIN_EMAIL = process.env.ADMIN_EMAIL || "admin@thedivafactory.com";
+// Pickup holds without a booked slot (no pickup locations configured yet)
+const LEGACY_PICKUP_HOLD_MS = 48 * 60 * 60 * 1000;
+const LEGACY_PICKUP_WINDOW = process.env.PICKUP_WINDOW_TEXT || "10am–6pm";
 
 // Lightweight in-memory guard to prevent duplicate cancel emails during rapid duplicate calls.
 // TTL ensures we don't leak memory in long-running processes.
@@ -22,32 +51,12 @@ function markCancelEmailSent(orderId) {
 }
 
 // Helper: send email without awaiting so controllers return quickly
-function sendEmailNonBlocking(to, subject, html) {
-  sendEmail(to, subject, html)
+function sendEmailNonBlocking(to, subject, html, attachments) {
+  sendEmail(to, subject, html, undefined, attachments)
     .then(() => console.log(`📧 Email queued/sent to ${to} — ${subject}`))
     .catch((err) => console.error(`❌ Email send failed to ${to}:`, err));
 }
 
-// Ensure the Supabase storage bucket exists (service role key required). No-op if already exists.
-async function ensureOrdersBucket(bucketName) {
-  try {
-    if (!supabase?.storage?.listBuckets) return; // older clients may not support
-    const { data: buckets } = await supabase.storage.listBuckets();
-    const exists = Array.isArray(buckets) && buckets.some((b) => b.name === bucketName);
-    if (!exists && supabase.storage.createBucket) {
-      const { error: cErr } = await supabase.storage.createBucket(bucketName, {
-        public: false,
-        fileSizeLimit: 10 * 1024 * 1024, // 10MB
-      });
-      if (cErr && cErr.status !== 409) {
-        console.warn("⚠️ createBucket failed:", cErr);
-      }
-    }
-  } catch (e) {
-    console.warn("⚠️ ensureOrdersBucket error:", e?.message || e);
-  }
-}
-
 // Send shipping notification email
 export async function sendShippingNotification(orderId) {
   // Fetch order details (email, tracking_code, etc.)
@@ -95,7 +104,7 @@ export const getAllOrders = async (req, res) => {
     // Fetch orders with filters, pagination, and sorting
     const { data: orders, error } = await supabase
       .from("order")
-      .select("*, user!fk_user(email), order_item!fk_order(*, product!fk_product(title, price))")
+      .select(ADMIN_ORDER_SELECT)
       .match(filters)
       .order("created_at", { ascending: false })
       .range((page - 1) * limit, page * limit - 1);
@@ -151,6 +160,8 @@ export const getMyOrders = async (req, res) => {
         .json({ message: "No orders found for this user." });
     }
 
+    const messages = await customerMessagesByOrder(orders.map((o) => o.id));
+
     // Normalize DB snake_case fields to frontend-friendly camelCase
     const cleaned = orders.map((o) => ({
       ...o,
@@ -158,6 +169,7 @@ export const getMyOrders = async (req, res) => {
       trackingCode: o.tracking_code,
       // Keep shipping_info as-is but also provide top-level fields if needed
       shippingInfo: o.shipping_info || null,
+      messages: messages[String(o.id)] || [],
     }));
 
     res.json(cleaned);
@@ -189,8 +201,8 @@ const { items, customer, notes, taxes, tax_rate } = req.body || {};    if (!user
       console.warn("⚠️ Failed to check existing reservations:", existingErr?.message || existingErr);
     } else {
       const openCount = (existingReservations || []).filter((o) => {
-        const st = (o.status || '').toLowerCase();
-        return st === 'awaiting_pickup' || st === 'pending';
+        const st = normalizeOrderStatus(o.status);
+        return st === ORDER_STATUS.AWAITING_PICKUP || st === ORDER_STATUS.PENDING;
       }).length;
       if (openCount >= 2) {
         return res.status(429).json({ message: "Too many active pickup holds. Please complete or cancel an existing hold before creating a new one." });
@@ -204,7 +216,7 @@ const { items, customer, notes, taxes, tax_rate } = req.body || {};    if (!user
     }
     const { data: products, error: prodErr } = await supabase
       .from("product")
-      .select("id, title, price, quantity, brand_segment")
+      .select("id, title, price, quantity, brand_segment, category_slug")
       .in("id", productIds);
     if (prodErr) throw prodErr;
     if (!products || products.length !== productIds.length) {
@@ -213,6 +225,8 @@ const { items, customer, notes, taxes, tax_rate } = req.body || {};    if (!user
 
     // Map product by id for quick lookup
     const productMap = new Map(products.map((p) => [p.id, p]));
+    // Units held by open Stripe checkout sessions are not available for pickup either
+    const reservedById = await getReservedQuantities(productIds);
 
     // Validate quantities and compute subtotal from authoritative prices
     let subtotal = 0;
@@ -222,15 +236,55 @@ const { items, customer, notes, taxes, tax_rate } = req.body || {};    if (!user
       if (!Number.isFinite(qty) || qty <= 0) return res.status(400).json({ message: "Invalid quantity" });
       const prod = productMap.get(pid);
       if (!prod) return res.status(400).json({ message: `Product ${pid} not found` });
-      const available = Number(prod.quantity || 0);
+      const available = Math.max(0, Number(prod.quantity || 0) - (reservedById.get(String(pid)) || 0));
       if (available < qty) {
         return res.status(409).json({ message: `Insufficient stock for ${prod.title}`, product_id: pid, available });
       }
       subtotal += Number(prod.price) * qty;
     }
 
+    // Pickup time: a booked slot at a pickup location. The legacy 48h hold is only used until locations are set up.
+    const { location_id: locationId, slot_start: slotStart } = req.body || {};
+    let booking = null;
+    if (locationId || slotStart) {
+      if (!locationId || !slotStart) {
+        return res.status(400).json({ message: "location_id and slot_start are required together" });
+      }
+      const { data: resolved, error: slotErr } = await resolvePickupSlot(locationId, slotStart);
+      if (slotErr) {
+        const status = { NOT_FOUND: 404, INVALID_SLOT: 400, SLOT_FULL: 409 }[slotErr.code] || 500;
+        return res.status(status).json({ message: slotErr.message });
+      }
+      booking = resolved;
+    } else {
+      const { data: locations, error: locErr } = await listPickupLocations({ activeOnly: true });
+      if (locErr) console.warn("⚠️ Could not load pickup locations:", locErr.message || locErr);
+      if (locations?.length) {
+        return res.status(400).json({ message: "Please choose a pickup time (location_id and slot_start)." });
+      }
+    }
+
+    // Automatic promotions apply to pickup orders the same way as Stripe checkout
+    const promoEval = await applyActivePromotions({
+      lines: items.map((it) => {
+        const prod = productMap.get(it.id || it.product_id);
+        return {
+          id: prod.id,
+          quantity: Number(it.quantity || 1),
+          unitCents: Math.round(Number(prod.price) * 100),
+          brandSegment: prod.brand_segment,
+          categorySlug: prod.category_slug,
+        };
+      }),
+    });
+    const discountAmount = promoEval.discountCents / 100;
+    const totalAmount = Math.max(0, Number(subtotal) - discountAmount + Number(taxes || 0));
+
     const now = new Date();
-    const expiresAt = new Date(now.getTime() + 48 * 60 * 60 * 1000); // 48h
+    // Hold lasts until the booked slot is over (plus the location's grace period)
+    const expiresAt = booking ? booking.expiresAt : new Date(now.getTime() + LEGACY_PICKUP_HOLD_MS);
+    const contactEmail = booking?.location.contact_email || process.env.ADMIN_EMAIL || "admin@thedivafactory.com";
+    const popupEvent = booking?.location.popup_events || null;
 
     // Build shipping_info JSON to hold pickup-specific fields without DB migration
     const shippingInfo = {
@@ -239,15 +293,33 @@ const { items, customer, notes, taxes, tax_rate } = req.body || {};    if (!user
       payment_status: "unpaid",
       taxes: Number(taxes) || 0, // ✅ Use the actual taxes from frontend
       tax_rate: Number(tax_rate) || 0, // ✅ Also store the tax rate
-      total_amount: Math.max(0, Number(subtotal) + Number(taxes || 0)), // ✅ Include taxes
+      total_amount: totalAmount, // ✅ Includes taxes, net of promotions
       subtotal: Number(subtotal.toFixed(2)),
+      discount_amount: discountAmount,
+      promotions: promoEval.applied,
       notes: notes || null,
-      pickup: {
-        reservation_expires_at: expiresAt.toISOString(),
-        window_hours: "8am–8pm",
-        instructions: "Reserved 48h. DM/email to coordinate pickup time/location.",
-        contact_email: process.env.ADMIN_EMAIL || "admin@thedivafactory.com",
-      },
+      pickup: booking
+        ? {
+            location_id: booking.location.id,
+            location_name: booking.location.name,
+            address: booking.location.address || null,
+            instructions: booking.location.instructions || null,
+            timezone: booking.location.timezone,
+            popup_event_id: booking.location.popup_event_id || null,
+            event_title: popupEvent?.title || null,
+            event_date: booking.location.event_date || null,
+            contact_phone: booking.location.contact_phone || null,
+            slot_start: booking.slot.start,
+            slot_end: booking.slot.end,
+            reservation_expires_at: expiresAt.toISOString(),
+            contact_email: contactEmail,
+          }
+        : {
+            reservation_expires_at: expiresAt.toISOString(),
+            window_hours: LEGACY_PICKUP_WINDOW,
+            instructions: "Reserved 48h. DM/email to coordinate pickup time/location.",
+            contact_email: contactEmail,
+          },
       customer: customer || null,
     };
 
@@ -255,11 +327,13 @@ const { items, customer, notes, taxes, tax_rate } = req.body || {};    if (!user
     const orderInsert = {
       user_id: userId,
       email: customer?.email || authUser.email || null,
-      total_amount: Math.max(0, Number(subtotal) + Number(taxes || 0)),
-      status: "awaiting_pickup",
+      total_amount: totalAmount,
+      discount_amount: discountAmount,
+      status: ORDER_STATUS.AWAITING_PICKUP,
       tracking_code: "Pickup",
       shipping_info: shippingInfo,
       points_used: 0,
+      pickup_code_nonce: newPickupNonce(), // signed into the QR check-in code
     };
     const { data: newOrder, error: orderErr } = await supabase
       .from("order")
@@ -270,6 +344,17 @@ const { items, customer, notes, taxes, tax_rate } = req.body || {};    if (!user
       console.error("❌ Pickup order insert failed:", orderErr);
       return res.status(500).json({ message: "Failed to create pickup order" });
     }
+    if (booking) {
+      // Capacity is enforced here; another customer may have taken the last spot since we checked
+      const { error: bookErr } = await bookPickupSlot(booking.location, booking.slot, newOrder.id);
+      if (bookErr) {
+        try { await supabase.from("order").delete().eq("id", newOrder.id); } catch (e) {}
+        if (bookErr.code === "SLOT_FULL") return res.status(409).json({ message: bookErr.message });
+        console.error("❌ Pickup slot booking failed:", bookErr);
+        return res.status(500).json({ message: "Failed to book pickup slot" });
+      }
+    }
+    await recordStatusChange(newOrder.id, null, newOrder.status, actorFromRequest(req), "Pickup order placed");
 
     // Insert order items with unit price snapshot
     const orderItemsPayload = items.map((it) => {
@@ -302,24 +387,40 @@ const { items, customer, notes, taxes, tax_rate } = req.body || {};    if (!user
       }
     }
 
+    // QR check-in code for the confirmation email (the order is still fine without it)
+    let qrAttachment = null;
+    try {
+      qrAttachment = await pickupQrAttachment(pickupCode(newOrder.id, orderInsert.pickup_code_nonce));
+    } catch (e) {
+      console.warn("⚠️ Could not render pickup QR code:", e?.message || e);
+    }
+
     // Send confirmation email to customer
     try {
       const to = orderInsert.email;
+      const slotText = booking ? formatSlot(booking.slot, booking.location.timezone) : null;
       if (to) {
-        const subject = "Your Pickup Order is Reserved (48h)";
+        const subject = booking ? `Your Pickup is Booked: ${slotText}` : "Your Pickup Order is Reserved (48h)";
+        const whereWhen = booking
+          ? `<p>Pickup time: <b>${slotText}</b><br>Location: <b>${booking.location.name}</b>${popupEvent ? ` at ${popupEvent.emoji || ""} <b>${popupEvent.title}</b>` : ""}${booking.location.address ? `<br>${booking.location.address}` : ""}</p>
+            ${booking.location.instructions ? `<p>${booking.location.instructions}</p>` : ""}
+            <p>Need a different time? Reply to this email or contact <a href="mailto:${contactEmail}">${contactEmail}</a>${booking.location.contact_phone ? ` / ${booking.location.contact_phone}` : ""}.</p>`
+          : `<p>Order <b>${newOrder.id}</b> is reserved for <b>48 hours</b>.</p>
+            <p>Pickup hours: <b>${LEGACY_PICKUP_WINDOW}</b>. We will coordinate time/location — reply to this email or contact <a href="mailto:${contactEmail}">${contactEmail}</a>.</p>`;
         const html = `
           <div style="font-family: Arial, sans-serif; padding:16px">
-            <h2 style="color:#d63384">Local Pickup Reserved</h2>
-            <p>Order <b>${newOrder.id}</b> is reserved for <b>48 hours</b>.</p>
-            <p>Pickup hours: <b>10am–6pm</b>. We will coordinate time/location — reply to this email or contact <a href="mailto:${shippingInfo.pickup.contact_email}">${shippingInfo.pickup.contact_email}</a>.</p>
+            <h2 style="color:#d63384">Local Pickup ${booking ? "Booked" : "Reserved"}</h2>
+            ${booking ? `<p>Order <b>${newOrder.id}</b></p>` : ""}
+            ${whereWhen}
             <p>Total due at pickup: <b>$${orderInsert.total_amount.toFixed(2)}</b></p>
             <p>Reservation expires: <b>${expiresAt.toISOString()}</b></p>
+            ${qrAttachment ? pickupQrHtml() : ""}
           </div>`;
-        sendEmailNonBlocking(to, subject, html);
+        sendEmailNonBlocking(to, subject, html, qrAttachment ? [qrAttachment] : undefined);
       }
       // Notify admin
       const aSub = `New Local Pickup Hold: ${newOrder.id}`;
-      const aHtml = `<p>Pickup order <b>${newOrder.id}</b> created. Amount due $${orderInsert.total_amount.toFixed(2)}. Expires ${expiresAt.toISOString()}.</p>`;
+      const aHtml = `<p>Pickup order <b>${newOrder.id}</b> created. Amount due $${orderInsert.total_amount.toFixed(2)}.${booking ? ` Pickup ${slotText} at ${booking.location.name}.` : ""} Expires ${expiresAt.toISOString()}.</p>`;
       sendEmailNonBlocking(ADMIN_EMAIL, aSub, aHtml);
     } catch (e) {
       console.warn("⚠️ Pickup email send warning:", e?.message || e);
@@ -327,8 +428,12 @@ const { items, customer, notes, taxes, tax_rate } = req.body || {};    if (!user
 
     return res.status(201).json({
       order_id: newOrder.id,
-      status: "awaiting_pickup",
+      status: newOrder.status,
       reservation_expires_at: expiresAt.toISOString(),
+      pickup_slot: booking ? { location_id: booking.location.id, start: booking.slot.start, end: booking.slot.end } : null,
+      total_amount: totalAmount,
+      discount_amount: discountAmount,
+      promotions: promoEval.applied,
     });
   } catch (err) {
     console.error("❌ createPickupOrder error:", err);
@@ -407,6 +512,7 @@ export const uploadPaymentProof = async (req, res) => {
     if (viewUrl) info.payment_proof_url = viewUrl; // keep legacy-friendly field so frontend "View proof" just works
     info.payment_proof_status = "submitted";
     info.payment_proof_uploaded_at = new Date().toISOString();
+    info.payment_proof_rejection_reason = null; // a new upload goes back into the review queue
 
     const { error: updErr } = await supabase
       .from("order")
@@ -476,7 +582,6 @@ export const createOrder = async (req, res) => {
     email,
     items,
     totalAmount,
-    status,
     trackingCode,
     shippingInfo,
     pointsUsed,
@@ -528,7 +633,7 @@ export const createOrder = async (req, res) => {
       user_id: userId,
       email,
       total_amount: finalTotal,
-      status: status || "Pending",
+      status: INITIAL_STATUS[orderFlow({ shipping_info: shippingInfo })],
       tracking_code: trackingCode || "Processing",
       shipping_info: shippingInfo,
       points_used: pointsUsed || 0,
@@ -547,6 +652,7 @@ export const createOrder = async (req, res) => {
     if (!newOrder?.id) {
       return res.status(500).json({ message: "Order insert failed or missing ID" });
     }
+    await recordStatusChange(newOrder.id, null, newOrder.status, actorFromRequest(req), "Order placed");
 
     // 2) Insert order items
     // Enrich each item with product_brand_segment from current product record if not provided
@@ -658,53 +764,42 @@ export const createOrder = async (req, res) => {
 // 🔹 Update order status (Admin Only)
 export const updateOrderStatus = async (req, res) => {
   const { orderId } = req.params;
-  const { status, trackingCode } = req.body; // ✅ Accept trackingCode
+  const { trackingCode, reason } = req.body; // ✅ Accept trackingCode
+  const status = normalizeOrderStatus(req.body.status);
 
   // ✅ Ensure status is valid
-  if (!["Pending", "Shipped", "Delivered", "Canceled"].includes(status)) {
+  if (!status) {
     return res.status(400).json({
-      message:
-        "Invalid status. Must be Pending, Shipped, Delivered, or Canceled.",
+      message: `Invalid status. Must be one of: ${ORDER_STATUSES.join(", ")}.`,
     });
   }
 
   try {
-    // ✅ Check if the order exists
-    const { data: order, error: orderError } = await supabase
-      .from("order")
-      .select()
-      .eq("id", orderId)
-      .single();
-
-    if (orderError) throw orderError;
-    if (!order) {
-      return res.status(404).json({ message: "Order not found." });
+    let fields = {};
+    if (status === ORDER_STATUS.SHIPPED && trackingCode) {
+      fields.tracking_code = trackingCode;
     }
 
-    let updateData = { status };
-    if (status === "Shipped" && trackingCode) {
-      updateData.tracking_code = trackingCode;
+    // ✅ Move the order through the lifecycle (rejects illegal moves, records history)
+    const { data: updatedOrder, changed, error } = await transitionOrder(orderId, status, {
+      actor: actorFromRequest(req),
+      reason,
+      fields,
+    });
+    if (error) {
+      return res.status(transitionErrorStatus(error)).json({ message: error.message, allowed: error.allowed });
     }
-
-    // ✅ Update the order
-    const { data: updatedOrder, error: updateError } = await supabase
-      .from("order")
-      .update(updateData)
-      .eq("id", orderId)
-      .select()
-      .single();
-
-    if (updateError) throw updateError;
+    if (!changed) return res.json(updatedOrder);
 
     // ✅ If shipped, send tracking email
-    if (status === "Shipped" && trackingCode) {
+    if (status === ORDER_STATUS.SHIPPED && trackingCode) {
       try {
         await sendShippingNotification(orderId);
         console.log(`📦 Shipping notification sent to ${updatedOrder.email}`);
       } catch (err) {
         console.error("❌ Failed to send shipping notification email:", err);
       }
-    } else {
+    } else if (status !== ORDER_STATUS.CANCELED) {
       // Send admin notification for other status updates
       const subject = `Order ${orderId} Status Updated`;
       const htmlContent = `<p>Order <b>${orderId}</b> status updated to <b>${status}</b>.<br>Tracking Code: ${trackingCode || "N/A"}</p>`;
@@ -713,8 +808,7 @@ export const updateOrderStatus = async (req, res) => {
         .catch((err) => console.error("❌ Failed to send admin status update notification:", err));
     }
     // Send email notification for canceled orders
-    if (status === "Canceled") {
-      console.log("[DEBUG] Cancel email logic reached for order:", orderId, updatedOrder.email);
+    if (status === ORDER_STATUS.CANCELED) {
       try {
         const subject = "Your Diva Nails Order Has Been Canceled";
         const htmlContent = `
@@ -740,14 +834,6 @@ export const updateOrderStatus = async (req, res) => {
       } catch (err) {
         console.error("❌ Failed to send admin cancellation notification:", err);
       }
-      // Only send cancellation notifications, skip generic status update
-    } else if (status === "Shipped" && trackingCode) {
-      try {
-        await sendShippingNotification(orderId);
-        console.log(`📦 Shipping notification sent to ${updatedOrder.email}`);
-      } catch (err) {
-        console.error("❌ Failed to send shipping notification email:", err);
-      }
     }
 
     res.json(updatedOrder);
@@ -757,25 +843,60 @@ export const updateOrderStatus = async (req, res) => {
   }
 };
 
+// Flag a pickup order as paid in shipping_info; returns { data: order, error } (error.code NOT_FOUND)
+export const setOrderPaid = async (id, { actor } = {}) => {
+  const { data: order, error } = await supabase
+    .from("order")
+    .select("*")
+    .eq("id", id)
+    .single();
+  if (error || !order) {
+    const err = new Error("Order not found");
+    err.code = "NOT_FOUND";
+    return { data: null, error: err };
+  }
+  // A pickup order that is no longer held (canceled, expired and restocked, or picked up) can't be settled here
+  if (orderFlow(order) === "pickup" && normalizeOrderStatus(order.status) !== ORDER_STATUS.AWAITING_PICKUP) {
+    const err = new Error(`Order is ${order.status || "not awaiting pickup"}; it can no longer be marked paid`);
+    err.code = "NOT_AWAITING_PICKUP";
+    return { data: order, error: err };
+  }
+  const info = order.shipping_info || {};
+  // Marking paid by hand settles any proof still waiting in the review queue, through the same review record
+  if (info.payment_proof_status === "submitted") {
+    return reviewPaymentProof(order.id, { decision: "approve", actor: actor || systemActor("unknown") });
+  }
+  // Only apply while the order still looks the way we read it, so a concurrent cancel or proof upload wins
+  let query = supabase
+    .from("order")
+    .update({ shipping_info: { ...info, payment_status: "paid" } })
+    .eq("id", order.id)
+    .eq("status", order.status);
+  for (const key of ["payment_status", "payment_proof_status"]) {
+    query = info[key] == null
+      ? query.is(`shipping_info->>${key}`, null)
+      : query.eq(`shipping_info->>${key}`, info[key]);
+  }
+  const { data: updated, error: updErr } = await query.select();
+  if (updErr) return { data: null, error: updErr };
+  if (!updated?.length) {
+    const err = new Error("Order changed meanwhile; reload and try again");
+    err.code = "CONFLICT";
+    return { data: order, error: err };
+  }
+  return { data: updated[0], error: null };
+};
+
 // 🔹 Admin: mark order paid
 export const markOrderPaid = async (req, res) => {
   try {
     const { id } = req.params;
-    const { data: order, error } = await supabase
-      .from("order")
-      .select("id, shipping_info")
-      .eq("id", id)
-      .single();
-    if (error || !order) return res.status(404).json({ message: "Order not found" });
-    const info = order.shipping_info || {};
-    info.payment_status = "paid";
-    const { data: updated, error: updErr } = await supabase
-      .from("order")
-      .update({ shipping_info: info })
-      .eq("id", id)
-      .select()
-      .single();
-    if (updErr) throw updErr;
+    const { data: updated, error } = await setOrderPaid(id, { actor: actorFromRequest(req) });
+    if (error?.code === "NOT_FOUND") return res.status(404).json({ message: "Order not found" });
+    if (["NOT_AWAITING_PICKUP", "NOT_SUBMITTED", "CONFLICT"].includes(error?.code)) {
+      return res.status(409).json({ message: error.message, status: updated?.status });
+    }
+    if (error) throw error;
     return res.json({ success: true, order_id: updated.id, payment_status: updated.shipping_info?.payment_status || "paid" });
   } catch (e) {
     console.error("❌ markOrderPaid error:", e);
@@ -783,17 +904,197 @@ export const markOrderPaid = async (req, res) => {
   }
 };
 
+// 🔹 Admin: orders with an uploaded payment proof waiting for review
+export const listPaymentProofQueue = async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(Number(req.query.limit) || 100, 1), 200);
+    const { data, error } = await listSubmittedProofs({ limit });
+    if (error) throw error;
+    return res.json({ count: data.length, proofs: data });
+  } catch (e) {
+    console.error("❌ listPaymentProofQueue error:", e);
+    return res.status(500).json({ message: "Failed to load payment proof queue", error: e.message });
+  }
+};
+
+const reviewProofHandler = (decision) => async (req, res) => {
+  try {
+    const { data: order, error } = await reviewPaymentProof(req.params.id, {
+      decision,
+      reason: req.body?.reason,
+      actor: actorFromRequest(req),
+    });
+    if (error?.code === "NOT_FOUND") return res.status(404).json({ message: "Order not found" });
+    if (error?.code === "INVALID") return res.status(400).json({ message: error.message });
+    if (error?.code === "NOT_SUBMITTED" || error?.code === "NOT_AWAITING_PICKUP") {
+      return res.status(409).json({ message: error.message, status: order?.status });
+    }
+    if (error) throw error;
+    const info = order.shipping_info || {};
+    return res.json({
+      success: true,
+      order_id: order.id,
+      payment_status: info.payment_status,
+      payment_proof_status: info.payment_proof_status,
+      rejection_reason: info.payment_proof_rejection_reason || null,
+      reservation_expires_at: info.pickup?.reservation_expires_at || null,
+    });
+  } catch (e) {
+    console.error(`❌ ${decision} payment proof error:`, e);
+    return res.status(500).json({ message: "Failed to review payment proof", error: e.message });
+  }
+};
+
+// 🔹 Admin: approve a submitted proof (marks paid, extends the pickup hold)
+export const approvePaymentProof = reviewProofHandler("approve");
+
+// 🔹 Admin: reject a submitted proof with a reason; the customer is asked to re-upload
+export const rejectPaymentProof = reviewProofHandler("reject");
+
+// 🔹 Admin: buy (or retry) the Shippo label now, outside the queue's backoff schedule
+export const purchaseOrderLabel = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { order, purchased, skipped, error } = await purchaseLabelForOrder(id, { manual: true });
+    if (error?.code === "NOT_FOUND") return res.status(404).json({ message: "Order not found" });
+    if (error?.code === "NO_RATE") return res.status(400).json({ message: error.message });
+    if (skipped === "already_purchased") {
+      return res.status(409).json({ message: "Label already purchased", label_url: order.label_url, tracking_code: order.tracking_code });
+    }
+    if (skipped === "in_progress") return res.status(409).json({ message: "Label purchase already in progress" });
+    if (skipped === "not_shippable") return res.status(409).json({ message: `Order is ${order.status}; no label is bought for it` });
+    if (!purchased) {
+      return res.status(502).json({ message: "Label purchase failed", error: error?.message, label_attempts: order?.label_attempts || [] });
+    }
+    return res.json({
+      success: true,
+      order_id: order.id,
+      tracking_code: order.tracking_code,
+      tracking_url: order.tracking_url,
+      label_url: order.label_url,
+      label_attempts: order.label_attempts || [],
+    });
+  } catch (e) {
+    console.error("❌ purchaseOrderLabel error:", e);
+    return res.status(500).json({ message: "Failed to purchase label" });
+  }
+};
+
+// Shared by the Stripe and manual refund endpoints
+const REFUND_ERROR_STATUS = { NOT_FOUND: 404, INVALID: 400, EXCEEDS: 400, NO_PAYMENT_INTENT: 400, HAS_PAYMENT_INTENT: 400, IN_PROGRESS: 409, STRIPE_FAILED: 502 };
+
+const handleRefund = async (req, res, { manual }) => {
+  try {
+    const { id } = req.params;
+    const { items, shipping, amount, restock = false, reason, paymentMethod, notify = true } = req.body || {};
+    if (items != null && !Array.isArray(items)) {
+      return res.status(400).json({ message: "items must be an array of { order_item_id, quantity }" });
+    }
+    const { data, error } = await refundOrder(id, {
+      items: items || [],
+      shipping,
+      amount,
+      restock: Boolean(restock),
+      reason,
+      manual,
+      paymentMethod,
+      notify: notify !== false,
+      actor: actorFromRequest(req),
+    });
+    if (error) {
+      const status = REFUND_ERROR_STATUS[error.code] || 500;
+      if (status === 500) console.error("❌ refundOrder error:", error);
+      return res.status(status).json({ message: error.message, refund_id: error.refundId });
+    }
+    return res.status(201).json({
+      success: true,
+      refund: data.refund,
+      restock_failures: data.restockFailures,
+      order: {
+        id: data.order.id,
+        status: data.order.status,
+        total_amount: data.order.total_amount,
+        original_total_amount: data.order.original_total_amount,
+        discount_amount: data.order.discount_amount,
+        refund_amount: data.order.refund_amount,
+        refund_status: data.order.refund_status,
+      },
+    });
+  } catch (e) {
+    console.error("❌ Refund error:", e);
+    return res.status(500).json({ message: "Failed to refund order" });
+  }
+};
+
+// 🔹 Admin: refund line items, shipping and/or a custom amount through Stripe
+export const createOrderRefund = (req, res) => handleRefund(req, res, { manual: false });
+
+// 🔹 Admin: record a refund paid outside Stripe (pickup orders paid in person)
+export const recordManualRefund = (req, res) => handleRefund(req, res, { manual: true });
+
+// 🔹 Admin: list refunds issued for an order
+export const listOrderRefunds = async (req, res) => {
+  try {
+    const { data, error } = await getOrderRefunds(req.params.id);
+    if (error) throw error;
+    return res.json({ refunds: data });
+  } catch (e) {
+    console.error("❌ listOrderRefunds error:", e);
+    return res.status(500).json({ message: "Failed to fetch refunds" });
+  }
+};
+
+// 🔹 Admin: add an internal note or a customer-visible message (multipart, attachments[] optional)
+export const addOrderNote = async (req, res) => {
+  try {
+    const { body, visibility = "internal" } = req.body || {};
+    const { data: note, error } = await createOrderNote(req.params.id, {
+      body,
+      visibility,
+      files: req.files || [],
+      actor: actorFromRequest(req),
+    });
+    if (error?.code === "NOT_FOUND") return res.status(404).json({ message: error.message });
+    if (error?.code === "INVALID") return res.status(400).json({ message: error.message });
+    if (error) throw error;
+    return res.status(201).json({ note });
+  } catch (e) {
+    console.error("❌ addOrderNote error:", e);
+    return res.status(500).json({ message: "Failed to add order note" });
+  }
+};
+
+// 🔹 Admin: all notes and messages on an order
+export const getOrderNotes = async (req, res) => {
+  try {
+    const { data, error } = await listOrderNotes(req.params.id);
+    if (error) throw error;
+    return res.json({ notes: data });
+  } catch (e) {
+    console.error("❌ getOrderNotes error:", e);
+    return res.status(500).json({ message: "Failed to fetch order notes" });
+  }
+};
+
+// 🔹 Admin: delete a note (customer messages already emailed stay in the customer's inbox)
+export const removeOrderNote = async (req, res) => {
+  try {
+    const { data, error } = await deleteOrderNote(req.params.id, req.params.noteId);
+    if (error) throw error;
+    if (!data) return res.status(404).json({ message: "Note not found" });
+    return res.json({ success: true, id: data.id });
+  } catch (e) {
+    console.error("❌ removeOrderNote error:", e);
+    return res.status(500).json({ message: "Failed to delete order note" });
+  }
+};
+
 // 🔹 Admin: mark order picked up
 export const markOrderPickedUp = async (req, res) => {
   try {
     const { id } = req.params;
-    const { data: updated, error } = await supabase
-      .from("order")
-      .update({ status: "picked_up" })
-      .eq("id", id)
-      .select()
-      .single();
-    if (error || !updated) return res.status(404).json({ message: "Order not found" });
+    const { data: updated, error } = await transitionOrder(id, ORDER_STATUS.PICKED_UP, { actor: actorFromRequest(req) });
+    if (error) return res.status(transitionErrorStatus(error)).json({ message: error.message, allowed: error.allowed });
     return res.json({ success: true, order_id: updated.id, status: updated.status });
   } catch (e) {
     console.error("❌ markOrderPickedUp error:", e);
@@ -808,47 +1109,65 @@ export const cancelExpiredPickupHolds = async (_req, res) => {
     // Fetch candidate orders
     const { data: orders, error } = await supabase
       .from("order")
-      .select("id, status, shipping_info")
+      .select("id, email, status, total_amount, shipping_info")
       .contains("shipping_info", { shipping_method: "local_pickup" })
-      .in("status", ["awaiting_pickup"]) // only holds
+      .in("status", [ORDER_STATUS.AWAITING_PICKUP]) // only holds
       .order("created_at", { ascending: true });
     if (error) throw error;
 
-    let processed = 0, restocked = 0;
+    let processed = 0, restocked = 0, notified = 0;
     for (const o of orders || []) {
       const exp = o?.shipping_info?.pickup?.reservation_expires_at;
       if (!exp || exp > nowIso) continue; // not expired yet
       // Skip if already marked paid
       const payStatus = (o?.shipping_info?.payment_status || '').toLowerCase();
       if (payStatus === 'paid') continue;
+      // The customer says they paid (Venmo/Zelle proof); an admin decides, not the sweep
+      if (o?.shipping_info?.payment_proof_status === "submitted") continue;
 
-      // Restock items
-      const { data: items } = await supabase
-        .from("order_item")
-        .select("product_id, quantity")
-        .eq("order_id", o.id);
-      if (Array.isArray(items)) {
-        for (const it of items) {
-          const { error: incErr } = await incrementProductQuantity(it.product_id, it.quantity);
-          if (!incErr) restocked++;
-        }
-      }
-
-      // Cancel order and flag in shipping_info
+      // Cancel order and flag in shipping_info (first, so a hold picked up meanwhile is never restocked).
+      // shipping_info is rewritten from this snapshot, so the update only applies if payment, proof and
+      // expiry are still what we read (an approval landing meanwhile wins; the order is skipped)
       const info = { ...(o.shipping_info || {}) };
       info.pickup = { ...(info.pickup || {}), expired_at: nowIso };
-      await supabase
-        .from("order")
-        .update({ status: "canceled", shipping_info: info })
-        .eq("id", o.id);
+      const { changed, error: tErr } = await transitionOrder(o, ORDER_STATUS.CANCELED, {
+        actor: systemActor("pickup-expiry"),
+        reason: "Pickup hold expired unpaid",
+        fields: { shipping_info: info },
+        match: {
+          "shipping_info->>payment_status": o.shipping_info?.payment_status ?? null,
+          "shipping_info->>payment_proof_status": o.shipping_info?.payment_proof_status ?? null,
+          "shipping_info->pickup->>reservation_expires_at": exp,
+        },
+      });
+      if (tErr || !changed) {
+        if (tErr && tErr.code !== "CONFLICT") console.warn(`⚠️ Could not cancel expired pickup ${o.id}:`, tErr.message);
+        continue;
+      }
+
+      // Restock items (once per order, shared with cancel and the refund webhook)
+      restocked += (await restockOrderOnce(o.id)).success;
       processed++;
+      // Tell the customer (at most once, recorded on the order)
+      if (await sendPickupExpiryNotice({ ...o, shipping_info: info })) notified++;
     }
-    return res.json({ success: true, processed, restocked });
+    return res.json({ success: true, processed, restocked, notified });
   } catch (e) {
     console.error("❌ cancelExpiredPickupHolds error:", e);
     return res.status(500).json({ message: "Failed to cancel expired pickup holds" });
   }
 };
+// 🔹 Admin: send due pickup reminders / final warnings now (the in-process worker also runs this)
+export const sendPickupReminders = async (_req, res) => {
+  try {
+    const summary = await processPickupReminders();
+    return res.json({ success: true, ...summary });
+  } catch (e) {
+    console.error("❌ sendPickupReminders error:", e);
+    return res.status(500).json({ message: "Failed to send pickup reminders" });
+  }
+};
+
 // 🔹 Delete order (Admin Only)
 export const deleteOrder = async (req, res) => {
   const { orderId } = req.params;
@@ -907,12 +1226,14 @@ export const getUserOrders = async (req, res) => {
     }
 
     console.log("✅ Orders found:", orders);
+    const messages = await customerMessagesByOrder(orders.map((o) => o.id));
     // Normalize DB snake_case -> frontend camelCase for consistency
     const cleaned = orders.map((o) => ({
       ...o,
       totalAmount: o.total_amount,
       trackingCode: o.tracking_code,
       shippingInfo: o.shipping_info || null,
+      messages: messages[String(o.id)] || [],
     }));
 
     res.json(cleaned);
@@ -949,7 +1270,7 @@ export const getFilteredOrders = async (req, res) => {
     // ✅ Ensure user.email is fetched properly
     const { data: orders, error } = await supabase
       .from("order")
-      .select("*, user!fk_user(email), order_item!fk_order(*, product!fk_product(title, price))")
+      .select(ADMIN_ORDER_SELECT)
       .match(filters)
       .order("created_at", { ascending: false })
       .range((page - 1) * limit, page * limit - 1);
@@ -961,26 +1282,7 @@ export const getFilteredOrders = async (req, res) => {
       limit,
       totalOrders,
       totalPages: Math.ceil(totalOrders / limit),
-      orders: orders.map((order) => {
-        const items = Array.isArray(order.order_item)
-          ? order.order_item.map((oi) => ({
-              productId: oi.product_id,
-              title: oi.product?.title ?? null,
-              quantity: Number(oi.quantity || 0),
-              unitPrice: Number(oi.price || 0),
-              lineTotal: Number(oi.price || 0) * Number(oi.quantity || 0),
-            }))
-          : [];
-
-        return {
-          ...order,
-          customerEmail: order.user?.email || order.email,
-          // normalize DB snake_case to frontend camelCase
-          items,
-          totalAmount: order.total_amount,
-          trackingCode: order.tracking_code,
-        };
-      }),
+      orders: orders.map(toAdminOrder),
     });
   } catch (error) {
     console.error("❌ Error fetching orders:", error);
@@ -988,46 +1290,6 @@ export const getFilteredOrders = async (req, res) => {
   }
 };
 
-export const searchOrdersByEmail = async (req, res) => {
-  try {
-    const { email, page = 1, limit = 10 } = req.query;
-    if (!email) {
-      return res.status(400).json({ message: "Email query is required" });
-    }
-
-    const { count: totalOrders, error: countError } = await supabase
-      .from("order")
-      .select("id", { count: "exact", head: true })
-      .match({
-        user: { email: { contains: email, op: "ilike" } },
-      });
-
-    if (countError) throw countError;
-
-    const { data: orders, error } = await supabase
-      .from("order")
-      .select("User(id, email), Product(id, title, price)")
-      .match({
-        user: { email: { contains: email, op: "ilike" } },
-      })
-      .range((page - 1) * limit, page * limit - 1);
-
-    if (error) throw error;
-
-    res.json({
-      page,
-      limit,
-      totalOrders,
-      totalPages: Math.ceil(totalOrders / limit),
-      orders,
-    });
-  } catch (error) {
-    res
-      .status(500)
-      .json({ message: "Error searching orders", error: error.message });
-  }
-};
-
 // ✅ Function to Track Orders
 export const trackOrder = async (req, res) => {
   const { orderId, email } = req.query;
@@ -1048,17 +1310,45 @@ export const trackOrder = async (req, res) => {
       return res.status(404).json({ error: "Order not found" });
     }
 
-    res.json(order);
+    const messages = await customerMessagesByOrder([order.id]);
+    res.json({ ...order, pickup: pickupSummary(order), messages: messages[String(order.id)] || [] });
   } catch (error) {
     console.error("❌ Error tracking order:", error);
     res.status(500).json({ message: "Error tracking order", error: error.message });
   }
 };
 
+// Customer + admin cancellation emails (fire-and-forget, deduped for a few minutes)
+export const notifyOrderCanceled = (order) => {
+  const orderId = order.id;
+  // Lightweight in-memory guard to prevent duplicate cancel emails
+  if (sentCancelEmails.has(orderId)) {
+    console.log(`[DEBUG] Cancel email for order ${orderId} already sent recently, skipping duplicate.`);
+    return;
+  }
+  sentCancelEmails.add(orderId);
+  setTimeout(() => sentCancelEmails.delete(orderId), CANCEL_EMAIL_SENT_TTL_MS);
+  const subject = "Your Diva Nails Order Has Been Canceled";
+  const htmlContent = `
+    <h2 style="color: #d63384;">Order Canceled</h2>
+    <p>Your order <b>${orderId}</b> has been canceled. If you have any questions, please contact us at <a href="mailto:support@divafactorynails.com">support@divafactorynails.com</a>.</p>
+  `;
+  sendEmail(order.email, subject, htmlContent)
+    .then(() => console.log("✅ Canceled order email sent to", order.email))
+    .catch((err) => console.error("❌ Failed to send canceled order email:", err));
+  // Notify admin about cancellation
+  const adminSubject = `Order ${orderId} Canceled`;
+  const adminHtml = `<p>Order <b>${orderId}</b> has been canceled by the user <b>${order.email}</b>.</p>`;
+  sendEmail(ADMIN_EMAIL, adminSubject, adminHtml)
+    .then(() => console.log("✅ Admin notified of order cancellation at", ADMIN_EMAIL))
+    .catch((err) => console.error("❌ Failed to send admin cancellation notification:", err));
+};
+
 // 🔹 Cancel order (User & Admin)
 export const cancelOrder = async (req, res) => {
   try {
-    const { orderId } = req.params;
+    // Mounted as /orders/:orderId/cancel (user) and /admin/orders/:id/cancel (admin)
+    const orderId = req.params.orderId || req.params.id;
     const userId = req.user?.id;
 
     const { data: order, error: orderError } = await supabase
@@ -1078,66 +1368,27 @@ export const cancelOrder = async (req, res) => {
         .json({ message: "Unauthorized to cancel this order." });
     }
 
-    if (order.status !== "Pending") {
+    if (!canTransition(order, ORDER_STATUS.CANCELED)) {
       return res
         .status(400)
         .json({ message: "Order cannot be canceled after it has been processed." });
     }
 
-    // Fetch order items for restocking
-    let restockSucceeded = 0;
-    let restockFailed = 0;
-    try {
-      const { data: items, error: itemsErr } = await supabase
-        .from("order_item")
-        .select("product_id, quantity")
-        .eq("order_id", orderId);
-      if (itemsErr) {
-        console.warn("⚠️ Could not fetch order items for restock:", itemsErr);
-      } else if (Array.isArray(items)) {
-        for (const it of items) {
-          const { error: incErr } = await incrementProductQuantity(it.product_id, it.quantity);
-            if (incErr) {
-              restockFailed++;
-              console.warn("⚠️ Restock failed for product", it.product_id, incErr);
-            } else {
-              restockSucceeded++;
-              console.log(`🔄 Restocked product ${it.product_id} by ${it.quantity}`);
-            }
-        }
-      }
-    } catch (e) {
-      console.error("❌ Unexpected error during restock loop:", e);
+    // Cancel first: the conditional update makes a double-click cancel (and restock) only once
+    const { changed, error: cancelErr } = await transitionOrder(order, ORDER_STATUS.CANCELED, {
+      actor: actorFromRequest(req),
+      reason: req.body?.reason,
+    });
+    if (cancelErr) {
+      return res.status(transitionErrorStatus(cancelErr)).json({ message: cancelErr.message });
     }
+    if (!changed) return res.json({ message: "Order already canceled." });
 
-    await supabase
-      .from("order")
-      .update({ status: "Canceled" })
-      .eq("id", orderId);
-
-    console.log(`✅ Order ${orderId} canceled. Restock summary: success=${restockSucceeded} failed=${restockFailed}`);
-      // Lightweight in-memory guard to prevent duplicate cancel emails
-      if (!sentCancelEmails.has(orderId)) {
-        sentCancelEmails.add(orderId);
-        setTimeout(() => sentCancelEmails.delete(orderId), CANCEL_EMAIL_SENT_TTL_MS);
-        const subject = "Your Diva Nails Order Has Been Canceled";
-        const htmlContent = `
-          <h2 style=\"color: #d63384;\">Order Canceled</h2>
-          <p>Your order <b>${orderId}</b> has been canceled. If you have any questions, please contact us at <a href=\"mailto:support@divafactorynails.com\">support@divafactorynails.com</a>.</p>
-        `;
-        sendEmail(order.email, subject, htmlContent)
-          .then(() => console.log("✅ Canceled order email sent to", order.email))
-          .catch((err) => console.error("❌ Failed to send canceled order email:", err));
-        // Notify admin about cancellation
-        const adminSubject = `Order ${orderId} Canceled`;
-        const adminHtml = `<p>Order <b>${orderId}</b> has been canceled by the user <b>${order.email}</b>.</p>`;
-        sendEmail(ADMIN_EMAIL, adminSubject, adminHtml)
-          .then(() => console.log("✅ Admin notified of order cancellation at", ADMIN_EMAIL))
-          .catch((err) => console.error("❌ Failed to send admin cancellation notification:", err));
-      } else {
-        console.log(`[DEBUG] Cancel email for order ${orderId} already sent recently, skipping duplicate.`);
-      }
-    res.json({ message: "Order successfully canceled.", restock: { success: restockSucceeded, failed: restockFailed } });
+    const restock = await restockOrderOnce(orderId);
+    await cancelQueuedLabel(orderId);
+    console.log(`✅ Order ${orderId} canceled. Restock summary: success=${restock.success} failed=${restock.failed}`);
+    notifyOrderCanceled(order);
+    res.json({ message: "Order successfully canceled.", restock });
   } catch (error) {
     console.error("❌ Error canceling order:", error);
     res.status(500).json({ message: "Error canceling order", details: error.message });
@@ -1167,6 +1418,21 @@ export const getOrderById = async (req, res) => {
       shippingInfo: order.shipping_info || null,
     };
 
+    // Admin detail view also gets the lifecycle audit trail and the moves available from here
+    const isAdmin = req.user?.role === "admin" || req.user?.isAdmin === true;
+    if (isAdmin) {
+      const { data: history, error: historyErr } = await getOrderStatusHistory(order.id);
+      if (historyErr) console.warn("⚠️ Could not load order status history:", historyErr.message || historyErr);
+      cleaned.statusHistory = history;
+      cleaned.allowedTransitions = allowedTransitions(order);
+      const { data: refunds } = await getOrderRefunds(order.id);
+      cleaned.refunds = refunds;
+      cleaned.refundableAmount = refundableRemaining(order);
+      const { data: notes, error: notesErr } = await listOrderNotes(order.id);
+      if (notesErr) console.warn("⚠️ Could not load order notes:", notesErr.message || notesErr);
+      cleaned.notes = notes;
+    }
+
     res.json(cleaned);
   } catch (err) {
     console.error("❌ Error fetching order by ID:", err);
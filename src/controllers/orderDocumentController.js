@@ -0,0 +1,71 @@
+import supabase from "../../supabaseClient.js";
+import { buildOrderPdf, fetchOrderForDocument, DOCUMENT_ORDER_SELECT } from "../services/orderDocuments.js";
+import { normalizeOrderStatus, ORDER_STATUSES } from "../services/orderLifecycle.js";
+
+const BULK_SLIP_LIMIT = 200;
+
+const sendPdf = (res, doc, filename, { download = false } = {}) => {
+  res.setHeader("Content-Type", "application/pdf");
+  res.setHeader("Content-Disposition", `${download ? "attachment" : "inline"}; filename="${filename}"`);
+  res.setHeader("Cache-Control", "private, no-store");
+  doc.pipe(res);
+};
+
+// 🔹 Invoice PDF (owner or admin)
+export const getInvoicePdf = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const user = req.user || {};
+    const { data: order, error } = await fetchOrderForDocument(id);
+    if (error || !order) return res.status(404).json({ message: "Order not found" });
+
+    const isOwner = String(order.user_id) === String(user.id || user.userId);
+    const isAdmin = (user.role === 'admin' || user.isAdmin === true);
+    if (!isOwner && !isAdmin) {
+      return res.status(403).json({ message: "Not authorized to view this invoice" });
+    }
+
+    sendPdf(res, buildOrderPdf([order], "invoice"), `invoice-${order.id}.pdf`, { download: req.query.download === "1" });
+  } catch (e) {
+    console.error("❌ getInvoicePdf error:", e);
+    if (!res.headersSent) res.status(500).json({ message: "Failed to render invoice" });
+  }
+};
+
+// 🔹 Admin: packing slip PDF for one order
+export const getPackingSlipPdf = async (req, res) => {
+  try {
+    const { data: order, error } = await fetchOrderForDocument(req.params.id);
+    if (error || !order) return res.status(404).json({ message: "Order not found" });
+    sendPdf(res, buildOrderPdf([order], "packingSlip"), `packing-slip-${order.id}.pdf`);
+  } catch (e) {
+    console.error("❌ getPackingSlipPdf error:", e);
+    if (!res.headersSent) res.status(500).json({ message: "Failed to render packing slip" });
+  }
+};
+
+// 🔹 Admin: one PDF with a packing slip per order in a status (?status=Pending, oldest first)
+export const getBulkPackingSlipsPdf = async (req, res) => {
+  try {
+    const status = normalizeOrderStatus(req.query.status);
+    if (!status) {
+      return res.status(400).json({ message: `status is required. Allowed: ${ORDER_STATUSES.join(", ")}` });
+    }
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || BULK_SLIP_LIMIT, 1), BULK_SLIP_LIMIT);
+
+    const { data: orders, error } = await supabase
+      .from("order")
+      .select(DOCUMENT_ORDER_SELECT)
+      .eq("status", status)
+      .order("created_at", { ascending: true })
+      .limit(limit);
+    if (error) throw error;
+    if (!orders?.length) return res.status(404).json({ message: `No ${status} orders` });
+
+    res.setHeader("X-Order-Count", String(orders.length));
+    sendPdf(res, buildOrderPdf(orders, "packingSlip"), `packing-slips-${status}-${new Date().toISOString().slice(0, 10)}.pdf`);
+  } catch (e) {
+    console.error("❌ getBulkPackingSlipsPdf error:", e);
+    if (!res.headersSent) res.status(500).json({ message: "Failed to render packing slips" });
+  }
+};
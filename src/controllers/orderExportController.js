@@ -0,0 +1,60 @@
+import { EXPORT_FORMATS, EXPORT_LAYOUTS, csvLine, exportOrderPages } from "../services/orderExport.js";
+import { normalizeOrderStatus, ORDER_STATUSES } from "../services/orderLifecycle.js";
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}(T[\d:.]+Z?)?$/;
+
+// 🔹 Admin: stream orders as CSV
+// GET /admin/orders/export?from=2026-09-01&to=2026-09-30&status=Delivered&brandSegment=...&shippingMethod=shipping&layout=orders|lines|quickbooks|xero
+export const exportOrders = async (req, res) => {
+  const { from, to, brandSegment, shippingMethod } = req.query;
+  const layout = String(req.query.layout || "orders").toLowerCase();
+
+  if (!EXPORT_LAYOUTS.includes(layout)) {
+    return res.status(400).json({ message: `layout invalid. Allowed: ${EXPORT_LAYOUTS.join(", ")}` });
+  }
+  if ((from && !DATE_RE.test(from)) || (to && !DATE_RE.test(to))) {
+    return res.status(400).json({ message: "from/to must be dates (YYYY-MM-DD)" });
+  }
+  let status = null;
+  if (req.query.status) {
+    status = normalizeOrderStatus(req.query.status);
+    if (!status) return res.status(400).json({ message: `status invalid. Allowed: ${ORDER_STATUSES.join(", ")}` });
+  }
+  if (shippingMethod && !["local_pickup", "shipping"].includes(shippingMethod)) {
+    return res.status(400).json({ message: "shippingMethod must be local_pickup or shipping" });
+  }
+
+  const format = EXPORT_FORMATS[layout];
+  const filters = { from, to, status, brandSegment, shippingMethod };
+  const pages = exportOrderPages(filters);
+
+  try {
+    // Fetch the first page before committing to a 200 so query errors still get a JSON response
+    const first = await pages.next();
+    const stamp = [from, to].filter(Boolean).join("_to_") || new Date().toISOString().slice(0, 10);
+    res.setHeader("Content-Type", "text/csv; charset=utf-8");
+    res.setHeader("Content-Disposition", `attachment; filename="orders-${layout}-${stamp}.csv"`);
+    res.setHeader("Cache-Control", "private, no-store");
+    res.write(csvLine(format.columns));
+
+    let exported = 0;
+    const writeOrders = (orders) => {
+      for (const order of orders) {
+        for (const row of format.rows(order)) res.write(csvLine(row));
+        exported++;
+      }
+    };
+    if (!first.done) writeOrders(first.value);
+    for await (const orders of pages) {
+      if (res.destroyed) return; // client went away
+      writeOrders(orders);
+    }
+    if (process.env.NODE_ENV !== 'production') console.log(`📤 Exported ${exported} order(s) as ${layout}`);
+    res.end();
+  } catch (error) {
+    console.error("❌ exportOrders error:", error);
+    if (!res.headersSent) return res.status(500).json({ message: "Failed to export orders", error: error.message });
+    // Mid-stream failure: cut the download short rather than hand over a silently truncated file
+    res.destroy(error);
+  }
+};
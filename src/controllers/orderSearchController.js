@@ -0,0 +1,93 @@
+import { MAX_SEARCH_LIMIT, SEARCH_SORTS, decodeCursor, searchOrders as runSearch, toAdminOrder } from "../services/orderSearch.js";
+import { normalizeOrderStatus, ORDER_STATUSES } from "../services/orderLifecycle.js";
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}(T[\d:.]+Z?)?$/;
+const PAYMENT_STATUSES = ["paid", "unpaid", "partially_refunded", "refunded", "failed", "expired"];
+const PROOF_STATUSES = ["none", "submitted", "approved", "rejected"];
+
+const list = (v) => (Array.isArray(v) ? v.join(",") : String(v ?? "")).split(",").map((s) => s.trim()).filter(Boolean);
+
+// 🔹 Admin: search orders with any combination of filters
+// GET /admin/orders/search?orderId=3fa8&customer=jane&tracking=9400&product=toy&from=2026-10-12&to=2026-10-19
+//   &minTotal=20&maxTotal=200&brandSegment=toys&shippingMethod=local_pickup&status=awaiting_pickup
+//   &paymentStatus=unpaid&proofStatus=none,submitted&sort=created_at|total_amount&order=desc&limit=25&cursor=...
+export const searchOrders = async (req, res) => {
+  const q = req.query;
+  const customer = q.customer || q.email; // `email` kept for older dashboard builds
+
+  if ((q.from && !DATE_RE.test(q.from)) || (q.to && !DATE_RE.test(q.to))) {
+    return res.status(400).json({ message: "from/to must be dates (YYYY-MM-DD)" });
+  }
+  const minTotal = q.minTotal != null && q.minTotal !== "" ? Number(q.minTotal) : null;
+  const maxTotal = q.maxTotal != null && q.maxTotal !== "" ? Number(q.maxTotal) : null;
+  if ((minTotal != null && !Number.isFinite(minTotal)) || (maxTotal != null && !Number.isFinite(maxTotal))) {
+    return res.status(400).json({ message: "minTotal/maxTotal must be numbers" });
+  }
+  if (q.shippingMethod && !["local_pickup", "shipping"].includes(q.shippingMethod)) {
+    return res.status(400).json({ message: "shippingMethod must be local_pickup or shipping" });
+  }
+
+  const status = list(q.status).map(normalizeOrderStatus);
+  if (status.includes(null)) {
+    return res.status(400).json({ message: `status invalid. Allowed: ${ORDER_STATUSES.join(", ")}` });
+  }
+  const paymentStatus = list(q.paymentStatus).map((s) => s.toLowerCase());
+  if (paymentStatus.some((s) => !PAYMENT_STATUSES.includes(s))) {
+    return res.status(400).json({ message: `paymentStatus invalid. Allowed: ${PAYMENT_STATUSES.join(", ")}` });
+  }
+  const proofStatus = list(q.proofStatus).map((s) => s.toLowerCase());
+  if (proofStatus.some((s) => !PROOF_STATUSES.includes(s))) {
+    return res.status(400).json({ message: `proofStatus invalid. Allowed: ${PROOF_STATUSES.join(", ")}` });
+  }
+
+  const sort = String(q.sort || "created_at");
+  if (!SEARCH_SORTS.includes(sort)) {
+    return res.status(400).json({ message: `sort invalid. Allowed: ${SEARCH_SORTS.join(", ")}` });
+  }
+  const ascending = String(q.order || "desc").toLowerCase() === "asc";
+  const limit = parseInt(q.limit ?? 25, 10);
+  if (isNaN(limit) || limit < 1 || limit > MAX_SEARCH_LIMIT) {
+    return res.status(400).json({ message: `limit must be between 1 and ${MAX_SEARCH_LIMIT}` });
+  }
+  const cursor = q.cursor ? decodeCursor(q.cursor) : null;
+  if (q.cursor && !cursor) return res.status(400).json({ message: "cursor invalid" });
+
+  const filters = {
+    orderId: q.orderId,
+    customer,
+    tracking: q.tracking,
+    product: q.product,
+    from: q.from,
+    to: q.to,
+    minTotal,
+    maxTotal,
+    brandSegment: q.brandSegment,
+    shippingMethod: q.shippingMethod,
+    status,
+    paymentStatus,
+    proofStatus,
+  };
+
+  try {
+    const { data, error } = await runSearch(filters, {
+      sort,
+      ascending,
+      limit,
+      cursor,
+      withTotal: q.includeTotal === "true",
+    });
+    if (error) throw error;
+
+    res.json({
+      limit,
+      sort,
+      order: ascending ? "asc" : "desc",
+      nextCursor: data.nextCursor,
+      ...(data.total !== undefined ? { totalOrders: data.total } : {}),
+      orders: data.orders.map(toAdminOrder),
+    });
+  } catch (error) {
+    console.error("❌ Error searching orders:", error);
+    res.status(500).json({ message: "Error searching orders", error: error.message });
+  }
+};
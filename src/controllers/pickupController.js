@@ -0,0 +1,385 @@
+import supabase from "../../supabaseClient.js";
+import sendEmail from "../services/emailServices.js";
+import { actorFromRequest } from "../services/orderLifecycle.js";
+import {
+  verifyPickupCode,
+  completePickupCheckIn,
+  rotatePickupCode,
+  pickupQrAttachment,
+  pickupQrHtml,
+} from "../services/pickupCheckIn.js";
+import {
+  LOCATION_SELECT,
+  listPickupLocations,
+  getPickupLocation,
+  slotsForLocation,
+  bookingsForDay,
+  zonedDate,
+  isLocationOpenForBooking,
+  pickupSummary,
+} from "../services/pickupScheduling.js";
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_RE = /^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/;
+
+const isTimeZone = (tz) => {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: tz });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+// Public fields of a location (no capacity tuning)
+const publicLocation = (l) => ({
+  id: l.id,
+  name: l.name,
+  address: l.address,
+  instructions: l.instructions,
+  timezone: l.timezone,
+  event_date: l.event_date || null,
+  popup_event: l.popup_events || null,
+  contact_email: l.contact_email || null,
+  contact_phone: l.contact_phone || null,
+});
+
+// Build a DB row from the request body. `partial` skips required-field checks for updates.
+// Returns { row } or { error } with a client-facing message.
+const buildLocationRow = (body = {}, partial = false) => {
+  const row = {};
+  const has = (k) => body[k] !== undefined;
+
+  if (has("name") || !partial) {
+    const name = String(body.name || "").trim();
+    if (!name) return { error: "name required" };
+    row.name = name;
+  }
+  for (const [key, col] of [["address", "address"], ["instructions", "instructions"], ["contactEmail", "contact_email"], ["contactPhone", "contact_phone"]]) {
+    const raw = body[key] ?? body[col];
+    if (raw !== undefined) row[col] = raw ? String(raw).trim() : null;
+  }
+  if (row.contact_email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(row.contact_email)) {
+    return { error: "contact_email must be an email address" };
+  }
+  // A popup event location is a one-day pickup spot at that event
+  const eventId = body.popupEventId ?? body.popup_event_id;
+  if (eventId !== undefined) row.popup_event_id = eventId || null;
+  const eventDate = body.eventDate ?? body.event_date;
+  if (eventDate !== undefined) {
+    if (eventDate && !DATE_RE.test(eventDate)) return { error: "event_date must be a date (YYYY-MM-DD)" };
+    row.event_date = eventDate || null;
+  }
+  if (has("timezone")) {
+    if (!isTimeZone(body.timezone)) return { error: "timezone must be an IANA zone like America/Los_Angeles" };
+    row.timezone = body.timezone;
+  }
+  const ints = [
+    ["slotMinutes", "slot_minutes", 5, 480],
+    ["slotCapacity", "slot_capacity", 1, 1000],
+    ["minLeadMinutes", "min_lead_minutes", 0, 60 * 24 * 7],
+    ["bookingHorizonDays", "booking_horizon_days", 1, 90],
+    ["holdGraceMinutes", "hold_grace_minutes", 0, 60 * 24 * 7],
+  ];
+  for (const [key, col, min, max] of ints) {
+    const raw = body[key] ?? body[col];
+    if (raw === undefined) continue;
+    const n = parseInt(raw, 10);
+    if (!Number.isFinite(n) || n < min || n > max) return { error: `${col} must be an integer between ${min} and ${max}` };
+    row[col] = n;
+  }
+  if (has("active")) row.active = body.active === true || body.active === "true";
+  return { row };
+};
+
+const popupEventExists = async (id) => {
+  const { data } = await supabase.from("popup_events").select("id").eq("id", id).maybeSingle();
+  return Boolean(data);
+};
+
+// 🔹 Public: active pickup locations
+export const getPickupLocations = async (_req, res) => {
+  try {
+    const { data, error } = await listPickupLocations({ activeOnly: true });
+    if (error) throw error;
+    res.json({ locations: data.map(publicLocation) });
+  } catch (error) {
+    console.error("❌ getPickupLocations error:", error);
+    res.status(500).json({ message: "Error fetching pickup locations", error: error.message });
+  }
+};
+
+// 🔹 Public: open pickup slots
+// GET /pickup/slots?locationId=...&from=2026-10-20&days=7
+export const getOpenPickupSlots = async (req, res) => {
+  const { locationId, from } = req.query;
+  if (from && !DATE_RE.test(from)) return res.status(400).json({ message: "from must be a date (YYYY-MM-DD)" });
+  try {
+    let locations;
+    if (locationId) {
+      const { data, error } = await getPickupLocation(locationId, { activeOnly: true });
+      if (error) throw error;
+      if (!data || !isLocationOpenForBooking(data)) return res.status(404).json({ message: "Pickup location not found" });
+      locations = [data];
+    } else {
+      const { data, error } = await listPickupLocations({ activeOnly: true });
+      if (error) throw error;
+      locations = data;
+    }
+
+    const result = [];
+    for (const location of locations) {
+      const slots = await slotsForLocation(location, { fromDate: from, days: req.query.days });
+      result.push({ ...publicLocation(location), slots: slots.filter((s) => s.remaining > 0) });
+    }
+    res.json({ locations: result });
+  } catch (error) {
+    console.error("❌ getOpenPickupSlots error:", error);
+    res.status(500).json({ message: "Error fetching pickup slots", error: error.message });
+  }
+};
+
+// 🔹 Admin: all locations with hours and blackouts
+export const getAllPickupLocations = async (_req, res) => {
+  try {
+    const { data, error } = await listPickupLocations({ activeOnly: false });
+    if (error) throw error;
+    res.json(data);
+  } catch (error) {
+    res.status(500).json({ message: "Error fetching pickup locations", error: error.message });
+  }
+};
+
+// 🔹 Admin: create location
+export const createPickupLocation = async (req, res) => {
+  try {
+    const { row, error: validationError } = buildLocationRow(req.body, false);
+    if (validationError) return res.status(400).json({ message: validationError });
+    if (row.popup_event_id && !(await popupEventExists(row.popup_event_id))) {
+      return res.status(400).json({ message: "popup_event_id not found" });
+    }
+    const { data, error } = await supabase.from("pickup_location").insert([row]).select(LOCATION_SELECT).single();
+    if (error) throw error;
+    res.status(201).json(data);
+  } catch (error) {
+    res.status(500).json({ message: "Error creating pickup location", error: error.message });
+  }
+};
+
+// 🔹 Admin: update location
+export const updatePickupLocation = async (req, res) => {
+  try {
+    const { row, error: validationError } = buildLocationRow(req.body, true);
+    if (validationError) return res.status(400).json({ message: validationError });
+    if (row.popup_event_id && !(await popupEventExists(row.popup_event_id))) {
+      return res.status(400).json({ message: "popup_event_id not found" });
+    }
+    const { data, error } = await supabase
+      .from("pickup_location")
+      .update({ ...row, updated_at: new Date().toISOString() })
+      .eq("id", req.params.id)
+      .select(LOCATION_SELECT)
+      .maybeSingle();
+    if (error) throw error;
+    if (!data) return res.status(404).json({ message: "Pickup location not found" });
+    res.json(data);
+  } catch (error) {
+    res.status(500).json({ message: "Error updating pickup location", error: error.message });
+  }
+};
+
+// 🔹 Admin: retire a location (kept for existing bookings; no new slots are offered)
+export const deactivatePickupLocation = async (req, res) => {
+  try {
+    const { data, error } = await supabase
+      .from("pickup_location")
+      .update({ active: false, updated_at: new Date().toISOString() })
+      .eq("id", req.params.id)
+      .select("id")
+      .maybeSingle();
+    if (error) throw error;
+    if (!data) return res.status(404).json({ message: "Pickup location not found" });
+    res.json({ message: "Pickup location deactivated" });
+  } catch (error) {
+    res.status(500).json({ message: "Error deactivating pickup location", error: error.message });
+  }
+};
+
+// 🔹 Admin: replace weekly hours
+// PUT /admin/pickup/locations/:id/hours { hours: [{ weekday: 0-6 (Sun-Sat), opens_at: "10:00", closes_at: "18:00" }] }
+export const setPickupHours = async (req, res) => {
+  const { hours } = req.body || {};
+  if (!Array.isArray(hours)) return res.status(400).json({ message: "hours must be an array" });
+  const rows = [];
+  for (const h of hours) {
+    const weekday = Number(h?.weekday);
+    if (!Number.isInteger(weekday) || weekday < 0 || weekday > 6) {
+      return res.status(400).json({ message: "weekday must be 0 (Sunday) through 6 (Saturday)" });
+    }
+    if (!TIME_RE.test(h.opens_at || "") || !TIME_RE.test(h.closes_at || "") || h.closes_at.slice(0, 5) <= h.opens_at.slice(0, 5)) {
+      return res.status(400).json({ message: "opens_at/closes_at must be HH:MM with closes_at after opens_at" });
+    }
+    rows.push({ location_id: req.params.id, weekday, opens_at: h.opens_at, closes_at: h.closes_at });
+  }
+  try {
+    const { data: location, error: findErr } = await getPickupLocation(req.params.id);
+    if (findErr) throw findErr;
+    if (!location) return res.status(404).json({ message: "Pickup location not found" });
+
+    const { error: delErr } = await supabase.from("pickup_hours").delete().eq("location_id", location.id);
+    if (delErr) throw delErr;
+    if (rows.length) {
+      const { error: insErr } = await supabase.from("pickup_hours").insert(rows);
+      if (insErr) throw insErr;
+    }
+    const { data } = await getPickupLocation(location.id);
+    res.json(data);
+  } catch (error) {
+    res.status(500).json({ message: "Error saving pickup hours", error: error.message });
+  }
+};
+
+// 🔹 Admin: add a blackout (closed) date range
+// POST /admin/pickup/locations/:id/blackouts { starts_on: "2026-12-24", ends_on?: "2026-12-26", reason? }
+export const addPickupBlackout = async (req, res) => {
+  const { starts_on, reason } = req.body || {};
+  const ends_on = req.body?.ends_on || starts_on;
+  if (!DATE_RE.test(starts_on || "") || !DATE_RE.test(ends_on || "") || ends_on < starts_on) {
+    return res.status(400).json({ message: "starts_on/ends_on must be dates (YYYY-MM-DD), ends_on not before starts_on" });
+  }
+  try {
+    const { data, error } = await supabase
+      .from("pickup_blackout")
+      .insert([{ location_id: req.params.id, starts_on, ends_on, reason: reason || null }])
+      .select()
+      .single();
+    if (error) throw error;
+    res.status(201).json(data);
+  } catch (error) {
+    res.status(500).json({ message: "Error adding blackout", error: error.message });
+  }
+};
+
+// 🔹 Admin: remove a blackout
+export const deletePickupBlackout = async (req, res) => {
+  try {
+    const { error } = await supabase
+      .from("pickup_blackout")
+      .delete()
+      .eq("id", req.params.blackoutId)
+      .eq("location_id", req.params.id);
+    if (error) throw error;
+    res.json({ message: "Blackout removed" });
+  } catch (error) {
+    res.status(500).json({ message: "Error removing blackout", error: error.message });
+  }
+};
+
+// 🔹 Admin: the day's bookings for a location, by slot
+// GET /admin/pickup/locations/:id/bookings?date=2026-10-20
+export const getPickupBookings = async (req, res) => {
+  try {
+    const { data: location, error: findErr } = await getPickupLocation(req.params.id);
+    if (findErr) throw findErr;
+    if (!location) return res.status(404).json({ message: "Pickup location not found" });
+    const date = req.query.date || zonedDate(new Date(), location.timezone);
+    if (!DATE_RE.test(date)) return res.status(400).json({ message: "date must be YYYY-MM-DD" });
+
+    const { data: bookings, error } = await bookingsForDay(location, date);
+    if (error) throw error;
+    const orderIds = bookings.map((b) => b.order_id);
+    const { data: orders, error: ordersErr } = orderIds.length
+      ? await supabase.from("order").select("id, status, email, total_amount, shipping_info").in("id", orderIds)
+      : { data: [], error: null };
+    if (ordersErr) throw ordersErr;
+    const byId = new Map((orders || []).map((o) => [String(o.id), o]));
+
+    res.json({
+      location: publicLocation(location),
+      date,
+      bookings: bookings.map((b) => {
+        const o = byId.get(String(b.order_id));
+        return {
+          ...b,
+          status: o?.status || null,
+          email: o?.email || null,
+          customer_name: o?.shipping_info?.customer?.name || null,
+          total_amount: o?.total_amount ?? null,
+          payment_status: o?.shipping_info?.payment_status || null,
+        };
+      }),
+    });
+  } catch (error) {
+    res.status(500).json({ message: "Error fetching pickup bookings", error: error.message });
+  }
+};
+
+const CHECK_IN_ERROR_STATUS = { INVALID_CODE: 400, INVALID: 400, NOT_FOUND: 404, USED: 409, NOT_AWAITING: 409, PAYMENT_REQUIRED: 400 };
+
+// 🔹 Staff: scan a pickup QR code → order items and amount due (does not use up the code)
+// POST /admin/pickup/check-in/verify { code }
+export const verifyPickupCheckIn = async (req, res) => {
+  try {
+    const { data, error } = await verifyPickupCode(req.body?.code);
+    if (error) {
+      const status = CHECK_IN_ERROR_STATUS[error.code] || 500;
+      if (status === 500) throw error;
+      return res.status(status).json({ message: error.message, code: error.code, order: data });
+    }
+    res.json({ valid: true, order: data });
+  } catch (error) {
+    console.error("❌ verifyPickupCheckIn error:", error);
+    res.status(500).json({ message: "Error verifying pickup code", error: error.message });
+  }
+};
+
+// 🔹 Staff: hand over the order — records payment and marks it picked up in one step
+// POST /admin/pickup/check-in/complete { code, paymentMethod: cash|card_in_person|venmo|zelle, reference? }
+export const completePickupCheckInHandler = async (req, res) => {
+  try {
+    const { code, paymentMethod, reference } = req.body || {};
+    const { data, error } = await completePickupCheckIn(code, { paymentMethod, reference, actor: actorFromRequest(req) });
+    if (error) {
+      const status = CHECK_IN_ERROR_STATUS[error.code] || 500;
+      if (status === 500) throw error;
+      return res.status(status).json({ message: error.message, code: error.code });
+    }
+    if (process.env.NODE_ENV !== 'production') console.log(`✅ Order ${data.order_id} checked in and picked up`);
+    res.json({ success: true, order: data });
+  } catch (error) {
+    console.error("❌ completePickupCheckIn error:", error);
+    res.status(500).json({ message: "Error completing pickup check-in", error: error.message });
+  }
+};
+
+// 🔹 Admin: issue a fresh pickup code (old ones stop working) and email it to the customer
+// POST /admin/pickup/orders/:id/code
+export const resendPickupCode = async (req, res) => {
+  try {
+    const { data, error } = await rotatePickupCode(req.params.id);
+    if (error?.code === "NOT_FOUND") return res.status(404).json({ message: error.message });
+    if (error) throw error;
+    const { order, code } = data;
+    let emailed = false;
+    if (order.email) {
+      const p = pickupSummary(order) || {};
+      const html = `
+        <div style="font-family: Arial, sans-serif; padding:16px">
+          <h2 style="color:#d63384">Your pickup code</h2>
+          <p>Order <b>${order.id}</b>${p.when ? ` — pickup <b>${p.when}</b>` : ""}${p.location_name ? ` at <b>${p.location_name}</b>` : ""}.</p>
+          ${pickupQrHtml()}
+          <p>This code replaces any earlier one we sent.</p>
+        </div>`;
+      try {
+        await sendEmail(order.email, `Your pickup code for order ${order.id}`, html, undefined, [await pickupQrAttachment(code)]);
+        emailed = true;
+      } catch (err) {
+        console.error("❌ Failed to send pickup code email:", err);
+      }
+    }
+    res.json({ success: true, order_id: order.id, emailed });
+  } catch (error) {
+    console.error("❌ resendPickupCode error:", error);
+    res.status(500).json({ message: "Error issuing pickup code", error: error.message });
+  }
+};
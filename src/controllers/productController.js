@@ -1,4 +1,5 @@
 import supabase from "../../supabaseClient.js";
+import { withAvailability } from "../services/stockReservationService.js";
 
 
 // Helper to map DB row to API shape (camelCase)
@@ -9,11 +10,44 @@ const mapProductRow = (row) => {
     bestSeller: row.best_seller,
     brandSegment: row.brand_segment || row.brandSegment, // ensure camelCase
     categorySlug: row.category_slug || row.categorySlug,
+    hsCode: row.hs_code ?? null,
+    originCountry: row.origin_country ?? null,
+    customsValue: row.customs_value ?? null,
+    customsDescription: row.customs_description ?? null,
     category: row.category ? { id: row.category.id, name: row.category.name } : null,
   };
 };
 
 
+// Customs fields (international shipping). Only keys present in the body are returned,
+// so updates leave the others untouched. Returns { fields } or { error }.
+const customsFieldsFromBody = (body = {}) => {
+  const fields = {};
+  const pick = (camel, snake) => (body[camel] !== undefined ? body[camel] : body[snake]);
+
+  const hsCode = pick("hsCode", "hs_code");
+  if (hsCode !== undefined) {
+    const digits = String(hsCode ?? "").replace(/[.\s]/g, "");
+    if (digits && !/^\d{6,10}$/.test(digits)) return { error: "hsCode must be 6–10 digits (dots allowed)" };
+    fields.hs_code = digits || null;
+  }
+  const origin = pick("originCountry", "origin_country");
+  if (origin !== undefined) {
+    const code = String(origin ?? "").trim().toUpperCase();
+    if (code && !/^[A-Z]{2}$/.test(code)) return { error: "originCountry must be a 2-letter country code" };
+    fields.origin_country = code || null;
+  }
+  const value = pick("customsValue", "customs_value");
+  if (value !== undefined) {
+    const n = value === null || `${value}` === "" ? null : Number(value);
+    if (n !== null && (!Number.isFinite(n) || n < 0)) return { error: "customsValue must be a non-negative number" };
+    fields.customs_value = n;
+  }
+  const description = pick("customsDescription", "customs_description");
+  if (description !== undefined) fields.customs_description = description ? String(description).trim().slice(0, 100) : null;
+  return { fields };
+};
+
 // ↓↓↓ ADD THIS EXPORT ↓↓↓
 export const decrementProductQuantity = async (productId, qty = 1) => {
   const n = Number.parseInt(String(qty), 10);
@@ -111,7 +145,8 @@ export const getProductById = async (req, res) => {
       return res.status(404).json({ message: "Product not found" });
     }
 
-    res.json(mapProductRow(product));
+    const [withStock] = await withAvailability([product]);
+    res.json(mapProductRow(withStock));
   } catch (error) {
     res.status(500).json({ message: "Server error", error: error.message });
   }
@@ -274,6 +309,9 @@ export const getAllProducts = async (req, res) => {
       if (filtered.length !== before) postFilterApplied = true;
     }
 
+    // Report stock held by open checkout sessions alongside on-hand quantity
+    filtered = await withAvailability(filtered);
+
     res.json({
       page,
       limit,
@@ -333,6 +371,8 @@ export const addProduct = async (req, res) => {
     if (!ALLOWED_BRANDS.has(effectiveBrandSegment)) {
       return res.status(400).json({ message: 'Invalid brandSegment' });
     }
+    const { fields: customsFields, error: customsError } = customsFieldsFromBody(req.body);
+    if (customsError) return res.status(400).json({ message: customsError });
 
     const insertData = {
       title,
@@ -347,6 +387,7 @@ export const addProduct = async (req, res) => {
       height_in: heightIn !== undefined && heightIn !== null && `${heightIn}` !== "" ? Number(heightIn) : null,
       brand_segment: effectiveBrandSegment,
       category_slug: effectiveCategorySlug,
+      ...customsFields,
     };
 
     const { data: product, error } = await supabase
@@ -398,6 +439,8 @@ export const updateProduct = async (req, res) => {
     if (!ALLOWED_BRANDS.has(effectiveBrandSegment)) {
       return res.status(400).json({ message: 'Invalid brandSegment' });
     }
+    const { fields: customsFields, error: customsError } = customsFieldsFromBody(req.body);
+    if (customsError) return res.status(400).json({ message: customsError });
 
     const updateData = {
       ...(title != null ? { title } : {}),
@@ -412,6 +455,7 @@ export const updateProduct = async (req, res) => {
       ...(heightIn != null ? { height_in: Number(heightIn) } : {}),
       brand_segment: effectiveBrandSegment,
       category_slug: effectiveCategorySlug,
+      ...customsFields,
     };
 
     const { data: updatedProduct, error } = await supabase
@@ -0,0 +1,174 @@
+import supabase from "../../supabaseClient.js";
+import { PROMOTION_TYPES } from "../services/promotionService.js";
+
+const ALLOWED_BRANDS = new Set(["nails", "toys", "accessories"]);
+
+const toList = (v) => {
+  if (v == null || v === "") return [];
+  if (Array.isArray(v)) return v.map((x) => String(x).trim()).filter(Boolean);
+  return String(v).split(",").map((x) => x.trim()).filter(Boolean);
+};
+
+const toIsoOrNull = (v) => {
+  if (v == null || v === "") return null;
+  const ms = Date.parse(v);
+  return Number.isFinite(ms) ? new Date(ms).toISOString() : undefined;
+};
+
+// Build a DB row from the request body. `partial` skips required-field checks for updates.
+// Returns { row } or { error } with a client-facing message.
+const buildPromotionRow = (body = {}, partial = false) => {
+  const row = {};
+  const has = (k) => body[k] !== undefined;
+
+  if (has("name") || !partial) {
+    const name = String(body.name || "").trim();
+    if (!name) return { error: "name required" };
+    row.name = name;
+  }
+  if (has("description")) row.description = body.description || null;
+
+  const type = body.discountType ?? body.discount_type;
+  if (type !== undefined || !partial) {
+    const t = String(type || "").trim().toLowerCase();
+    if (!PROMOTION_TYPES.has(t)) return { error: "discount_type must be 'percent' or 'fixed'" };
+    row.discount_type = t;
+  }
+  if (has("amount") || !partial) {
+    const amount = Number(body.amount);
+    if (!Number.isFinite(amount) || amount <= 0) return { error: "amount must be a positive number" };
+    row.amount = amount;
+  }
+  if (row.discount_type === "percent" && row.amount > 100) {
+    return { error: "percent amount cannot exceed 100" };
+  }
+
+  for (const [key, col] of [["startsAt", "starts_at"], ["endsAt", "ends_at"]]) {
+    const raw = body[key] ?? body[col];
+    if (raw === undefined) continue;
+    const iso = toIsoOrNull(raw);
+    if (iso === undefined) return { error: `${col} must be a valid date` };
+    row[col] = iso;
+  }
+  if (row.starts_at && row.ends_at && row.starts_at >= row.ends_at) {
+    return { error: "ends_at must be after starts_at" };
+  }
+
+  const brands = body.brandSegments ?? body.brand_segments;
+  if (brands !== undefined) {
+    row.brand_segments = toList(brands).map((b) => b.toLowerCase());
+    if (row.brand_segments.some((b) => !ALLOWED_BRANDS.has(b))) {
+      return { error: `brand_segments invalid. Allowed: ${Array.from(ALLOWED_BRANDS).join(", ")}` };
+    }
+  }
+  const categories = body.categorySlugs ?? body.category_slugs;
+  if (categories !== undefined) row.category_slugs = toList(categories).map((c) => c.toLowerCase());
+  const productIds = body.productIds ?? body.product_ids;
+  if (productIds !== undefined) row.product_ids = toList(productIds);
+
+  const minSubtotal = body.minSubtotal ?? body.min_subtotal;
+  if (minSubtotal !== undefined) {
+    const n = Number(minSubtotal || 0);
+    if (!Number.isFinite(n) || n < 0) return { error: "min_subtotal must be a non-negative number" };
+    row.min_subtotal = n;
+  }
+  const priority = body.priority;
+  if (priority !== undefined) {
+    const n = parseInt(priority, 10);
+    if (!Number.isFinite(n)) return { error: "priority must be an integer" };
+    row.priority = n;
+  }
+  for (const [key, col] of [["active", "active"], ["stackable", "stackable"], ["combinableWithCodes", "combinable_with_codes"]]) {
+    const raw = body[key] ?? body[col];
+    if (raw === undefined) continue;
+    row[col] = raw === true || raw === "true";
+  }
+
+  return { row };
+};
+
+// 🔹 List promotions (Admin)
+export const getAllPromotions = async (req, res) => {
+  try {
+    const { active } = req.query;
+    let query = supabase
+      .from("promotion")
+      .select("*")
+      .order("priority", { ascending: false })
+      .order("created_at", { ascending: true });
+    if (active === "true" || active === "false") query = query.eq("active", active === "true");
+    const { data, error } = await query;
+    if (error) throw error;
+    res.json(data || []);
+  } catch (error) {
+    res.status(500).json({ message: "Error fetching promotions", error: error.message });
+  }
+};
+
+// 🔹 Get a single promotion (Admin)
+export const getPromotionById = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { data, error } = await supabase.from("promotion").select("*").eq("id", id).single();
+    if (error || !data) return res.status(404).json({ message: "Promotion not found" });
+    res.json(data);
+  } catch (error) {
+    res.status(500).json({ message: "Error fetching promotion", error: error.message });
+  }
+};
+
+// 🔹 Create promotion (Admin)
+export const createPromotion = async (req, res) => {
+  try {
+    const { row, error: validationError } = buildPromotionRow(req.body, false);
+    if (validationError) return res.status(400).json({ message: validationError });
+    const { data, error } = await supabase.from("promotion").insert([row]).select("*").single();
+    if (error) throw error;
+    res.status(201).json(data);
+  } catch (error) {
+    res.status(500).json({ message: "Error creating promotion", error: error.message });
+  }
+};
+
+// 🔹 Update promotion (Admin)
+export const updatePromotion = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { row, error: validationError } = buildPromotionRow(req.body, true);
+    if (validationError) return res.status(400).json({ message: validationError });
+
+    // Cross-field checks need the stored values for fields not in this update
+    const { data: existing, error: findErr } = await supabase.from("promotion").select("*").eq("id", id).single();
+    if (findErr || !existing) return res.status(404).json({ message: "Promotion not found" });
+    const merged = { ...existing, ...row };
+    if (merged.discount_type === "percent" && Number(merged.amount) > 100) {
+      return res.status(400).json({ message: "percent amount cannot exceed 100" });
+    }
+    if (merged.starts_at && merged.ends_at && Date.parse(merged.starts_at) >= Date.parse(merged.ends_at)) {
+      return res.status(400).json({ message: "ends_at must be after starts_at" });
+    }
+
+    const { data, error } = await supabase
+      .from("promotion")
+      .update({ ...row, updated_at: new Date().toISOString() })
+      .eq("id", id)
+      .select("*")
+      .single();
+    if (error) throw error;
+    res.json(data);
+  } catch (error) {
+    res.status(500).json({ message: "Error updating promotion", error: error.message });
+  }
+};
+
+// 🔹 Delete promotion (Admin)
+export const deletePromotion = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { error } = await supabase.from("promotion").delete().eq("id", id);
+    if (error) throw error;
+    res.json({ message: "Promotion deleted" });
+  } catch (error) {
+    res.status(500).json({ message: "Error deleting promotion", error: error.message });
+  }
+};
@@ -0,0 +1,437 @@
+import supabase from "../../supabaseClient.js";
+import sendEmail from "../services/emailServices.js";
+import { incrementProductQuantity } from "./productController.js";
+import { purchaseReturnLabel } from "../routes/shippingQuote.js";
+import { uploadOrderFile, signedOrderFileUrl, safeFileName } from "../services/orderStorage.js";
+import { ORDER_STATUS, actorFromRequest } from "../services/orderLifecycle.js";
+import { refundOrder } from "../services/orderRefundService.js";
+
+const ADMIN_EMAIL = process.env.ADMIN_EMAIL || "admin@thedivafactory.com";
+const RETURN_WINDOW_DAYS = Number(process.env.RETURN_WINDOW_DAYS || 30);
+const RETURNABLE_ORDER_STATUSES = [ORDER_STATUS.SHIPPED, ORDER_STATUS.DELIVERED, ORDER_STATUS.PICKED_UP];
+const RETURN_STATUSES = new Set(["requested", "approved", "denied", "received", "refunded"]);
+const MAX_RETURN_PHOTOS = 5;
+
+const RETURN_SELECT = "*, return_request_item(*)";
+
+function sendEmailNonBlocking(to, subject, html) {
+  if (!to) return;
+  sendEmail(to, subject, html)
+    .then(() => { if (process.env.NODE_ENV !== 'production') console.log(`📧 Email queued/sent to ${to} — ${subject}`); })
+    .catch((err) => console.error(`❌ Email send failed to ${to}:`, err));
+}
+
+const roundMoney = (n) => Math.round(Number(n || 0) * 100) / 100;
+
+// items arrive as JSON text when the request is multipart (photos attached)
+const parseItems = (raw) => {
+  let items = raw;
+  if (typeof raw === "string") {
+    try { items = JSON.parse(raw); } catch (_) { return null; }
+  }
+  if (!Array.isArray(items) || !items.length) return null;
+  const parsed = items.map((it) => ({
+    order_item_id: it?.order_item_id ?? it?.orderItemId,
+    quantity: Number.parseInt(String(it?.quantity ?? 1), 10),
+  }));
+  if (parsed.some((it) => it.order_item_id == null || !Number.isFinite(it.quantity) || it.quantity < 1)) return null;
+  return parsed;
+};
+
+// Units of each order_item already claimed by open or completed returns (denied ones free them up)
+const returnedQuantities = async (orderId) => {
+  const { data, error } = await supabase
+    .from("return_request")
+    .select("status, return_request_item(order_item_id, quantity)")
+    .eq("order_id", orderId)
+    .neq("status", "denied");
+  if (error) throw error;
+  const totals = new Map();
+  for (const r of data || []) {
+    for (const it of r.return_request_item || []) {
+      const key = String(it.order_item_id);
+      totals.set(key, (totals.get(key) || 0) + Number(it.quantity || 0));
+    }
+  }
+  return totals;
+};
+
+const returnTotal = (items = []) =>
+  roundMoney(items.reduce((acc, it) => acc + Number(it.unit_price || 0) * Number(it.quantity || 0), 0));
+
+const fetchReturn = async (id) => {
+  const { data, error } = await supabase.from("return_request").select(RETURN_SELECT).eq("id", id).single();
+  if (error || !data) return null;
+  return data;
+};
+
+const updateReturn = async (id, fields, fromStatus) => {
+  let query = supabase
+    .from("return_request")
+    .update({ ...fields, updated_at: new Date().toISOString() })
+    .eq("id", id);
+  // Guard against two admins acting on the same request at once
+  if (fromStatus) query = query.eq("status", fromStatus);
+  const { data, error } = await query.select(RETURN_SELECT);
+  if (error) throw error;
+  return data?.[0] || null;
+};
+
+const itemListHtml = (items = [], titles = {}) =>
+  `<ul>${items.map((it) => `<li>${titles[it.product_id] || `Item ${it.order_item_id}`} × ${it.quantity}</li>`).join("")}</ul>`;
+
+const productTitles = async (items = []) => {
+  const ids = Array.from(new Set(items.map((it) => it.product_id).filter(Boolean)));
+  if (!ids.length) return {};
+  const { data } = await supabase.from("product").select("id, title").in("id", ids);
+  return Object.fromEntries((data || []).map((p) => [p.id, p.title]));
+};
+
+// 🔹 Customer: request a return for items on one of their orders (multipart; photos optional)
+export const createReturnRequest = async (req, res) => {
+  try {
+    const user = req.user || {};
+    const userId = user.id || user.userId;
+    const { order_id: orderId, reason, note } = req.body || {};
+
+    if (!orderId) return res.status(400).json({ message: "order_id is required" });
+    if (!reason || !String(reason).trim()) return res.status(400).json({ message: "reason is required" });
+    const items = parseItems(req.body?.items);
+    if (!items) {
+      return res.status(400).json({ message: "items must be a non-empty array of { order_item_id, quantity }" });
+    }
+
+    const { data: order, error: orderErr } = await supabase
+      .from("order")
+      .select("id, user_id, email, status, created_at, delivered_at, order_item!fk_order(id, product_id, quantity, price)")
+      .eq("id", orderId)
+      .single();
+    if (orderErr || !order) return res.status(404).json({ message: "Order not found" });
+    if (String(order.user_id) !== String(userId)) {
+      return res.status(403).json({ message: "Not authorized to return items from this order" });
+    }
+    if (!RETURNABLE_ORDER_STATUSES.includes(order.status)) {
+      return res.status(400).json({ message: "Only shipped, delivered or picked-up orders can be returned" });
+    }
+
+    const since = Date.parse(order.delivered_at || order.created_at);
+    if (Number.isFinite(since) && Date.now() - since > RETURN_WINDOW_DAYS * 24 * 60 * 60 * 1000) {
+      return res.status(400).json({ message: `The ${RETURN_WINDOW_DAYS}-day return window for this order has closed` });
+    }
+
+    const orderItems = new Map((order.order_item || []).map((it) => [String(it.id), it]));
+    const alreadyReturned = await returnedQuantities(order.id);
+    const lines = [];
+    for (const it of items) {
+      const orderItem = orderItems.get(String(it.order_item_id));
+      if (!orderItem) return res.status(400).json({ message: `Item ${it.order_item_id} is not part of this order` });
+      const remaining = Number(orderItem.quantity || 0) - (alreadyReturned.get(String(orderItem.id)) || 0);
+      if (it.quantity > remaining) {
+        return res.status(400).json({ message: `Only ${Math.max(remaining, 0)} unit(s) of item ${orderItem.id} can still be returned` });
+      }
+      lines.push({ order_item_id: String(orderItem.id), product_id: orderItem.product_id, quantity: it.quantity, unit_price: Number(orderItem.price || 0) });
+    }
+
+    const files = Array.isArray(req.files) ? req.files : [];
+    if (files.length > MAX_RETURN_PHOTOS) {
+      return res.status(400).json({ message: `At most ${MAX_RETURN_PHOTOS} photos per return` });
+    }
+
+    const { data: created, error: insErr } = await supabase
+      .from("return_request")
+      .insert([{
+        order_id: String(order.id),
+        user_id: String(userId),
+        email: order.email,
+        reason: String(reason).trim().slice(0, 500),
+        customer_note: note ? String(note).trim().slice(0, 2000) : null,
+      }])
+      .select()
+      .single();
+    if (insErr || !created) {
+      console.error("❌ Failed to create return request:", insErr);
+      return res.status(500).json({ message: "Failed to create return request" });
+    }
+
+    const { error: itemsErr } = await supabase
+      .from("return_request_item")
+      .insert(lines.map((l) => ({ ...l, return_request_id: created.id })));
+    if (itemsErr) {
+      await supabase.from("return_request").delete().eq("id", created.id);
+      console.error("❌ Failed to insert return items:", itemsErr);
+      return res.status(500).json({ message: "Failed to create return request" });
+    }
+
+    const photos = [];
+    for (const file of files) {
+      const objectPath = `orders/${order.id}/returns/${created.id}/${Date.now()}_${safeFileName(file.originalname, "photo")}`;
+      const { error: upErr } = await uploadOrderFile(objectPath, file);
+      if (upErr) console.warn("⚠️ Return photo upload failed:", upErr);
+      else photos.push(objectPath);
+    }
+    if (photos.length) await updateReturn(created.id, { photos });
+
+    const titles = await productTitles(lines);
+    sendEmailNonBlocking(
+      order.email,
+      "We Received Your Return Request",
+      `<p>Thanks — we received your return request for order <b>${order.id}</b>.</p>${itemListHtml(lines, titles)}<p>We'll review it and email you within 2 business days.</p>`
+    );
+    sendEmailNonBlocking(
+      ADMIN_EMAIL,
+      `Return requested for order ${order.id}`,
+      `<p><b>${order.email}</b> requested a return for order <b>${order.id}</b>.</p><p>Reason: ${created.reason}</p>${itemListHtml(lines, titles)}<p>${photos.length} photo(s) attached.</p>`
+    );
+
+    const result = await fetchReturn(created.id);
+    return res.status(201).json({ message: "Return requested", return: result });
+  } catch (error) {
+    console.error("❌ createReturnRequest error:", error);
+    return res.status(500).json({ message: "Failed to create return request", error: error.message });
+  }
+};
+
+// 🔹 Customer: list my return requests
+export const getMyReturns = async (req, res) => {
+  try {
+    const userId = req.user?.id || req.user?.userId;
+    const { data, error } = await supabase
+      .from("return_request")
+      .select(RETURN_SELECT)
+      .eq("user_id", String(userId))
+      .order("created_at", { ascending: false });
+    if (error) throw error;
+    res.json({ returns: data || [] });
+  } catch (error) {
+    res.status(500).json({ message: "Error fetching returns", error: error.message });
+  }
+};
+
+// 🔹 Admin: list return requests (?status=requested)
+export const getReturns = async (req, res) => {
+  try {
+    const { status, order_id: orderId } = req.query;
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+    if (status && !RETURN_STATUSES.has(status)) {
+      return res.status(400).json({ message: `status invalid. Allowed: ${Array.from(RETURN_STATUSES).join(", ")}` });
+    }
+
+    let query = supabase
+      .from("return_request")
+      .select(RETURN_SELECT, { count: "exact" })
+      .order("created_at", { ascending: false })
+      .range((page - 1) * limit, page * limit - 1);
+    if (status) query = query.eq("status", status);
+    if (orderId) query = query.eq("order_id", String(orderId));
+
+    const { data, error, count } = await query;
+    if (error) throw error;
+    res.json({ returns: data || [], page, limit, total: count ?? null });
+  } catch (error) {
+    res.status(500).json({ message: "Error fetching returns", error: error.message });
+  }
+};
+
+// 🔹 Admin: one return request with short-lived photo URLs
+export const getReturnById = async (req, res) => {
+  try {
+    const row = await fetchReturn(req.params.id);
+    if (!row) return res.status(404).json({ message: "Return request not found" });
+    const photo_urls = await Promise.all((row.photos || []).map((p) => signedOrderFileUrl(p)));
+    res.json({ ...row, photo_urls, refund_estimate: returnTotal(row.return_request_item) });
+  } catch (error) {
+    res.status(500).json({ message: "Error fetching return request", error: error.message });
+  }
+};
+
+// 🔹 Admin: approve and issue a prepaid return label (skipLabel for returns dropped off in person)
+export const approveReturn = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { note, skipLabel = false } = req.body || {};
+    const row = await fetchReturn(id);
+    if (!row) return res.status(404).json({ message: "Return request not found" });
+    if (row.status !== "requested") return res.status(409).json({ message: `Return is already ${row.status}` });
+
+    const { data: order, error: orderErr } = await supabase
+      .from("order")
+      .select("id, email, shipping_info")
+      .eq("id", row.order_id)
+      .single();
+    if (orderErr || !order) return res.status(404).json({ message: "Order not found" });
+
+    const update = { status: "approved", approved_at: new Date().toISOString(), admin_note: note || row.admin_note || null };
+    const isPickup = order.shipping_info?.shipping_method === "local_pickup";
+    if (!skipLabel && !isPickup) {
+      try {
+        const label = await purchaseReturnLabel({
+          shippingInfo: { ...(order.shipping_info || {}), email: order.email },
+          items: row.return_request_item.map((it) => ({ id: it.product_id, quantity: it.quantity })),
+        });
+        Object.assign(update, {
+          return_label_url: label.labelUrl,
+          return_tracking_code: label.trackingNumber,
+          return_tracking_url: label.trackingUrl,
+          return_carrier: label.carrier,
+          return_service: label.service,
+          return_label_cost: label.amount,
+          shippo_return_transaction_id: label.transactionId,
+        });
+      } catch (labelErr) {
+        console.error("❌ Return label purchase failed:", labelErr?.message || labelErr);
+        return res.status(502).json({ message: "Failed to purchase return label", error: labelErr?.message || String(labelErr) });
+      }
+    }
+
+    const updated = await updateReturn(id, update, "requested");
+    if (!updated) return res.status(409).json({ message: "Return was updated by someone else; reload and try again" });
+
+    const titles = await productTitles(updated.return_request_item);
+    const labelHtml = updated.return_label_url
+      ? `<p>Print your prepaid return label: <a href="${updated.return_label_url}">Download label</a><br>Return tracking number: <b>${updated.return_tracking_code || "—"}</b></p>`
+      : `<p>Please bring the items back to us or reply to this email to arrange the return.</p>`;
+    sendEmailNonBlocking(
+      updated.email,
+      "Your Return Has Been Approved",
+      `<p>Your return for order <b>${updated.order_id}</b> has been approved 💅</p>${itemListHtml(updated.return_request_item, titles)}${labelHtml}<p>We'll issue your refund as soon as the items arrive.</p>`
+    );
+
+    return res.json({ message: "Return approved", return: updated });
+  } catch (error) {
+    console.error("❌ approveReturn error:", error);
+    return res.status(500).json({ message: "Failed to approve return", error: error.message });
+  }
+};
+
+// 🔹 Admin: deny a return request with a reason the customer will see
+export const denyReturn = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { reason, note } = req.body || {};
+    if (!reason || !String(reason).trim()) return res.status(400).json({ message: "reason is required" });
+
+    const row = await fetchReturn(id);
+    if (!row) return res.status(404).json({ message: "Return request not found" });
+    if (row.status !== "requested") return res.status(409).json({ message: `Return is already ${row.status}` });
+
+    const updated = await updateReturn(id, {
+      status: "denied",
+      denied_at: new Date().toISOString(),
+      denial_reason: String(reason).trim().slice(0, 1000),
+      admin_note: note || row.admin_note || null,
+    }, "requested");
+    if (!updated) return res.status(409).json({ message: "Return was updated by someone else; reload and try again" });
+
+    sendEmailNonBlocking(
+      updated.email,
+      "About Your Return Request",
+      `<p>We're sorry — we can't accept the return for order <b>${updated.order_id}</b>.</p><p>Reason: ${updated.denial_reason}</p>
+       <p>If you have any questions, please contact us at <a href="mailto:support@divafactorynails.com">support@divafactorynails.com</a>.</p>`
+    );
+    return res.json({ message: "Return denied", return: updated });
+  } catch (error) {
+    console.error("❌ denyReturn error:", error);
+    return res.status(500).json({ message: "Failed to deny return", error: error.message });
+  }
+};
+
+/**
+ * 🔹 Admin: mark returned items received → restock them and refund the approved lines.
+ * Refund defaults to the unit price × quantity of the returned lines; override with refundAmount.
+ * Orders without a Stripe payment intent (pay on pickup) are recorded as a manual refund.
+ */
+export const receiveReturn = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { refundAmount, restock = true, note } = req.body || {};
+    const row = await fetchReturn(id);
+    if (!row) return res.status(404).json({ message: "Return request not found" });
+    if (row.status !== "approved" && row.status !== "received") {
+      return res.status(409).json({ message: `Return must be approved before it is received (currently ${row.status})` });
+    }
+
+    const { data: order, error: orderErr } = await supabase
+      .from("order")
+      .select("id, email, total_amount, stripe_payment_intent_id")
+      .eq("id", row.order_id)
+      .single();
+    if (orderErr || !order) return res.status(404).json({ message: "Order not found" });
+
+    if (refundAmount != null && !(Number(refundAmount) >= 0)) {
+      return res.status(400).json({ message: "refundAmount must be a non-negative number" });
+    }
+
+    // Restock each line once (restocked_at marks done, so a retried receive skips them)
+    const restockFailures = [];
+    if (restock !== false) {
+      for (const it of row.return_request_item || []) {
+        if (it.restocked_at) continue;
+        const { error: incErr } = await incrementProductQuantity(it.product_id, it.quantity);
+        if (incErr) {
+          restockFailures.push(it.id);
+          console.warn("⚠️ Restock failed for returned product", it.product_id, incErr);
+          continue;
+        }
+        await supabase.from("return_request_item").update({ restocked_at: new Date().toISOString() }).eq("id", it.id);
+        const { data: orderItem } = await supabase.from("order_item").select("restocked_quantity").eq("id", it.order_item_id).single();
+        await supabase
+          .from("order_item")
+          .update({ restocked_quantity: Number(orderItem?.restocked_quantity || 0) + Number(it.quantity) })
+          .eq("id", it.order_item_id);
+      }
+    }
+
+    if (row.status === "approved") {
+      const marked = await updateReturn(id, { status: "received", received_at: new Date().toISOString() }, "approved");
+      if (!marked) return res.status(409).json({ message: "Return was updated by someone else; reload and try again" });
+    }
+
+    // Same refund path as admin partial refunds, so order totals and refunded quantities stay in step.
+    // Keyed by return id so a retried receive never refunds twice through Stripe.
+    const manual = !order.stripe_payment_intent_id;
+    const { data: refunded, error: refundErr } = await refundOrder(order.id, {
+      items: row.return_request_item.map((it) => ({ order_item_id: it.order_item_id, quantity: it.quantity })),
+      totalOverride: refundAmount != null ? refundAmount : undefined,
+      reason: `Return ${id}`,
+      actor: actorFromRequest(req),
+      manual,
+      paymentMethod: manual ? "other" : undefined,
+      idempotencyKey: `return-${id}`,
+      notify: false,
+      source: "return",
+    });
+    if (refundErr) {
+      console.error("❌ Refund for return failed:", refundErr?.message || refundErr);
+      const status = { STRIPE_FAILED: 502, NOT_FOUND: 404, IN_PROGRESS: 409 }[refundErr.code] || 400;
+      return res.status(status).json({ message: `Items received but the refund failed: ${refundErr.message}`, error: refundErr.message });
+    }
+
+    const amount = Number(refunded.refund.amount || 0);
+    const updated = await updateReturn(id, {
+      status: "refunded",
+      refunded_at: new Date().toISOString(),
+      refund_amount: amount,
+      refund_method: manual ? "manual" : "stripe",
+      stripe_refund_id: refunded.refund.stripe_refund_id || null,
+      admin_note: note || row.admin_note || null,
+    }, "received");
+    if (!updated) return res.status(409).json({ message: "Return was updated by someone else; reload and try again" });
+
+    const titles = await productTitles(updated.return_request_item);
+    const how = updated.refund_method === "stripe"
+      ? "It will appear on your original payment method within 5–10 business days."
+      : "We'll be in touch to arrange your refund.";
+    sendEmailNonBlocking(
+      updated.email,
+      "Your Return Has Been Refunded",
+      `<p>We received your returned items for order <b>${updated.order_id}</b>.</p>${itemListHtml(updated.return_request_item, titles)}
+       <p>Refund amount: <b>$${amount.toFixed(2)}</b>. ${how}</p>`
+    );
+
+    return res.json({ message: "Return received and refunded", return: updated, restock_failures: restockFailures });
+  } catch (error) {
+    console.error("❌ receiveReturn error:", error);
+    return res.status(500).json({ message: "Failed to receive return", error: error.message });
+  }
+};
@@ -1,5 +1,6 @@
 import supabase from "../../supabaseClient.js";
 import bcrypt from "bcryptjs";
+import { validateAddress, addressValidationSummary } from "../services/addressValidationService.js";
 
 
 // Fetch user shipping info
@@ -8,7 +9,7 @@ export const getShippingInfo = async (req, res) => {
     const userId = req.params.userId;
     const { data: user, error } = await supabase
       .from("user")
-      .select("name, email, address, city, zip, country")
+      .select("name, email, address, city, state, zip, country")
       .eq("id", userId)
       .single();
     if (!user) return res.status(404).json({ message: "User not found" });
@@ -18,29 +19,71 @@ export const getShippingInfo = async (req, res) => {
   }
 };
 
-// Update user profile (name, address, city, zip, country)
+// Update user profile (name, address, city, state, zip, country)
+// Address changes are validated/normalized the same way as checkout shipping addresses.
 export const updateUserInfo = async (req, res) => {
-  const { id, name, email, address, city, zip, country } = req.body;
+  const { id, name, email, address, city, state, zip, country } = req.body;
   try {
     if (!id) {
       return res.status(400).json({ message: "User ID is required" });
     }
+
+    const update = {
+      name: name || undefined,
+      email: email || undefined,
+      address: address || undefined,
+      city: city || undefined,
+      state: state || undefined,
+      zip: zip || undefined,
+      country: country || undefined,
+      updated_at: new Date().toISOString(),
+    };
+
+    let validation = null;
+    if (address || city || state || zip || country) {
+      // Validate the address as it will be stored: submitted fields over the saved ones
+      const { data: current, error: findErr } = await supabase
+        .from("user")
+        .select("address, city, state, zip, country")
+        .eq("id", id)
+        .single();
+      if (findErr || !current) return res.status(404).json({ message: "User not found" });
+
+      validation = await validateAddress({
+        address_line1: address || current.address,
+        city: city || current.city,
+        state: state || current.state,
+        postal_code: zip || current.zip,
+        country: country || current.country,
+      }, {
+        shippable: false, // a profile address may be outside the shipping allow-list
+        requireRegion: false, // older clients don't send state and saved profiles have none yet
+      });
+      if (validation.errors.length) {
+        return res.status(400).json({ message: "Invalid address", address_validation: addressValidationSummary(validation) });
+      }
+      Object.assign(update, {
+        address: validation.address.address_line1,
+        city: validation.address.city,
+        // No state given: take the carrier's corrected one when it has it
+        state: validation.address.state || validation.suggestion?.state || null,
+        zip: validation.address.postal_code,
+        country: validation.address.country,
+      });
+    }
+
     const { data: updatedUser, error } = await supabase
       .from("user")
-      .update({
-        name: name || undefined,
-        email: email || undefined,
-        address: address || undefined,
-        city: city || undefined,
-        zip: zip || undefined,
-        country: country || undefined,
-        updated_at: new Date().toISOString(),
-      })
+      .update(update)
       .eq("id", id)
       .select()
       .single();
     if (error) throw error;
-    res.status(200).json({ message: "Profile updated", user: updatedUser });
+    res.status(200).json({
+      message: "Profile updated",
+      user: updatedUser,
+      ...(validation ? { address_validation: addressValidationSummary(validation) } : {}),
+    });
   } catch (error) {
     res.status(500).json({ message: "Internal Server Error", error: error.message });
   }
@@ -58,7 +101,7 @@ export const getUserInfo = async (req, res) => {
     }
     const { data: user, error } = await supabase
       .from("user")
-      .select("id, name, email, address, city, zip, country, points, is_admin")
+      .select("id, name, email, address, city, state, zip, country, points, is_admin")
       .eq("id", userId)
       .single();
     if (!user) {
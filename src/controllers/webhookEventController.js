@@ -0,0 +1,77 @@
+import supabase from "../../supabaseClient.js";
+import { runStripeEvent } from "../webhooks/stripeWebhook.js";
+import { runShippoEvent } from "../webhooks/shippoWebhook.js";
+
+const EVENT_STATUSES = new Set(["received", "processing", "processed", "ignored", "failed"]);
+
+// Processors by provider; replay runs the stored payload through the same code as the live webhook
+const REPLAYERS = {
+  stripe: (payload) => runStripeEvent(payload, { force: true }),
+  shippo: (payload) => runShippoEvent(payload, { force: true }),
+};
+
+// 🔹 List webhook events (Admin). Defaults to newest first; filter with ?status=failed&type=...
+export const getWebhookEvents = async (req, res) => {
+  try {
+    const { status, type, provider } = req.query;
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+
+    if (status && !EVENT_STATUSES.has(status)) {
+      return res.status(400).json({ message: `status invalid. Allowed: ${Array.from(EVENT_STATUSES).join(", ")}` });
+    }
+
+    let query = supabase
+      .from("webhook_event")
+      .select("id, provider, event_id, type, status, error, attempts, last_attempt_at, processed_at, created_at", { count: "exact" })
+      .order("created_at", { ascending: false })
+      .range((page - 1) * limit, page * limit - 1);
+    if (status) query = query.eq("status", status);
+    if (type) query = query.eq("type", type);
+    if (provider) query = query.eq("provider", provider);
+
+    const { data, error, count } = await query;
+    if (error) throw error;
+    res.json({ events: data || [], page, limit, total: count ?? null });
+  } catch (error) {
+    res.status(500).json({ message: "Error fetching webhook events", error: error.message });
+  }
+};
+
+// 🔹 Get a single webhook event with its payload (Admin)
+export const getWebhookEventById = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { data, error } = await supabase.from("webhook_event").select("*").eq("id", id).single();
+    if (error || !data) return res.status(404).json({ message: "Webhook event not found" });
+    res.json(data);
+  } catch (error) {
+    res.status(500).json({ message: "Error fetching webhook event", error: error.message });
+  }
+};
+
+// 🔹 Re-run a stored event through its processor (Admin)
+export const replayWebhookEvent = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { data: row, error: findErr } = await supabase.from("webhook_event").select("*").eq("id", id).single();
+    if (findErr || !row) return res.status(404).json({ message: "Webhook event not found" });
+
+    const replay = REPLAYERS[row.provider];
+    if (!replay) return res.status(400).json({ message: `Replay not supported for provider ${row.provider}` });
+    // A run that crashed mid-way stays "processing"; only block replays while it could still be running
+    const lastAttemptMs = row.last_attempt_at ? Date.parse(row.last_attempt_at) : 0;
+    if (row.status === "processing" && Date.now() - lastAttemptMs < 5 * 60 * 1000) {
+      return res.status(409).json({ message: "Event is currently being processed" });
+    }
+
+    const { result, error } = await replay(row.payload);
+    const { data: updated } = await supabase.from("webhook_event").select("*").eq("id", id).single();
+    if (error) {
+      return res.status(422).json({ message: "Replay failed", error: error.message, event: updated || row });
+    }
+    res.json({ message: "Event replayed", result, event: updated || row });
+  } catch (error) {
+    res.status(500).json({ message: "Error replaying webhook event", error: error.message });
+  }
+};
@@ -1,4 +1,5 @@
 import { body, validationResult } from "express-validator";
+import { ORDER_STATUSES, normalizeOrderStatus } from "../services/orderLifecycle.js";
 
 export const validateOrder = [
   body("userId").notEmpty().withMessage("User ID is required."),
@@ -12,10 +13,11 @@ export const validateOrder = [
   },
 ];
 
+// Any lifecycle status, case-insensitive; whether the move is legal is checked by transitionOrder
 export const validateOrderStatus = [
   body("status")
-    .isIn(["pending", "shipped", "delivered"])
-    .withMessage("Invalid status. Allowed: pending, shipped, delivered."),
+    .custom((value) => Boolean(normalizeOrderStatus(value)))
+    .withMessage(`Invalid status. Allowed: ${ORDER_STATUSES.join(", ")}.`),
   (req, res, next) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -4,7 +4,16 @@ import dotenv from "dotenv";
 import jwt from "jsonwebtoken";
 import supabase from "../../supabaseClient.js";
 import { shippoClient } from "../shippoClient.js";
-import { getCheapestShippoRate } from "./shippingQuote.js";
+import { getCheapestShippoRate, shipmentMatchesAddress } from "./shippingQuote.js";
+import { validateAddress, addressValidationSummary } from "../services/addressValidationService.js";
+import { ALLOWED_SHIPPING_COUNTRIES, dutiesNotice, isShippingCountryAllowed } from "../services/internationalShipping.js";
+import { applyActivePromotions } from "../services/promotionService.js";
+import {
+  getReservedQuantities,
+  reserveStock,
+  attachHoldToSession,
+  releaseHold,
+} from "../services/stockReservationService.js";
 
 
 dotenv.config();
@@ -15,10 +24,225 @@ const stripe = new Stripe(process.env.STRIPE_SECRET_KEY, {
 // Safe frontend base URL fallback
 const BASE_CLIENT_URL = process.env.CLIENT_URL || process.env.FRONTEND_URL || "http://localhost:3000";
 
-// 🔧 Auto Toys Promo configuration (env with defaults)
-const PROMO_TOYS_RATE = Number(process.env.PROMO_TOYS_RATE || 10); // percent
-const PROMO_TOYS_END_ISO = process.env.PROMO_TOYS_END_ISO || "2025-11-01T00:00:00Z";
 
+// 💲 Re-price cart lines from the product table. Client prices are only used to
+// detect drift so the storefront can show "price changed" instead of silently
+// charging a different amount.
+const priceItemsFromDb = async (items = []) => {
+  const result = { lines: [], missing: [], invalid: [], insufficient: [], priceChanges: [] };
+  if (items.some((it) => !(it?.id || it?.product_id))) {
+    result.invalid.push({ message: "Each item must include an id" });
+    return result;
+  }
+  const ids = Array.from(new Set(items.map((it) => String(it.id || it.product_id))));
+
+  const { data: products, error } = await supabase
+    .from("product")
+    .select("id, title, price, quantity, brand_segment, category_slug, image")
+    .in("id", ids);
+  if (error) throw error;
+  const productMap = new Map((products || []).map((p) => [String(p.id), p]));
+  const reservedById = await getReservedQuantities(ids);
+
+  // Stock is checked against the total requested per product (duplicate lines are summed)
+  const requestedById = new Map();
+  for (const it of items) {
+    const pid = String(it.id || it.product_id);
+    const qty = Number(it.quantity ?? 1);
+    if (!Number.isInteger(qty) || qty <= 0) {
+      result.invalid.push({ product_id: pid, message: "Invalid quantity" });
+      continue;
+    }
+    const prod = productMap.get(pid);
+    if (!prod) {
+      result.missing.push(pid);
+      continue;
+    }
+    requestedById.set(pid, (requestedById.get(pid) || 0) + qty);
+
+    const unitCents = Math.round(Number(prod.price) * 100);
+    if (it.price != null && it.price !== "") {
+      const clientCents = Math.round(Number(it.price) * 100);
+      if (!Number.isFinite(clientCents) || clientCents !== unitCents) {
+        result.priceChanges.push({
+          product_id: pid,
+          title: prod.title,
+          client_price: Number.isFinite(clientCents) ? clientCents / 100 : null,
+          server_price: unitCents / 100,
+        });
+      }
+    }
+
+    result.lines.push({
+      id: prod.id,
+      title: prod.title || it.title || it.name || "Item",
+      image: prod.image || it.image || null,
+      quantity: qty,
+      unitCents,
+      brandSegment: (prod.brand_segment || "").toLowerCase(),
+      categorySlug: (prod.category_slug || "").toLowerCase(),
+    });
+  }
+
+  // Units held by other shoppers' open checkout sessions are not available
+  for (const [pid, requested] of requestedById) {
+    const reserved = reservedById.get(pid) || 0;
+    const available = Math.max(0, Number(productMap.get(pid)?.quantity || 0) - reserved);
+    if (available < requested) {
+      result.insufficient.push({ product_id: pid, title: productMap.get(pid)?.title, requested, available, reserved });
+    }
+  }
+
+  return result;
+};
+
+// Maps priceItemsFromDb problems to { status, body }, or null when the cart is valid
+const pricingRejection = (pricing) => {
+  if (pricing.invalid.length) {
+    return { status: 400, body: { message: pricing.invalid[0].message, errors: pricing.invalid } };
+  }
+  if (pricing.missing.length) {
+    return { status: 400, body: { message: "One or more products not found", missing: pricing.missing } };
+  }
+  if (pricing.insufficient.length) {
+    return { status: 409, body: { code: "INSUFFICIENT_STOCK", message: "Insufficient stock", items: pricing.insufficient } };
+  }
+  if (pricing.priceChanges.length) {
+    return { status: 409, body: { code: "PRICE_CHANGED", message: "Prices changed", price_changes: pricing.priceChanges } };
+  }
+  return null;
+};
+
+// Error carrying the HTTP response a checkout helper wants to send
+const checkoutError = (status, body) => Object.assign(new Error(body?.message || "Checkout error"), { status, body });
+
+const LOYALTY_POINTS_COST = 100;
+const LOYALTY_PERCENT_OFF = 10;
+
+const loyaltyCodeFor = (userId) => `DIVA-${String(userId).slice(0, 6).toUpperCase()}`;
+
+const getDiscountCodeFromBody = (body = {}) => {
+  const rawCode = body?.discountCode ?? body?.metadata?.discountCode ?? "";
+  return typeof rawCode === "string" ? rawCode.trim() : "";
+};
+
+// Look up an active Stripe promotion code (case-insensitive). Returns the promo object or null.
+const findActivePromotionCode = async (code) => {
+  if (!code) return null;
+  try {
+    const list = await stripe.promotionCodes.list({ code, limit: 1 });
+    const found = (list?.data || []).find(p => {
+      const codeMatches = (p?.code || "").toLowerCase() === code.toLowerCase();
+      return codeMatches && p?.active === true;
+    });
+    if (found) {
+      if (process.env.NODE_ENV !== 'production') console.log(`✅ Applying provided discount code '${code}' -> promo ${found.id}`);
+    } else {
+      if (process.env.NODE_ENV !== 'production') console.warn(`⚠️ Provided discount code '${code}' not found or inactive. Proceeding without it.`);
+    }
+    return found || null;
+  } catch (e) {
+    if (process.env.NODE_ENV !== 'production') console.warn(`⚠️ Stripe validation failed for code '${code}':`, e?.message || e);
+    return null;
+  }
+};
+
+// Loyalty fallback: returns { dbUser, existingPromo } when the user can redeem points, else null
+const getLoyaltyEligibility = async (user) => {
+  if (!user || !user.userId || user.userId === "guest") return null;
+  const { data: dbUser, error: userError } = await supabase
+    .from("user")
+    .select("id, points")
+    .eq("id", user.userId)
+    .single();
+  if (userError) throw userError;
+  if (!dbUser || (dbUser.points || 0) < LOYALTY_POINTS_COST) return null;
+  const couponCode = loyaltyCodeFor(user.userId);
+  const existing = await stripe.promotionCodes.list({ code: couponCode, limit: 1 });
+  const existingPromo = existing.data.find(p => (p.code || "").toLowerCase() === couponCode.toLowerCase() && p.active && !p.restrictions?.ends_at) || null;
+  return { dbUser, couponCode, existingPromo };
+};
+
+// Reuse the user's active loyalty promo or mint a new one (deducting points). Returns the promo id.
+const issueLoyaltyPromotionCode = async (user, eligibility) => {
+  const { dbUser, couponCode, existingPromo } = eligibility;
+  if (existingPromo) {
+    if (process.env.NODE_ENV !== 'production') console.log("🎟️ Reusing active loyalty promo:", couponCode);
+    return existingPromo.id;
+  }
+  const coupon = await stripe.coupons.create({ percent_off: LOYALTY_PERCENT_OFF, duration: "once" });
+  const promo = await stripe.promotionCodes.create({ code: couponCode, coupon: coupon.id, max_redemptions: 1 });
+  const { error: updateError } = await supabase
+    .from("user")
+    .update({ points: (dbUser.points || 0) - LOYALTY_POINTS_COST })
+    .eq("id", user.userId);
+  if (updateError) throw updateError;
+  if (process.env.NODE_ENV !== 'production') console.log("🎁 Created new loyalty promo & deducted 100 points:", couponCode);
+  return promo.id;
+};
+
+// Resolve the shipping rate: local pickup ($0), a client-selected Shippo rate, or the cheapest rate now.
+// Throws checkoutError with the response to send on failure.
+// useCache: display-only quotes may reuse cached rates; checkout must not (it buys a label from the rate).
+const resolveShippingRate = async ({ isLocalPickup, shippingInfo, items, shippoShipmentId, shippoRateId, useCache = false }) => {
+  if (isLocalPickup) {
+    return {
+      selectedRate: {
+        id: "local-pickup",
+        provider: "Local Pickup",
+        service: "Pickup",
+        amount: 0,
+        currency: "USD",
+      },
+      effectiveShipmentId: null,
+      shippingCents: 0,
+    };
+  }
+
+  let selectedRate = null;
+  let effectiveShipmentId = shippoShipmentId;
+  // If client provided shipment + selected rate, fetch shipment to validate & extract rate
+  if (shippoShipmentId && shippoRateId) {
+    let rate;
+    let shipment;
+    try {
+      shipment = await shippoClient.shipments.retrieve(shippoShipmentId);
+      rate = (shipment?.rates || []).find(r => r.objectId === shippoRateId);
+    } catch (e) {
+      if (process.env.NODE_ENV !== 'production') console.error("❌ Failed to validate provided Shippo shipment/rate:", e?.message || e);
+      throw checkoutError(400, { message: "Invalid Shippo shipment/rate" });
+    }
+    if (!rate) throw checkoutError(400, { message: "Provided Shippo rate not found in shipment" });
+    // The label is bought from this shipment, so it must be addressed to this order's shipping address
+    if (!shipmentMatchesAddress(shipment, shippingInfo)) {
+      throw checkoutError(400, { message: "Shippo shipment does not match the shipping address; request new rates" });
+    }
+    selectedRate = {
+      id: rate.objectId,
+      provider: rate.provider,
+      service: rate.servicelevel?.name || rate.servicelevel?.token || "Service",
+      amount: Number(rate.amount),
+      currency: rate.currency || "USD",
+    };
+  }
+  // If not provided, compute cheapest now
+  if (!selectedRate) {
+    if (!shippingInfo) throw checkoutError(400, { message: "shippingInfo required when shipment not pre-created" });
+    if (shippingInfo.country && !isShippingCountryAllowed(shippingInfo.country)) {
+      throw checkoutError(400, { message: `We don't ship to ${shippingInfo.country}`, allowed_countries: ALLOWED_SHIPPING_COUNTRIES });
+    }
+    try {
+      const { cheapest, shipment } = await getCheapestShippoRate({ shippingInfo, items, useCache });
+      selectedRate = cheapest;
+      effectiveShipmentId = shipment?.objectId;
+    } catch (e) {
+      if (e?.code === "INVALID_QUANTITY") throw checkoutError(400, { message: e.message });
+      if (process.env.NODE_ENV !== 'production') console.error("❌ Shippo rate error:", e?.message || e);
+      throw checkoutError(502, { message: "Failed to obtain shipping rate" });
+    }
+  }
+  return { selectedRate, effectiveShipmentId, shippingCents: Math.round(Number(selectedRate.amount) * 100) };
+};
 
 // 🔐 Decode user from JWT (if logged in)
 const getUserFromToken = (req) => {
@@ -37,131 +261,58 @@ const getUserFromToken = (req) => {
 };
 
 router.post("/create-checkout-session", async (req, res) => {
+  let stockHoldId = null;
   try {
     if (process.env.NODE_ENV !== 'production') console.log("🛠 Incoming Checkout Data:", req.body);
 
   const { items, shippingInfo, metadata: clientMetadata, shippoShipmentId, shippoRateId, isLocalPickup, isLocal } = req.body;
     const user = getUserFromToken(req);
 
-    // Per-request promo code container (avoid cross-request leakage)
-    let promoCodeId = null;
-    let providedDiscountCode = "";
-    try {
-      const rawCode = (req.body?.discountCode ?? req.body?.metadata?.discountCode ?? "");
-      if (typeof rawCode === "string") {
-        providedDiscountCode = rawCode.trim();
-      }
-    } catch (_) {}
-
     // 1) If client provided a discount code, validate with Stripe first
-    if (providedDiscountCode) {
-      try {
-        const list = await stripe.promotionCodes.list({ code: providedDiscountCode, limit: 1 });
-        const found = (list?.data || []).find(p => {
-          const codeMatches = (p?.code || "").toLowerCase() === providedDiscountCode.toLowerCase();
-          return codeMatches && p?.active === true;
-        });
-        if (found) {
-          promoCodeId = found.id;
-          if (process.env.NODE_ENV !== 'production') console.log(`✅ Applying provided discount code '${providedDiscountCode}' -> promo ${promoCodeId}`);
-        } else {
-          if (process.env.NODE_ENV !== 'production') console.warn(`⚠️ Provided discount code '${providedDiscountCode}' not found or inactive. Proceeding without it.`);
-        }
-      } catch (e) {
-        if (process.env.NODE_ENV !== 'production') console.warn(`⚠️ Stripe validation failed for code '${providedDiscountCode}':`, e?.message || e);
-      }
-    }
+    const providedDiscountCode = getDiscountCodeFromBody(req.body);
+    let promoCodeId = (await findActivePromotionCode(providedDiscountCode))?.id || null;
 
-    // Loyalty fallback will be evaluated later after computing auto toys discount applicability
+    // Loyalty fallback will be evaluated later after evaluating automatic promotions
 
-    if (!items || items.length === 0) {
+    if (!Array.isArray(items) || items.length === 0) {
       return res.status(400).json({ message: "No items provided" });
     }
 
-    // Determine auto toys discount window
-    const promoEndMs = Date.parse(PROMO_TOYS_END_ISO);
-    const isToysPromoWindowActive = Number.isFinite(promoEndMs) && Date.now() < promoEndMs && PROMO_TOYS_RATE > 0;
-
-    // Identify toy items server-side by brand_segment
-    let toyIdSet = new Set();
-    try {
-      const ids = (Array.isArray(items) ? items : []).map(it => it.id).filter(Boolean);
-      if (ids.length) {
-        const { data: prods, error: prodErr } = await supabase
-          .from("product")
-          .select("id, brand_segment")
-          .in("id", ids);
-        if (prodErr) {
-          if (process.env.NODE_ENV !== 'production') console.warn("⚠️ Could not fetch products for brand_segment:", prodErr?.message || prodErr);
-        } else if (Array.isArray(prods)) {
-          toyIdSet = new Set(
-            prods
-              .filter(p => (p?.brand_segment || "").toLowerCase() === "toys")
-              .map(p => p.id)
-          );
-        }
-      }
-    } catch (e) {
-      if (process.env.NODE_ENV !== 'production') console.warn("⚠️ Error determining toy items:", e?.message || e);
+    // Server-authoritative pricing: every line is re-priced from the product table
+    const pricing = await priceItemsFromDb(items);
+    const rejection = pricingRejection(pricing);
+    if (rejection) {
+      if (process.env.NODE_ENV !== 'production') console.warn("⚠️ Checkout rejected:", rejection.body);
+      return res.status(rejection.status).json(rejection.body);
     }
+    const pricedLines = pricing.lines;
 
-    // Precedence: manual code > auto toys > loyalty
-    const willApplyAutoToys = isToysPromoWindowActive && toyIdSet.size > 0 && !promoCodeId;
+    // Automatic promotions (see services/promotionService.js for precedence/stacking rules)
+    const promoEval = await applyActivePromotions({ lines: pricedLines, hasDiscountCode: !!promoCodeId });
+    const hasAutoPromotion = promoEval.applied.length > 0;
 
-    // 2) Loyalty fallback: only if no manual code and no auto toys discount
-    if (!promoCodeId && !willApplyAutoToys && user && user.userId && user.userId !== "guest") {
+    // 2) Loyalty fallback: only if no manual code and no automatic promotion
+    if (!promoCodeId && !hasAutoPromotion) {
       try {
-        const { data: dbUser, error: userError } = await supabase
-          .from("user")
-          .select("id, points")
-          .eq("id", user.userId)
-          .single();
-        if (userError) throw userError;
-        if (dbUser && (dbUser.points || 0) >= 100) {
-          const couponCode = `DIVA-${user.userId.slice(0, 6).toUpperCase()}`;
-          const existing = await stripe.promotionCodes.list({ code: couponCode, limit: 1 });
-          const activePromo = existing.data.find(p => (p.code || "").toLowerCase() === couponCode.toLowerCase() && p.active && !p.restrictions?.ends_at);
-          if (activePromo) {
-            promoCodeId = activePromo.id;
-            if (process.env.NODE_ENV !== 'production') console.log("🎟️ Reusing active loyalty promo:", couponCode);
-          } else {
-            const coupon = await stripe.coupons.create({ percent_off: 10, duration: "once" });
-            const promo = await stripe.promotionCodes.create({ code: couponCode, coupon: coupon.id, max_redemptions: 1 });
-            promoCodeId = promo.id;
-            const { error: updateError } = await supabase
-              .from("user")
-              .update({ points: (dbUser.points || 0) - 100 })
-              .eq("id", user.userId);
-            if (updateError) throw updateError;
-            if (process.env.NODE_ENV !== 'production') console.log("🎁 Created new loyalty promo & deducted 100 points:", couponCode);
-          }
-        }
+        const eligibility = await getLoyaltyEligibility(user);
+        if (eligibility) promoCodeId = await issueLoyaltyPromotionCode(user, eligibility);
       } catch (e) {
         if (process.env.NODE_ENV !== 'production') console.error("❌ Promo code generation error (non-fatal):", e?.message || e);
       }
     }
 
-    // Build line items with potential auto toys discount
-    let promoToysCents = 0; // total discounted cents across all toy items
-    const productLineItems = items.map((item) => {
-      const quantity = Number(item.quantity) || 1;
-      const baseCents = Math.round(Number(item.price) * 100);
-      let unit_amount = baseCents;
-      if (willApplyAutoToys && item.id && toyIdSet.has(item.id)) {
-        const discounted = Math.round(baseCents * (1 - PROMO_TOYS_RATE / 100));
-        promoToysCents += (baseCents - discounted) * quantity;
-        unit_amount = discounted;
-      }
+    // Build line items with automatic promotion discounts baked into unit prices
+    const productLineItems = promoEval.lines.map((line) => {
+      const quantity = line.quantity;
+      const unit_amount = line.discountedUnitCents;
       return {
         price_data: {
           currency: "usd",
           product_data: {
-            name: item.title || item.name || "Item",
-            images: [
-              item.image?.startsWith("http")
-                ? item.image
-                : `${BASE_CLIENT_URL}${item.image}`,
-            ].filter(Boolean),
+            name: line.title,
+            images: line.image
+              ? [line.image.startsWith("http") ? line.image : `${BASE_CLIENT_URL}${line.image}`]
+              : [],
           },
           unit_amount,
           tax_behavior: "exclusive",
@@ -170,53 +321,13 @@ router.post("/create-checkout-session", async (req, res) => {
       };
     });
 
-    // If client provided shipment + selected rate, fetch shipment to validate & extract rate
-    let selectedRate = null;
-    let effectiveShipmentId = shippoShipmentId;
-
-    // If local pickup, shipping is $0
-    let shippingCents = 0;
-    if (isLocalPickup || isLocal) {
-      selectedRate = {
-        id: "local-pickup",
-        provider: "Local Pickup",
-        service: "Pickup",
-        amount: 0,
-        currency: "USD",
-      };
-      effectiveShipmentId = null;
-    } else {
-      if (shippoShipmentId && shippoRateId) {
-        try {
-          const shipment = await shippoClient.shipments.retrieve(shippoShipmentId);
-          const rate = (shipment?.rates || []).find(r => r.objectId === shippoRateId);
-          if (!rate) return res.status(400).json({ message: "Provided Shippo rate not found in shipment" });
-          selectedRate = {
-            id: rate.objectId,
-            provider: rate.provider,
-            service: rate.servicelevel?.name || rate.servicelevel?.token || "Service",
-            amount: Number(rate.amount),
-            currency: rate.currency || "USD",
-          };
-        } catch (e) {
-          if (process.env.NODE_ENV !== 'production') console.error("❌ Failed to validate provided Shippo shipment/rate:", e?.message || e);
-          return res.status(400).json({ message: "Invalid Shippo shipment/rate" });
-        }
-      }
-      // If not provided, compute cheapest now
-      if (!selectedRate) {
-        if (!shippingInfo) return res.status(400).json({ message: "shippingInfo required when shipment not pre-created" });
-        try {
-          const { cheapest, shipment } = await getCheapestShippoRate({ shippingInfo, items });
-          selectedRate = cheapest;
-          effectiveShipmentId = shipment?.objectId;
-        } catch (e) {
-          if (process.env.NODE_ENV !== 'production') console.error("❌ Shippo rate error:", e?.message || e);
-          return res.status(502).json({ message: "Failed to obtain shipping rate" });
-        }
-      }
-      shippingCents = Math.round(Number(selectedRate.amount) * 100);
-    }
+    const { selectedRate, effectiveShipmentId, shippingCents } = await resolveShippingRate({
+      isLocalPickup: isLocalPickup || isLocal,
+      shippingInfo,
+      items,
+      shippoShipmentId,
+      shippoRateId,
+    });
 
     // Build product line items only (exclude shipping from line_items)
     const lineItems = [
@@ -224,15 +335,15 @@ router.post("/create-checkout-session", async (req, res) => {
     ];
 
     // NEW: Compact items for metadata (Stripe value limit 500 chars per field)
-    let compactItems = items.map(it => ({
-      id: it.id,
-      q: Number(it.quantity || 1),
-      p: Math.round(Number(it.price) * 100), // cents
+    let compactItems = pricedLines.map(line => ({
+      id: line.id,
+      q: line.quantity,
+      p: line.unitCents, // server price, cents
     }));
     let itemsJson = JSON.stringify(compactItems);
     if (itemsJson.length > 500) {
       // Drop price first
-      compactItems = items.map(it => ({ id: it.id, q: Number(it.quantity || 1) }));
+      compactItems = pricedLines.map(line => ({ id: line.id, q: line.quantity }));
       itemsJson = JSON.stringify(compactItems);
     }
     if (itemsJson.length > 500) {
@@ -243,17 +354,25 @@ router.post("/create-checkout-session", async (req, res) => {
       }
     }
 
+    // Hold the stock while the Stripe session is open (released on expiry, converted on payment)
+    const hold = await reserveStock(pricedLines);
+    if (hold.error) {
+      if (hold.error.code === "INSUFFICIENT_STOCK") {
+        return res.status(409).json({ code: "INSUFFICIENT_STOCK", message: "Insufficient stock", items: [{ product_id: hold.error.product_id || null, available: hold.error.available ?? null }] });
+      }
+      if (hold.error.code === "RESERVATION_UNAVAILABLE") {
+        return res.status(503).json({ code: hold.error.code, message: hold.error.message });
+      }
+      throw hold.error;
+    }
+    stockHoldId = hold.holdId;
+
     const sessionMetadata = {
       userId: user?.userId || "guest",
       email: user?.email || "guest@example.com",
       items: itemsJson, // compact representation
       subtotal: String(
-        Math.round(
-          items.reduce(
-            (acc, item) => acc + Number(item.price) * Number(item.quantity || 1),
-            0
-          ) * 100
-        )
+        pricedLines.reduce((acc, line) => acc + line.unitCents * line.quantity, 0)
       ),
       shippingInfo: shippingInfo ? JSON.stringify(shippingInfo) : "",
       shipping_fee: String(shippingCents),
@@ -261,14 +380,16 @@ router.post("/create-checkout-session", async (req, res) => {
       shippo_rate_id: selectedRate.id || "",
       shipping_rate_provider: selectedRate.provider || "",
       shipping_rate_service: selectedRate.service || "",
+      // Table-rate estimate (Shippo was down): no label can be bought from this rate
+      ...(selectedRate.estimated ? { shipping_estimated: "true" } : {}),
       ship_from_email: process.env.SHIP_FROM_EMAIL || "",
       ship_from_phone: process.env.SHIP_FROM_PHONE || "",
       ...(providedDiscountCode ? { discountCode: providedDiscountCode } : {}),
-      // Auto toys promo observability
-      promo_toys_applied: willApplyAutoToys ? "1" : "0",
-      promo_toys_rate: String(PROMO_TOYS_RATE),
-      promo_toys_cents: String(promoToysCents),
+      // Automatic promotion observability
+      promotion_ids: promoEval.applied.map(p => p.id).join(",").slice(0, 500),
+      promotion_cents: String(promoEval.discountCents),
       ...(clientMetadata || {}),
+      stock_hold_id: stockHoldId,
     };
 
     const baseSessionPayload = {
@@ -278,8 +399,9 @@ router.post("/create-checkout-session", async (req, res) => {
       success_url: `${BASE_CLIENT_URL}/checkout/success?session_id={CHECKOUT_SESSION_ID}`,
       cancel_url: `${BASE_CLIENT_URL}/checkout/cancel`,
       metadata: sessionMetadata,
+      expires_at: Math.floor(Date.parse(hold.expiresAt) / 1000),
       customer_email: user?.email || undefined,
-      shipping_address_collection: { allowed_countries: ["US", "CA"] },
+      shipping_address_collection: { allowed_countries: ALLOWED_SHIPPING_COUNTRIES },
       automatic_tax: { enabled: true },
       shipping_options: [
         {
@@ -295,7 +417,7 @@ router.post("/create-checkout-session", async (req, res) => {
 
     // Attempt creation with discount if present, retry once w/o on coupon errors
     if (process.env.NODE_ENV !== 'production') {
-      console.log(`🧮 Auto toys promo: ${willApplyAutoToys ? 'APPLIED' : 'SKIPPED'} | total discount cents=${promoToysCents}`);
+      console.log(`🧮 Automatic promotions: ${hasAutoPromotion ? promoEval.applied.map(p => p.name || p.id).join(", ") : 'NONE'} | total discount cents=${promoEval.discountCents}`);
     }
 
     let session;
@@ -315,11 +437,11 @@ router.post("/create-checkout-session", async (req, res) => {
             if (process.env.NODE_ENV !== 'production') console.log("✅ Stripe session created without promo after retry:", session.id, "discounts applied = no");
           } catch (retryErr) {
             if (process.env.NODE_ENV !== 'production') console.error("❌ Stripe retry failed:", retryErr);
-            return res.status(500).json({ message: "Failed to create checkout session", error: retryErr.message });
+            throw retryErr;
           }
         } else {
           if (process.env.NODE_ENV !== 'production') console.error("❌ Stripe session creation failed (non-coupon error):", err);
-          return res.status(500).json({ message: "Failed to create checkout session", error: err.message });
+          throw err;
         }
       }
     } else {
@@ -327,13 +449,178 @@ router.post("/create-checkout-session", async (req, res) => {
       if (process.env.NODE_ENV !== 'production') console.log("✅ Stripe session created (no promo):", session.id, "discounts applied = no");
     }
 
-    return res.json({ url: session.url, shipping: selectedRate, shippoShipmentId: effectiveShipmentId });
+    await attachHoldToSession(stockHoldId, session.id);
+
+    return res.json({
+      url: session.url,
+      shipping: selectedRate,
+      shippoShipmentId: effectiveShipmentId,
+      stock_hold_expires_at: hold.expiresAt,
+    });
   } catch (error) {
+    // No session was created, so give the held stock back immediately
+    if (stockHoldId) await releaseHold({ holdId: stockHoldId });
+    if (error?.status && error?.body) return res.status(error.status).json(error.body);
     if (process.env.NODE_ENV !== 'production') console.error("❌ Stripe Checkout Error (outer catch):", error);
     return res.status(500).json({ message: "Failed to create checkout session", error: error.message });
   }
 });
 
+// Estimate tax with Stripe Tax for a quote. Returns cents, or null when no estimate is possible.
+const estimateTaxCents = async ({ lines, shippingCents, shippingInfo }) => {
+  if (!shippingInfo?.postal_code) return null;
+  try {
+    const calculation = await stripe.tax.calculations.create({
+      currency: "usd",
+      line_items: lines.map((line) => ({
+        amount: line.amountCents,
+        reference: String(line.id),
+        quantity: line.quantity,
+        tax_behavior: "exclusive",
+      })),
+      customer_details: {
+        address: {
+          line1: shippingInfo.address_line1 || undefined,
+          city: shippingInfo.city || undefined,
+          state: shippingInfo.state || undefined,
+          postal_code: shippingInfo.postal_code,
+          country: (shippingInfo.country || "US").toUpperCase(),
+        },
+        address_source: "shipping",
+      },
+      shipping_cost: { amount: shippingCents, tax_behavior: "exclusive" },
+    });
+    return Number.isFinite(calculation?.tax_amount_exclusive) ? calculation.tax_amount_exclusive : null;
+  } catch (e) {
+    if (process.env.NODE_ENV !== 'production') console.warn("⚠️ Stripe tax estimate failed:", e?.message || e);
+    return null;
+  }
+};
+
+// Discount a Stripe coupon would give on a subtotal (cents)
+const couponDiscountCents = (coupon, subtotalCents) => {
+  if (!coupon) return 0;
+  if (Number(coupon.percent_off) > 0) return Math.round(subtotalCents * Number(coupon.percent_off) / 100);
+  if (Number(coupon.amount_off) > 0) return Math.min(Number(coupon.amount_off), subtotalCents);
+  return 0;
+};
+
+const toDollars = (cents) => Number((cents / 100).toFixed(2));
+
+// 🧾 Preview totals for the cart without creating a Stripe session.
+// Runs the same pricing, discount precedence and shipping logic as create-checkout-session,
+// but never mints loyalty codes or deducts points.
+router.post("/quote", async (req, res) => {
+  try {
+    const { items, shippingInfo, shippoShipmentId, shippoRateId, isLocalPickup, isLocal } = req.body || {};
+    const user = getUserFromToken(req);
+
+    if (!Array.isArray(items) || items.length === 0) {
+      return res.status(400).json({ message: "No items provided" });
+    }
+
+    const pricing = await priceItemsFromDb(items);
+    const rejection = pricingRejection({ ...pricing, priceChanges: [] }); // price drift is reported, not rejected
+    if (rejection) return res.status(rejection.status).json(rejection.body);
+
+    // 1) Manual discount code
+    const providedDiscountCode = getDiscountCodeFromBody(req.body);
+    const promotionCode = await findActivePromotionCode(providedDiscountCode);
+
+    // 2) Automatic promotions
+    const promoEval = await applyActivePromotions({ lines: pricing.lines, hasDiscountCode: !!promotionCode });
+    const promotionCents = promoEval.discountCents;
+    const afterPromotionsCents = promoEval.subtotalCents - promotionCents;
+
+    // 3) Loyalty fallback (preview only)
+    let loyalty = null;
+    if (!promotionCode && !promoEval.applied.length) {
+      try {
+        loyalty = await getLoyaltyEligibility(user);
+      } catch (e) {
+        if (process.env.NODE_ENV !== 'production') console.warn("⚠️ Loyalty eligibility check failed (non-fatal):", e?.message || e);
+      }
+    }
+
+    const codeCents = promotionCode ? couponDiscountCents(promotionCode.coupon, afterPromotionsCents) : 0;
+    const loyaltyCents = loyalty
+      ? (loyalty.existingPromo
+          ? couponDiscountCents(loyalty.existingPromo.coupon, afterPromotionsCents)
+          : Math.round(afterPromotionsCents * LOYALTY_PERCENT_OFF / 100))
+      : 0;
+    const discountCents = promotionCents + codeCents + loyaltyCents;
+    const merchandiseCents = Math.max(0, promoEval.subtotalCents - discountCents);
+
+    const { selectedRate, effectiveShipmentId, shippingCents } = await resolveShippingRate({
+      isLocalPickup: isLocalPickup || isLocal,
+      shippingInfo,
+      items,
+      shippoShipmentId,
+      shippoRateId,
+      useCache: true,
+    });
+
+    // Spread code/loyalty discounts across lines for the tax estimate, as Stripe does
+    const orderLevelCents = codeCents + loyaltyCents;
+    const taxLines = promoEval.lines.map((line) => {
+      const lineCents = line.discountedUnitCents * line.quantity;
+      const share = afterPromotionsCents > 0 ? Math.round(orderLevelCents * lineCents / afterPromotionsCents) : 0;
+      return { id: line.id, quantity: line.quantity, amountCents: Math.max(0, lineCents - share) };
+    });
+    const taxCents = await estimateTaxCents({
+      lines: taxLines,
+      shippingCents,
+      shippingInfo: isLocalPickup || isLocal ? null : shippingInfo,
+    });
+
+    let winner = null;
+    if (promotionCode) winner = "discount_code";
+    else if (promoEval.applied.length) winner = "promotion";
+    else if (loyalty) winner = "loyalty";
+
+    const totalCents = merchandiseCents + shippingCents + (taxCents || 0);
+
+    return res.json({
+      success: true,
+      currency: "usd",
+      items: promoEval.lines.map((line) => ({
+        product_id: line.id,
+        title: line.title,
+        quantity: line.quantity,
+        unit_price: toDollars(line.unitCents),
+        discounted_unit_price: toDollars(line.discountedUnitCents),
+        line_total: toDollars(line.discountedUnitCents * line.quantity),
+      })),
+      price_changes: pricing.priceChanges,
+      subtotal: toDollars(promoEval.subtotalCents),
+      discounts: {
+        applied: winner,
+        total: toDollars(discountCents),
+        promotions: promoEval.applied.map((p) => ({ ...p, discount: toDollars(p.discount_cents) })),
+        promotions_skipped: promoEval.skipped,
+        discount_code: providedDiscountCode
+          ? { code: providedDiscountCode, valid: !!promotionCode, discount: toDollars(codeCents) }
+          : null,
+        loyalty: loyalty
+          ? { code: loyalty.couponCode, points_cost: loyalty.existingPromo ? 0 : LOYALTY_POINTS_COST, discount: toDollars(loyaltyCents) }
+          : null,
+      },
+      shipping: toDollars(shippingCents),
+      shipping_rate: selectedRate,
+      duties: isLocalPickup || isLocal ? null : dutiesNotice(shippingInfo?.country),
+      shippo_shipment_id: effectiveShipmentId || null,
+      estimated_tax: taxCents == null ? null : toDollars(taxCents),
+      total: toDollars(totalCents),
+      total_cents: totalCents,
+      total_includes_tax: taxCents != null,
+    });
+  } catch (error) {
+    if (error?.status && error?.body) return res.status(error.status).json(error.body);
+    if (process.env.NODE_ENV !== 'production') console.error("❌ /quote error:", error);
+    return res.status(500).json({ message: "Failed to build checkout quote", error: error.message });
+  }
+});
+
 // Replaced /shippo-rate route handler
 router.post("/shippo-rate", async (req, res) => {
   const { shippingInfo, items } = req.body || {};
@@ -349,7 +636,12 @@ router.post("/shippo-rate", async (req, res) => {
   } catch (_) { /* ignore and proceed to Shippo */ }
   try {
     const start = Date.now();
-    const { cheapest, rates } = await getCheapestShippoRate({ shippingInfo, items });
+    // Incomplete addresses are rejected; carrier warnings and suggestions are returned for the shopper
+    const validation = await validateAddress(shippingInfo);
+    if (validation.errors.length) {
+      return res.status(400).json({ message: "Invalid shipping address", address_validation: addressValidationSummary(validation) });
+    }
+    const { cheapest, rates, packing, estimated, cached, duties, customs_warnings } = await getCheapestShippoRate({ shippingInfo: validation.address, items, useCache: true });
     const ms = Date.now() - start;
     return res.json({
       success: true,
@@ -357,9 +649,16 @@ router.post("/shippo-rate", async (req, res) => {
       shipping_fee_cents: Math.round(Number(cheapest.amount) * 100),
       rate: cheapest,
       rates,
+      packing,
+      estimated,
+      cached: !!cached,
+      duties,
+      customs_warnings,
+      address_validation: addressValidationSummary(validation),
       elapsed_ms: ms,
     });
   } catch (e) {
+    if (e?.code === "INVALID_QUANTITY") return res.status(400).json({ message: e.message });
     if (process.env.NODE_ENV !== 'production') console.error("❌ /shippo-rate error:", e?.message || e);
     return res.status(502).json({ message: "Failed to obtain Shippo rates", error: e?.message || String(e) });
   }
@@ -373,7 +672,7 @@ router.post("/goshipoo-rate", async (req, res) => {
   }
   try {
     const start = Date.now();
-    const { cheapest, rates } = await getCheapestShippoRate({ shippingInfo, items });
+    const { cheapest, rates, packing, estimated, cached, duties } = await getCheapestShippoRate({ shippingInfo, items, useCache: true });
     const ms = Date.now() - start;
     return res.json({
       success: true,
@@ -381,9 +680,14 @@ router.post("/goshipoo-rate", async (req, res) => {
       shipping_fee_cents: Math.round(Number(cheapest.amount) * 100),
       rate: cheapest,
       rates,
+      packing,
+      estimated,
+      cached: !!cached,
+      duties,
       elapsed_ms: ms,
     });
   } catch (e) {
+    if (e?.code === "INVALID_QUANTITY") return res.status(400).json({ message: e.message });
     if (process.env.NODE_ENV !== 'production') console.error("❌ /goshipoo-rate error:", e?.message || e);
     return res.status(502).json({ message: "Failed to obtain Shippo rates", error: e?.message || String(e) });
   }
@@ -437,20 +741,34 @@ router.post("/finalize-points", async (req, res) => {
 
 // NEW: create shipment & return selectable rates
 router.post("/shipping/create-shipment", async (req, res) => {
-  const { shippingInfo, items } = req.body || {};
+  const { shippingInfo, items, acceptUnverifiedAddress } = req.body || {};
   if (!shippingInfo || !items) return res.status(400).json({ message: "shippingInfo and items required" });
   try {
-    const { shipment, rates } = await (async () => {
-      const { shipment, rates } = await getCheapestShippoRate({ shippingInfo, items });
-      // getCheapestShippoRate already returns all rates; we re-fetch full shipment for clarity
-      return { shipment, rates };
-    })();
+    // A label will be bought from this shipment, so a carrier-rejected address is blocked
+    // unless the shopper explicitly keeps it (acceptUnverifiedAddress: true)
+    const validation = await validateAddress(shippingInfo);
+    if (validation.errors.length) {
+      return res.status(400).json({ message: "Invalid shipping address", address_validation: addressValidationSummary(validation) });
+    }
+    if (!validation.valid && acceptUnverifiedAddress !== true) {
+      return res.status(422).json({
+        message: "Shipping address could not be verified",
+        address_validation: addressValidationSummary(validation),
+      });
+    }
+    const { shipment, rates, packing, estimated, duties, customs_warnings } = await getCheapestShippoRate({ shippingInfo: validation.address, items });
     return res.json({
       success: true,
-      shipment_id: shipment?.objectId,
+      shipment_id: shipment?.objectId || null,
       rates,
+      packing,
+      estimated,
+      duties,
+      customs_warnings,
+      address_validation: addressValidationSummary(validation),
     });
   } catch (e) {
+    if (e?.code === "INVALID_QUANTITY") return res.status(400).json({ message: e.message });
     if (process.env.NODE_ENV !== 'production') console.error("❌ /shipping/create-shipment error:", e?.message || e);
     return res.status(502).json({ message: "Failed to create shipment", error: e?.message || String(e) });
   }
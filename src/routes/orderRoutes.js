@@ -5,19 +5,38 @@ import {
   createPickupOrder,
   updateOrderStatus,
   getFilteredOrders,
-  searchOrdersByEmail,
   trackOrder,
   cancelOrder,
   getOrderById,
   deleteOrder,
   markOrderPaid,
   markOrderPickedUp,
+  purchaseOrderLabel,
+  createOrderRefund,
+  recordManualRefund,
+  listOrderRefunds,
+  addOrderNote,
+  getOrderNotes,
+  removeOrderNote,
   cancelExpiredPickupHolds,
+  sendPickupReminders,
   uploadPaymentProof,
   getPaymentProofSignedUrl,
+  listPaymentProofQueue,
+  approvePaymentProof,
+  rejectPaymentProof,
 } from "../controllers/orderController.js";
+import {
+  getInvoicePdf,
+  getPackingSlipPdf,
+  getBulkPackingSlipsPdf,
+} from "../controllers/orderDocumentController.js";
+import { exportOrders } from "../controllers/orderExportController.js";
+import { searchOrders } from "../controllers/orderSearchController.js";
+import { createBulkOrderJob, getBulkOrderJob, listBulkOrderJobs } from "../controllers/orderBulkController.js";
 import authMiddleware from "../middleware/authMiddleware.js";
 import isAdminMiddleware from "../middleware/isAdminMiddleware.js";
+import { validateOrderStatus } from "../middleware/validate.js";
 import multer from "multer";
 
 // Multer for payment proof uploads (10MB limit, images/pdf only)
@@ -32,6 +51,17 @@ const proofUpload = multer({
   }
 });
 
+// Multer for order note attachments (10MB each, images/pdf only, up to 5)
+const noteUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 10 * 1024 * 1024, files: 5 },
+  fileFilter: (req, file, cb) => {
+    const ok = file.mimetype?.startsWith('image/') || file.mimetype === 'application/pdf';
+    if (!ok) return cb(new Error('Only images or PDF allowed'));
+    cb(null, true);
+  }
+});
+
 // =====================
 // Public/User router (mount at /orders)
 // =====================
@@ -49,6 +79,9 @@ publicRouter.put("/:orderId/cancel", authMiddleware, cancelOrder); // User/Admin
 // Upload payment proof
 publicRouter.post("/:id/payment-proof", authMiddleware, proofUpload.single('file'), uploadPaymentProof);
 
+// Invoice PDF (owner or admin permitted by controller)
+publicRouter.get("/:id/invoice.pdf", authMiddleware, getInvoicePdf);
+
 // Fetch short-lived signed payment proof URL (owner or admin permitted by controller)
 publicRouter.get("/:id/payment-proof-url", authMiddleware, getPaymentProofSignedUrl);
 
@@ -59,20 +92,39 @@ export const adminRouter = express.Router();
 
 // Admin list/search
 adminRouter.get("/", authMiddleware, isAdminMiddleware, getFilteredOrders); // GET /admin/orders
-adminRouter.get("/search", authMiddleware, isAdminMiddleware, searchOrdersByEmail); // GET /admin/orders/search
+adminRouter.get("/search", authMiddleware, isAdminMiddleware, searchOrders); // GET /admin/orders/search
+adminRouter.get("/export", authMiddleware, isAdminMiddleware, exportOrders); // GET /admin/orders/export?layout=orders|lines|quickbooks|xero
+adminRouter.get("/payment-proofs", authMiddleware, isAdminMiddleware, listPaymentProofQueue); // GET /admin/orders/payment-proofs (review queue)
+adminRouter.get("/packing-slips.pdf", authMiddleware, isAdminMiddleware, getBulkPackingSlipsPdf); // GET /admin/orders/packing-slips.pdf?status=Pending
+
+// Bulk actions (tracked jobs)
+adminRouter.post("/bulk", authMiddleware, isAdminMiddleware, createBulkOrderJob); // POST /admin/orders/bulk
+adminRouter.get("/bulk", authMiddleware, isAdminMiddleware, listBulkOrderJobs); // GET /admin/orders/bulk
+adminRouter.get("/bulk/:jobId", authMiddleware, isAdminMiddleware, getBulkOrderJob); // GET /admin/orders/bulk/:jobId
 
 // Admin CRUD on a single order
 adminRouter.get("/:id", authMiddleware, isAdminMiddleware, getOrderById); // GET /admin/orders/:id
-adminRouter.put("/:orderId", authMiddleware, isAdminMiddleware, updateOrderStatus); // PUT /admin/orders/:orderId
+adminRouter.put("/:orderId", authMiddleware, isAdminMiddleware, validateOrderStatus, updateOrderStatus); // PUT /admin/orders/:orderId
 adminRouter.delete("/:orderId", authMiddleware, isAdminMiddleware, deleteOrder); // DELETE /admin/orders/:orderId
 
 // Admin helpers for pickup/payment flow
 adminRouter.patch("/:id/mark-paid", authMiddleware, isAdminMiddleware, markOrderPaid);
 adminRouter.patch("/:id/mark-picked-up", authMiddleware, isAdminMiddleware, markOrderPickedUp);
 adminRouter.patch("/:id/cancel", authMiddleware, isAdminMiddleware, cancelOrder);
+adminRouter.post("/:id/purchase-label", authMiddleware, isAdminMiddleware, purchaseOrderLabel); // retry Shippo label now
+adminRouter.get("/:id/packing-slip.pdf", authMiddleware, isAdminMiddleware, getPackingSlipPdf); // GET /admin/orders/:id/packing-slip.pdf
+adminRouter.get("/:id/refunds", authMiddleware, isAdminMiddleware, listOrderRefunds); // GET /admin/orders/:id/refunds
+adminRouter.post("/:id/refunds", authMiddleware, isAdminMiddleware, createOrderRefund); // POST /admin/orders/:id/refunds (Stripe)
+adminRouter.post("/:id/refunds/manual", authMiddleware, isAdminMiddleware, recordManualRefund); // POST /admin/orders/:id/refunds/manual (paid in person)
+adminRouter.get("/:id/notes", authMiddleware, isAdminMiddleware, getOrderNotes); // GET /admin/orders/:id/notes
+adminRouter.post("/:id/notes", authMiddleware, isAdminMiddleware, noteUpload.array('attachments', 5), addOrderNote); // POST /admin/orders/:id/notes
+adminRouter.delete("/:id/notes/:noteId", authMiddleware, isAdminMiddleware, removeOrderNote); // DELETE /admin/orders/:id/notes/:noteId
 adminRouter.post("/cancel-expired-pickups", authMiddleware, isAdminMiddleware, cancelExpiredPickupHolds);
+adminRouter.post("/pickup-reminders", authMiddleware, isAdminMiddleware, sendPickupReminders); // POST /admin/orders/pickup-reminders
 
 // Admin convenience: fetch short-lived signed payment proof URL
 adminRouter.get("/:id/payment-proof-url", authMiddleware, isAdminMiddleware, getPaymentProofSignedUrl);
+adminRouter.post("/:id/payment-proof/approve", authMiddleware, isAdminMiddleware, approvePaymentProof); // POST /admin/orders/:id/payment-proof/approve
+adminRouter.post("/:id/payment-proof/reject", authMiddleware, isAdminMiddleware, rejectPaymentProof); // POST /admin/orders/:id/payment-proof/reject { reason }
 
 export default { publicRouter, adminRouter };
@@ -0,0 +1,47 @@
+import express from "express";
+import {
+  getPickupLocations,
+  getOpenPickupSlots,
+  getAllPickupLocations,
+  createPickupLocation,
+  updatePickupLocation,
+  deactivatePickupLocation,
+  setPickupHours,
+  addPickupBlackout,
+  deletePickupBlackout,
+  getPickupBookings,
+  verifyPickupCheckIn,
+  completePickupCheckInHandler,
+  resendPickupCode,
+} from "../controllers/pickupController.js";
+import authMiddleware from "../middleware/authMiddleware.js";
+import isAdminMiddleware from "../middleware/isAdminMiddleware.js";
+
+// =====================
+// Public router (mount at /pickup)
+// =====================
+export const publicRouter = express.Router();
+
+publicRouter.get("/locations", getPickupLocations); // GET /pickup/locations
+publicRouter.get("/slots", getOpenPickupSlots); // GET /pickup/slots?locationId=&from=&days=
+
+// =====================
+// Admin router (mount at /admin/pickup)
+// =====================
+export const adminRouter = express.Router();
+
+adminRouter.get("/locations", authMiddleware, isAdminMiddleware, getAllPickupLocations); // GET /admin/pickup/locations
+adminRouter.post("/locations", authMiddleware, isAdminMiddleware, createPickupLocation); // POST /admin/pickup/locations
+adminRouter.put("/locations/:id", authMiddleware, isAdminMiddleware, updatePickupLocation); // PUT /admin/pickup/locations/:id
+adminRouter.delete("/locations/:id", authMiddleware, isAdminMiddleware, deactivatePickupLocation); // DELETE /admin/pickup/locations/:id (deactivates)
+adminRouter.put("/locations/:id/hours", authMiddleware, isAdminMiddleware, setPickupHours); // PUT /admin/pickup/locations/:id/hours
+adminRouter.post("/locations/:id/blackouts", authMiddleware, isAdminMiddleware, addPickupBlackout); // POST /admin/pickup/locations/:id/blackouts
+adminRouter.delete("/locations/:id/blackouts/:blackoutId", authMiddleware, isAdminMiddleware, deletePickupBlackout); // DELETE /admin/pickup/locations/:id/blackouts/:blackoutId
+adminRouter.get("/locations/:id/bookings", authMiddleware, isAdminMiddleware, getPickupBookings); // GET /admin/pickup/locations/:id/bookings?date=
+
+// Pickup counter (QR check-in)
+adminRouter.post("/check-in/verify", authMiddleware, isAdminMiddleware, verifyPickupCheckIn); // POST /admin/pickup/check-in/verify
+adminRouter.post("/check-in/complete", authMiddleware, isAdminMiddleware, completePickupCheckInHandler); // POST /admin/pickup/check-in/complete
+adminRouter.post("/orders/:id/code", authMiddleware, isAdminMiddleware, resendPickupCode); // POST /admin/pickup/orders/:id/code
+
+export default { publicRouter, adminRouter };
@@ -0,0 +1,21 @@
+import express from "express";
+import {
+  getAllPromotions,
+  getPromotionById,
+  createPromotion,
+  updatePromotion,
+  deletePromotion,
+} from "../controllers/promotionController.js";
+import authMiddleware from "../middleware/authMiddleware.js";
+import isAdminMiddleware from "../middleware/isAdminMiddleware.js";
+
+// Admin router (mount at /admin/promotions)
+const router = express.Router();
+
+router.get("/", authMiddleware, isAdminMiddleware, getAllPromotions); // GET /admin/promotions
+router.get("/:id", authMiddleware, isAdminMiddleware, getPromotionById); // GET /admin/promotions/:id
+router.post("/", authMiddleware, isAdminMiddleware, createPromotion); // POST /admin/promotions
+router.put("/:id", authMiddleware, isAdminMiddleware, updatePromotion); // PUT /admin/promotions/:id
+router.delete("/:id", authMiddleware, isAdminMiddleware, deletePromotion); // DELETE /admin/promotions/:id
+
+export default router;
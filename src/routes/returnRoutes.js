@@ -0,0 +1,44 @@
+import express from "express";
+import multer from "multer";
+import {
+  createReturnRequest,
+  getMyReturns,
+  getReturns,
+  getReturnById,
+  approveReturn,
+  denyReturn,
+  receiveReturn,
+} from "../controllers/returnController.js";
+import authMiddleware from "../middleware/authMiddleware.js";
+import isAdminMiddleware from "../middleware/isAdminMiddleware.js";
+
+// Multer for return photos (10MB each, images only, up to 5)
+const photoUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 10 * 1024 * 1024, files: 5 },
+  fileFilter: (req, file, cb) => {
+    if (!file.mimetype?.startsWith('image/')) return cb(new Error('Only images allowed'));
+    cb(null, true);
+  }
+});
+
+// =====================
+// Customer router (mount at /returns)
+// =====================
+export const publicRouter = express.Router();
+
+publicRouter.post("/", authMiddleware, photoUpload.array('photos', 5), createReturnRequest); // POST /returns
+publicRouter.get("/mine", authMiddleware, getMyReturns); // GET /returns/mine
+
+// =====================
+// Admin router (mount at /admin/returns)
+// =====================
+export const adminRouter = express.Router();
+
+adminRouter.get("/", authMiddleware, isAdminMiddleware, getReturns); // GET /admin/returns?status=requested
+adminRouter.get("/:id", authMiddleware, isAdminMiddleware, getReturnById); // GET /admin/returns/:id
+adminRouter.post("/:id/approve", authMiddleware, isAdminMiddleware, approveReturn); // POST /admin/returns/:id/approve
+adminRouter.post("/:id/deny", authMiddleware, isAdminMiddleware, denyReturn); // POST /admin/returns/:id/deny
+adminRouter.post("/:id/receive", authMiddleware, isAdminMiddleware, receiveReturn); // POST /admin/returns/:id/receive
+
+export default { publicRouter, adminRouter };
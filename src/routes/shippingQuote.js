@@ -2,6 +2,9 @@
 import dotenv from "dotenv";
 import { shippoClient } from "../shippoClient.js";
 import supabase from "../../supabaseClient.js"; // ⬅️ NEW: DB lookup for weights/dims
+import { estimateTableRate } from "../services/tableRateShipping.js";
+import { normalizeCountry, normalizePostalCode, normalizeRegion } from "../services/addressValidationService.js";
+import { buildCustomsDeclaration, dutiesNotice, isInternational } from "../services/internationalShipping.js";
 
 dotenv.config();
 // Override constants from environment when provided
@@ -23,15 +26,6 @@ function assertClient() {
   return shippoClient;
 }
 
-// Helper to normalize state input
-function normalizeState(state) {
-  if (!state) return "";
-  const s = state.trim().toUpperCase();
-  if (s.length === 2) return s; // already 2-letter
-  const map = { CALIFORNIA: "CA" };
-  return map[s] || s;
-}
-
 // Support id/productId/product_id as the key
 function itemKey(it) {
   return String(it?.id ?? it?.productId ?? it?.product_id ?? "");
@@ -49,7 +43,7 @@ async function hydrateItemsWithDb(items) {
 
     const { data, error } = await supabase
       .from("product")
-      .select("id, weight_oz, length_in, width_in, height_in")
+      .select("id, title, price, quantity, weight_oz, length_in, width_in, height_in, hs_code, origin_country, customs_value, customs_description")
       .in("id", ids);
     if (error) {
       console.warn("⚠️ hydrateItemsWithDb: supabase error", error);
@@ -66,6 +60,14 @@ async function hydrateItemsWithDb(items) {
         lengthIn: it?.lengthIn ?? (row?.length_in ?? undefined),
         widthIn:  it?.widthIn  ?? (row?.width_in  ?? undefined),
         heightIn: it?.heightIn ?? (row?.height_in ?? undefined),
+        // customs data always comes from the product table
+        stock: row?.quantity ?? null,
+        title: row?.title ?? it?.title,
+        price: row?.price ?? it?.price,
+        hs_code: row?.hs_code ?? null,
+        origin_country: row?.origin_country ?? null,
+        customs_value: row?.customs_value ?? null,
+        customs_description: row?.customs_description ?? null,
       };
     });
   } catch (e) {
@@ -75,11 +77,11 @@ async function hydrateItemsWithDb(items) {
 }
 
 /** ───────────────────────────────────────────────────────────────
- *  Parcel builder (billable weight)
- *  - sums per-item weight (oz) × qty
- *  - adds packaging tare
- *  - enforces minimum billable
- *  - uses simple box that grows if bigger dims exist
+ *  Parcel packing (billable weight)
+ *  - splits the cart across the configured box sizes (first-fit decreasing
+ *    by volume), respecting the carrier weight limit per parcel
+ *  - each parcel: actual weight + box tare, dimensional weight, minimum
+ *  - returns which units went into which box for fulfilment
  *  ─────────────────────────────────────────────────────────────── */
 const OZ_PER_LB = 16;
 const DIM_DIVISOR = 139; // in^3 per lb (common divisor)
@@ -94,88 +96,320 @@ function toOz(value, unit = "oz") {
   return v;
 }
 
-function buildParcelFromItems(items = [], opts = {}) {
-  const packagingTareOz = opts.packagingTareOz ?? 16; // box + tape + label + filler
-  const minOz = opts.minOz ?? 16;
+// Box sizes in inches, smallest first. Override with SHIPPING_BOXES (JSON array of
+// { name, length, width, height, tareOz? }); tare defaults to PACKAGING_TARE_OZ.
+const DEFAULT_BOXES = [
+  { name: "small", length: 10, width: 6, height: 4 },
+  { name: "medium", length: 12, width: 10, height: 6 },
+  { name: "large", length: 16, width: 12, height: 8 },
+  { name: "xl", length: 20, width: 16, height: 12 },
+];
+const PACKAGING_TARE_OZ = (() => {
+  const v = Number(process.env.PACKAGING_TARE_OZ);
+  return Number.isFinite(v) && v >= 0 ? v : 16; // box + tape + label + filler
+})();
+// USPS/UPS ground limit is 70 lb; keep some headroom by default
+const MAX_PARCEL_WEIGHT_OZ = (() => {
+  const v = Number(process.env.SHIPPING_MAX_PARCEL_WEIGHT_OZ);
+  return Number.isFinite(v) && v > 0 ? v : 65 * OZ_PER_LB;
+})();
+// Share of a box's volume we expect to actually fill (filler, irregular shapes)
+const BOX_FILL_RATIO = 0.85;
+// Items with no dimensions on file are assumed to be this size
+const DEFAULT_ITEM_DIMS_IN = [6, 4, 2];
 
-  let actualOz = 0;
-  let totalQty = 0;
-  let sumHeightItems = 0; // sum of item heights × qty (inches)
-  // start with a small default; grow if any item has larger dims
-  let box = { length: 10, width: 6, height: 4 };
+const boxVolume = (b) => b.length * b.width * b.height;
 
-  for (const it of items) {
-    const qty = Number(it.quantity || 1);
-    totalQty += qty;
+function loadBoxes() {
+  let boxes = DEFAULT_BOXES;
+  if (process.env.SHIPPING_BOXES) {
+    try {
+      const parsed = JSON.parse(process.env.SHIPPING_BOXES);
+      const valid = (Array.isArray(parsed) ? parsed : [])
+        .map((b, i) => ({
+          name: String(b?.name || `box-${i + 1}`),
+          length: Number(b?.length),
+          width: Number(b?.width),
+          height: Number(b?.height),
+          tareOz: b?.tareOz != null ? Number(b.tareOz) : undefined,
+        }))
+        .filter((b) => [b.length, b.width, b.height].every((d) => Number.isFinite(d) && d > 0));
+      if (valid.length) boxes = valid;
+      else console.warn("⚠️ SHIPPING_BOXES has no valid boxes; using defaults");
+    } catch (e) {
+      console.warn("⚠️ SHIPPING_BOXES is not valid JSON; using defaults:", e?.message || e);
+    }
+  }
+  return boxes
+    .map((b) => ({ ...b, tareOz: Number.isFinite(b.tareOz) ? b.tareOz : PACKAGING_TARE_OZ }))
+    .sort((a, b) => boxVolume(a) - boxVolume(b));
+}
+const BOXES = loadBoxes();
 
-    // preferred: explicit per-item weight in ounces
-    let wOz = Number(it.weightOz || 0);
+// Orientation-free fit: compare sorted dimensions
+const sortedDims = (d) => [...d].sort((a, b) => b - a);
+const dimsFit = (itemDims, box) => {
+  const i = sortedDims(itemDims);
+  const b = sortedDims([box.length, box.width, box.height]);
+  return i[0] <= b[0] && i[1] <= b[1] && i[2] <= b[2];
+};
 
-    // optional fallback (if someone sends weight + unit)
-    if (!wOz && it.weight != null && it.weightUnit) {
-      wOz = toOz(it.weight, it.weightUnit);
-    }
+function unitWeightOz(it) {
+  let wOz = Number(it.weightOz || 0);
+  // optional fallback (if someone sends weight + unit)
+  if (!wOz && it.weight != null && it.weightUnit) wOz = toOz(it.weight, it.weightUnit);
+  return wOz || 0;
+}
 
-    actualOz += (wOz || 0) * qty;
-
-    if (it.lengthIn && it.widthIn && it.heightIn) {
-      const L = Number(it.lengthIn);
-      const W = Number(it.widthIn);
-      const H = Number(it.heightIn);
-      box.length = Math.max(box.length, L);
-      box.width  = Math.max(box.width,  W);
-      // Keep existing max-height behavior so single-item stays the same
-      box.height = Math.max(box.height, H);
-      // Accumulate per-item height for optional stacking
-      sumHeightItems += (Number.isFinite(H) ? H : 0) * qty;
-    }
+function unitDims(it) {
+  const dims = [Number(it.lengthIn), Number(it.widthIn), Number(it.heightIn)];
+  return dims.every((d) => Number.isFinite(d) && d > 0) ? dims : DEFAULT_ITEM_DIMS_IN;
+}
+
+// Upper bound on units per quote/shipment; also keeps packing cheap on unauthenticated routes
+export const MAX_SHIPPING_UNITS = (() => {
+  const v = Number(process.env.SHIPPING_MAX_UNITS);
+  return Number.isInteger(v) && v > 0 ? v : 500;
+})();
+
+const quantityError = (message) => {
+  const err = new Error(message);
+  err.code = "INVALID_QUANTITY";
+  return err;
+};
+
+/**
+ * Reject carts that can't be packed: non-integer or non-positive quantities, more units than
+ * MAX_SHIPPING_UNITS, and (with checkStock) more of a product than is on hand.
+ * Expects hydrated items (stock comes from the product row). Throws error.code INVALID_QUANTITY.
+ */
+export function assertPackableQuantities(items = [], { checkStock = false } = {}) {
+  const perProduct = new Map();
+  let total = 0;
+  for (const it of items) {
+    const qty = Number(it.quantity ?? 1);
+    if (!Number.isInteger(qty) || qty < 1) throw quantityError(`Invalid quantity for item ${itemKey(it) || "?"}`);
+    total += qty;
+    const key = itemKey(it);
+    perProduct.set(key, (perProduct.get(key) || 0) + qty);
+    if (total > MAX_SHIPPING_UNITS) throw quantityError(`Too many units to ship in one order (max ${MAX_SHIPPING_UNITS})`);
   }
+  if (!checkStock) return;
+  for (const it of items) {
+    const stock = it.stock == null ? null : Number(it.stock);
+    if (stock == null || !Number.isFinite(stock)) continue;
+    if (perProduct.get(itemKey(it)) > stock) throw quantityError(`Only ${Math.max(0, stock)} of ${it.title || itemKey(it)} in stock`);
+  }
+}
 
-  // Optional: stack heights when there are multiple items (opt-in)
-  // Enable by setting STACK_HEIGHT_FOR_MULTI_ITEM=1 in the environment.
-  if (process.env.STACK_HEIGHT_FOR_MULTI_ITEM === "1" && totalQty > 1 && sumHeightItems > 0) {
-    const clearance = Number.isFinite(opts.clearanceIn) ? Number(opts.clearanceIn) : 1; // 1 inch padding
-    const stackedHeight = Math.ceil(sumHeightItems + clearance);
-    box.height = Math.max(box.height, stackedHeight);
+// Float slack so a cart that exactly fills a box isn't pushed into the next one
+const EPSILON = 1e-9;
+
+// How many more units of a line fit in the parcel using this box (0 when the shape doesn't fit)
+const unitsThatFit = (parcel, line, box) => {
+  if (!dimsFit(line.dims, box) || !parcel.dimsList.every((d) => dimsFit(d, box))) return 0;
+  const byVolume = line.volume > 0 ? (boxVolume(box) * BOX_FILL_RATIO - parcel.volume) / line.volume : Infinity;
+  const byWeight = line.weightOz > 0 ? (MAX_PARCEL_WEIGHT_OZ - box.tareOz - parcel.weightOz) / line.weightOz : Infinity;
+  return Math.max(0, Math.floor(Math.min(byVolume, byWeight) + EPSILON));
+};
+
+// Smallest box that holds everything already in the parcel
+const smallestBoxFor = (parcel) =>
+  BOXES.find(
+    (box) =>
+      parcel.dimsList.every((d) => dimsFit(d, box)) &&
+      parcel.volume <= boxVolume(box) * BOX_FILL_RATIO + EPSILON &&
+      parcel.weightOz + box.tareOz <= MAX_PARCEL_WEIGHT_OZ + EPSILON
+  ) || null;
+
+const addToParcel = (parcel, line, count) => {
+  const entry = parcel.counts.get(line.id) || { id: line.id, title: line.title, quantity: 0 };
+  entry.quantity += count;
+  parcel.counts.set(line.id, entry);
+  parcel.dimsList.push(line.dims);
+  parcel.volume += line.volume * count;
+  parcel.weightOz += line.weightOz * count;
+  parcel.box = smallestBoxFor(parcel) || parcel.box;
+};
+
+export function packItems(items = [], opts = {}) {
+  const minOz = opts.minOz ?? 16;
+  assertPackableQuantities(items);
+
+  // One entry per cart line (qty × unit dims/weight), largest units first
+  const lines = items
+    .map((it) => {
+      const dims = unitDims(it);
+      return { id: itemKey(it), title: it.title || it.name || null, dims, volume: dims[0] * dims[1] * dims[2], weightOz: unitWeightOz(it), qty: Number(it.quantity ?? 1) };
+    })
+    .sort((a, b) => b.volume - a.volume || b.weightOz - a.weightOz);
+
+  // First-fit decreasing, a line at a time: fill earlier parcels, then open new ones
+  const parcels = [];
+  for (const line of lines) {
+    let remaining = line.qty;
+    for (const parcel of parcels) {
+      if (!remaining) break;
+      if (parcel.oversize) continue;
+      const room = Math.max(0, ...BOXES.map((box) => unitsThatFit(parcel, line, box)));
+      if (!room) continue;
+      const count = Math.min(remaining, room);
+      addToParcel(parcel, line, count);
+      remaining -= count;
+    }
+    while (remaining > 0) {
+      const parcel = { box: null, counts: new Map(), dimsList: [], volume: 0, weightOz: 0 };
+      const room = Math.max(0, ...BOXES.map((box) => unitsThatFit(parcel, line, box)));
+      if (room) {
+        const count = Math.min(remaining, room);
+        addToParcel(parcel, line, count);
+        parcels.push(parcel);
+        remaining -= count;
+        continue;
+      }
+      // Bigger or heavier than any configured box: ships on its own in a custom box with 1" clearance
+      const [L, W, H] = sortedDims(line.dims).map((d) => Math.ceil(d + 1));
+      parcel.box = { name: "custom", length: L, width: W, height: H, tareOz: PACKAGING_TARE_OZ };
+      parcel.oversize = true; // addToParcel keeps the custom box, since no configured box fits
+      addToParcel(parcel, line, 1);
+      parcels.push(parcel);
+      remaining -= 1;
+    }
   }
 
-  // dimensional weight (lb) -> oz
-  const dimLb = (box.length * box.width * box.height) / DIM_DIVISOR;
-  const dimOz = dimLb * OZ_PER_LB;
+  // Empty cart still needs a parcel to rate
+  if (!parcels.length) parcels.push({ box: BOXES[0], counts: new Map(), volume: 0, weightOz: 0 });
 
-  // billable = max(actual + packaging, dimensional, minimum)
-  const billableOz = Math.max(
-    minOz,
-    Math.ceil(actualOz + packagingTareOz),
-    Math.ceil(dimOz)
-  );
+  const packed = parcels.map(({ box, counts, weightOz, oversize }) => {
+    const dimOz = (boxVolume(box) / DIM_DIVISOR) * OZ_PER_LB;
+    // billable = max(actual + packaging, dimensional, minimum)
+    const billableOz = Math.max(minOz, Math.ceil(weightOz + box.tareOz), Math.ceil(dimOz));
+    return {
+      parcel: {
+        length: String(box.length),
+        width: String(box.width),
+        height: String(box.height),
+        distanceUnit: "in",
+        weight: String(billableOz),
+        massUnit: "oz",
+      },
+      box: box.name,
+      items: Array.from(counts.values()),
+      actual_weight_oz: Math.round(weightOz * 100) / 100,
+      billable_weight_oz: billableOz,
+      ...(oversize ? { oversize: true } : {}),
+    };
+  });
 
   return {
-    length: String(box.length),
-    width: String(box.width),
-    height: String(box.height),
-    distanceUnit: "in",
-    weight: String(billableOz),
-    massUnit: "oz",
+    parcels: packed.map((p) => p.parcel),
+    packing: packed.map(({ parcel, ...rest }, i) => ({ parcel: i + 1, ...rest, dimensions_in: [parcel.length, parcel.width, parcel.height].map(Number) })),
   };
 }
 
-export async function getCheapestShippoRate({ shippingInfo = {}, items = [] } = {}) {
-  const client = assertClient();
+// DB-backed packing plan for a set of { id, quantity } lines (used when recording an order)
+export async function planPacking(items = []) {
+  return packItems(await hydrateItemsWithDb(items)).packing;
+}
+
+/** ───────────────────────────────────────────────────────────────
+ *  Quote cache: destination ZIP + country + packed parcels → rates.
+ *  Cached rates belong to an earlier Shippo shipment (possibly another
+ *  street address), so only display quotes may use the cache; anything
+ *  that buys a label from the rate must pass useCache: false.
+ *  ─────────────────────────────────────────────────────────────── */
+const QUOTE_CACHE_TTL_MS = (() => {
+  const v = Number(process.env.SHIPPING_QUOTE_CACHE_TTL_SECONDS);
+  return (Number.isFinite(v) && v >= 0 ? v : 600) * 1000;
+})();
+const QUOTE_CACHE_MAX_ENTRIES = 500;
+const quoteCache = new Map();
+
+function quoteCacheKey(to, parcels) {
+  const country = String(to.country || "US").toUpperCase();
+  const zip = String(to.zip || "").toUpperCase().replace(/\s+/g, "");
+  const postal = country === "US" ? zip.slice(0, 5) : zip;
+  const fingerprint = parcels.map((p) => `${p.length}x${p.width}x${p.height}:${p.weight}`).join("|");
+  return `${country}:${postal}:${fingerprint}`;
+}
+
+function readQuoteCache(key) {
+  const hit = quoteCache.get(key);
+  if (!hit) return null;
+  if (hit.expiresAt <= Date.now()) {
+    quoteCache.delete(key);
+    return null;
+  }
+  return hit.value;
+}
 
-  const to = {
+// Cached quotes keep prices only: no shipment or rate ids a client could hand back to checkout
+const displayOnlyQuote = (result) => ({
+  ...result,
+  cheapest: { ...result.cheapest, id: null },
+  rates: result.rates.map((r) => ({ ...r, id: null })),
+  shipment: null,
+});
+
+function writeQuoteCache(key, value) {
+  if (!QUOTE_CACHE_TTL_MS) return;
+  // Map keeps insertion order, so the first key is the oldest entry
+  if (quoteCache.size >= QUOTE_CACHE_MAX_ENTRIES) quoteCache.delete(quoteCache.keys().next().value);
+  quoteCache.set(key, { value: displayOnlyQuote(value), expiresAt: Date.now() + QUOTE_CACHE_TTL_MS });
+}
+
+// Shippo unavailable: price the same parcels from the weight-band/zone table
+function tableRateQuote(to, parcels, packing) {
+  const handling = Number.isFinite(HANDLING_FEE) ? HANDLING_FEE : 0;
+  const estimate = estimateTableRate({ parcels, to });
+  const rate = {
+    id: null,
+    provider: "Estimated",
+    service: "Standard Shipping",
+    amount: Math.round((estimate.amount + handling) * 100) / 100,
+    currency: "USD",
+    eta_days: null,
+    handling_fee: handling,
+    zone: estimate.zone,
+    estimated: true,
+  };
+  return { cheapest: rate, rates: [rate], shipment: null, packing, estimated: true };
+}
+
+// shipping_info (snake_case, as stored on orders) → Shippo address
+function toShippoAddress(shippingInfo = {}) {
+  return {
     name: shippingInfo?.name || "",
     street1: shippingInfo?.address_line1 || "",
     street2: shippingInfo?.address_line2 || "",
     city: shippingInfo?.city || "",
-    state: normalizeState(shippingInfo?.state),
-    zip: shippingInfo?.postal_code || "",
-    country: (shippingInfo?.country || "US").toUpperCase(),
+    state: normalizeRegion(shippingInfo?.state, shippingInfo?.country),
+    zip: normalizePostalCode(shippingInfo?.postal_code, shippingInfo?.country),
+    country: normalizeCountry(shippingInfo?.country),
     email: shippingInfo?.email || shippingInfo?.contact_email || undefined,
     phone: shippingInfo?.phone || shippingInfo?.contact_phone || undefined,
   };
+}
 
-  const from = {
+const addressKey = (a = {}) => {
+  const country = normalizeCountry(a.country) || "US";
+  const zip = String(a.zip || "").toUpperCase().replace(/\s+/g, "");
+  return [
+    country,
+    country === "US" ? zip.slice(0, 5) : zip,
+    String(a.street1 || "").toLowerCase().replace(/[^a-z0-9]/g, ""),
+  ].join("|");
+};
+
+// True when a Shippo shipment is addressed to this shipping_info (street, ZIP and country)
+export function shipmentMatchesAddress(shipment, shippingInfo = {}) {
+  const to = shipment?.addressTo;
+  if (!to || typeof to !== "object") return false;
+  return addressKey(to) === addressKey(toShippoAddress(shippingInfo));
+}
+
+function warehouseAddress() {
+  return {
     name: process.env.SHIP_FROM_NAME || process.env.WAREHOUSE_NAME || "Your Biz",
     street1: process.env.SHIP_FROM_STREET1 || process.env.WAREHOUSE_STREET1 || process.env.WAREHOUSE_ADDRESS || "123 Main St",
     city: process.env.SHIP_FROM_CITY || process.env.WAREHOUSE_CITY || "Las Vegas",
@@ -185,16 +419,17 @@ export async function getCheapestShippoRate({ shippingInfo = {}, items = [] } =
     email: process.env.SHIP_FROM_EMAIL || undefined,
     phone: process.env.SHIP_FROM_PHONE || undefined,
   };
+}
 
-  // ⬇️ NEW: enrich items from DB before building parcel
-  const enrichedItems = await hydrateItemsWithDb(items);
-  const parcel = buildParcelFromItems(enrichedItems);
+export async function getCheapestShippoRate({ shippingInfo = {}, items = [], useCache = false } = {}) {
+  const to = toShippoAddress(shippingInfo);
+  const from = warehouseAddress();
 
-  // Ensure minimum weight of 2 lbs (32 oz) for USPS
-  const parcelWeightOz = Math.max(
-    enrichedItems.reduce((sum, i) => sum + i.weightOz * Number(i.quantity || 1), 0),
-    32
-  );
+  // ⬇️ NEW: enrich items from DB before packing
+  const enrichedItems = await hydrateItemsWithDb(items);
+  // Quotes are public: refuse carts bigger than the stock before doing any packing work
+  assertPackableQuantities(enrichedItems, { checkStock: true });
+  const { parcels, packing } = packItems(enrichedItems);
 
   if (process.env.NODE_ENV !== 'production') console.log("📦 rate-debug", {
     items: enrichedItems.map(i => ({
@@ -202,14 +437,37 @@ export async function getCheapestShippoRate({ shippingInfo = {}, items = [] } =
       qty: Number(i.quantity || 1),
       weightOz: i.weightOz,
     })),
-    parcelWeightOz
+    packing: packing.map(p => ({ box: p.box, billable_weight_oz: p.billable_weight_oz, units: p.items.reduce((n, it) => n + it.quantity, 0) })),
   });
 
-  const shipment = await client.shipments.create({
-    addressFrom: from,
-    addressTo: to,
-    parcels: [parcel],
-  });
+  // Non-domestic destinations need a customs declaration on the shipment
+  const duties = dutiesNotice(to.country);
+  let customs = null;
+  if (isInternational(to.country)) {
+    customs = buildCustomsDeclaration(enrichedItems);
+    if (customs.warnings.length) console.warn("⚠️ Customs declaration incomplete:", customs.warnings);
+  }
+  const international = { duties, customs_warnings: customs?.warnings || [] };
+
+  const cacheKey = quoteCacheKey(to, parcels);
+  if (useCache) {
+    const cached = readQuoteCache(cacheKey);
+    if (cached) return { ...cached, packing, ...international, cached: true };
+  }
+
+  let shipment;
+  try {
+    const client = assertClient();
+    shipment = await client.shipments.create({
+      addressFrom: from,
+      addressTo: to,
+      parcels,
+      ...(customs ? { customsDeclaration: customs.declaration } : {}),
+    });
+  } catch (e) {
+    console.warn("⚠️ Shippo shipment failed; using table-rate estimate:", e?.message || e);
+    return { ...tableRateQuote(to, parcels, packing), ...international };
+  }
 
   const handling = Number.isFinite(HANDLING_FEE) ? HANDLING_FEE : 0;
   const rates = (shipment?.rates || [])
@@ -224,7 +482,55 @@ export async function getCheapestShippoRate({ shippingInfo = {}, items = [] } =
     }))
     .filter((r) => Number.isFinite(r.amount));
 
-  if (!rates.length) throw new Error("No shipping rates returned");
+  if (!rates.length) {
+    console.warn("⚠️ No Shippo rates returned; using table-rate estimate");
+    return { ...tableRateQuote(to, parcels, packing), ...international };
+  }
   rates.sort((a, b) => a.amount - b.amount);
-  return { cheapest: rates[0], rates, shipment };
+  const result = { cheapest: rates[0], rates, shipment, packing, estimated: false, ...international };
+  writeQuoteCache(cacheKey, result);
+  return result;
+}
+
+/**
+ * Buy a prepaid return label (customer → warehouse) for the given { id, quantity } lines.
+ * Shippo's is_return flag keeps the original addresses and swaps them on the label.
+ * Returns { transactionId, trackingNumber, trackingUrl, labelUrl, carrier, service, amount }.
+ */
+export async function purchaseReturnLabel({ shippingInfo = {}, items = [] } = {}) {
+  const client = assertClient();
+  const to = toShippoAddress(shippingInfo);
+  const enrichedItems = await hydrateItemsWithDb(items);
+  const { parcels } = packItems(enrichedItems);
+
+  const shipment = await client.shipments.create({
+    addressFrom: warehouseAddress(),
+    addressTo: to,
+    parcels,
+    extra: { isReturn: true },
+    ...(isInternational(to.country) ? { customsDeclaration: buildCustomsDeclaration(enrichedItems).declaration } : {}),
+  });
+  const rate = (shipment?.rates || [])
+    .filter((r) => Number.isFinite(Number(r.amount)))
+    .sort((a, b) => Number(a.amount) - Number(b.amount))[0];
+  if (!rate) throw new Error("No return shipping rates returned");
+
+  const transaction = await client.transactions.create({
+    rate: rate.objectId,
+    labelFileType: "PDF",
+    async: false,
+  });
+  if (transaction?.status !== "SUCCESS") {
+    const messages = (transaction?.messages || []).map((m) => m?.text || m).filter(Boolean).join("; ");
+    throw new Error(`Shippo return label ${transaction?.status || "failed"}${messages ? `: ${messages}` : ""}`);
+  }
+  return {
+    transactionId: transaction.objectId || null,
+    trackingNumber: transaction.trackingNumber || null,
+    trackingUrl: transaction.trackingUrlProvider || null,
+    labelUrl: transaction.labelUrl || null,
+    carrier: rate.provider || null,
+    service: rate.servicelevel?.name || rate.servicelevel?.token || null,
+    amount: Number(rate.amount),
+  };
 }
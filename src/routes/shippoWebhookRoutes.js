@@ -0,0 +1,15 @@
+// /src/routes/shippoWebhookRoutes.js
+import express from "express";
+import { shippoWebhookHandler } from "../webhooks/shippoWebhook.js";
+
+const router = express.Router();
+
+// JSON body (mounted after express.json in server.js)
+router.post("/", shippoWebhookHandler);
+
+// Simple GET to verify 200 from browser / curl
+router.get("/", (req, res) => {
+	res.status(200).json({ ok: true, path: "/api/webhooks/shippo", method: "GET" });
+});
+
+export default router;
@@ -0,0 +1,17 @@
+import express from "express";
+import {
+  getWebhookEvents,
+  getWebhookEventById,
+  replayWebhookEvent,
+} from "../controllers/webhookEventController.js";
+import authMiddleware from "../middleware/authMiddleware.js";
+import isAdminMiddleware from "../middleware/isAdminMiddleware.js";
+
+// Admin router (mount at /admin/webhook-events)
+const router = express.Router();
+
+router.get("/", authMiddleware, isAdminMiddleware, getWebhookEvents); // GET /admin/webhook-events?status=failed
+router.get("/:id", authMiddleware, isAdminMiddleware, getWebhookEventById); // GET /admin/webhook-events/:id
+router.post("/:id/replay", authMiddleware, isAdminMiddleware, replayWebhookEvent); // POST /admin/webhook-events/:id/replay
+
+export default router;
@@ -0,0 +1,225 @@
+// Address normalization + validation (Shippo address validation with a local stand-in)
+import { shippoClient } from "../shippoClient.js";
+import { ALLOWED_SHIPPING_COUNTRIES, isShippingCountryAllowed } from "./internationalShipping.js";
+
+export const US_STATES = {
+  ALABAMA: "AL", ALASKA: "AK", ARIZONA: "AZ", ARKANSAS: "AR", CALIFORNIA: "CA", COLORADO: "CO",
+  CONNECTICUT: "CT", DELAWARE: "DE", "DISTRICT OF COLUMBIA": "DC", FLORIDA: "FL", GEORGIA: "GA",
+  HAWAII: "HI", IDAHO: "ID", ILLINOIS: "IL", INDIANA: "IN", IOWA: "IA", KANSAS: "KS", KENTUCKY: "KY",
+  LOUISIANA: "LA", MAINE: "ME", MARYLAND: "MD", MASSACHUSETTS: "MA", MICHIGAN: "MI", MINNESOTA: "MN",
+  MISSISSIPPI: "MS", MISSOURI: "MO", MONTANA: "MT", NEBRASKA: "NE", NEVADA: "NV", "NEW HAMPSHIRE": "NH",
+  "NEW JERSEY": "NJ", "NEW MEXICO": "NM", "NEW YORK": "NY", "NORTH CAROLINA": "NC", "NORTH DAKOTA": "ND",
+  OHIO: "OH", OKLAHOMA: "OK", OREGON: "OR", PENNSYLVANIA: "PA", "RHODE ISLAND": "RI",
+  "SOUTH CAROLINA": "SC", "SOUTH DAKOTA": "SD", TENNESSEE: "TN", TEXAS: "TX", UTAH: "UT", VERMONT: "VT",
+  VIRGINIA: "VA", WASHINGTON: "WA", "WEST VIRGINIA": "WV", WISCONSIN: "WI", WYOMING: "WY",
+  // Territories and military
+  "AMERICAN SAMOA": "AS", GUAM: "GU", "NORTHERN MARIANA ISLANDS": "MP", "PUERTO RICO": "PR",
+  "U.S. VIRGIN ISLANDS": "VI", "US VIRGIN ISLANDS": "VI", "VIRGIN ISLANDS": "VI",
+  "ARMED FORCES AMERICAS": "AA", "ARMED FORCES EUROPE": "AE", "ARMED FORCES PACIFIC": "AP",
+};
+
+export const CA_PROVINCES = {
+  ALBERTA: "AB", "BRITISH COLUMBIA": "BC", MANITOBA: "MB", "NEW BRUNSWICK": "NB",
+  "NEWFOUNDLAND AND LABRADOR": "NL", NEWFOUNDLAND: "NL", "NOVA SCOTIA": "NS", ONTARIO: "ON",
+  "PRINCE EDWARD ISLAND": "PE", QUEBEC: "QC", "QUÉBEC": "QC", SASKATCHEWAN: "SK",
+  "NORTHWEST TERRITORIES": "NT", NUNAVUT: "NU", YUKON: "YT",
+};
+
+const REGIONS = { US: US_STATES, CA: CA_PROVINCES };
+const REGION_CODES = {
+  US: new Set(Object.values(US_STATES)),
+  CA: new Set(Object.values(CA_PROVINCES)),
+};
+
+const COUNTRY_NAMES = {
+  "UNITED STATES": "US", "UNITED STATES OF AMERICA": "US", USA: "US", "U.S.": "US", "U.S.A.": "US",
+  CANADA: "CA",
+};
+
+export const normalizeCountry = (country) => {
+  const c = String(country || "").trim().toUpperCase();
+  if (!c) return "US";
+  return COUNTRY_NAMES[c] || c;
+};
+
+// Full state/province name (any case, with or without periods) → 2-letter code
+export const normalizeRegion = (state, country = "US") => {
+  if (!state) return "";
+  const s = String(state).trim().toUpperCase().replace(/\s+/g, " ");
+  const map = REGIONS[normalizeCountry(country)];
+  if (!map) return s;
+  if (s.length === 2) return s;
+  return map[s] || map[s.replace(/\./g, "")] || s;
+};
+
+export const normalizePostalCode = (zip, country = "US") => {
+  const raw = String(zip || "").trim().toUpperCase();
+  const c = normalizeCountry(country);
+  if (c === "US") {
+    const digits = raw.replace(/[^\d]/g, "");
+    if (digits.length === 9) return `${digits.slice(0, 5)}-${digits.slice(5)}`;
+    return digits.length === 5 ? digits : raw;
+  }
+  if (c === "CA") {
+    const compact = raw.replace(/\s+/g, "");
+    return /^[A-Z]\d[A-Z]\d[A-Z]\d$/.test(compact) ? `${compact.slice(0, 3)} ${compact.slice(3)}` : raw;
+  }
+  return raw;
+};
+
+const PO_BOX_RE = /\b(?:p\.?\s*o\.?\s*box|post\s+office\s+box|p\.?\s*o\.?\s*b\.?|postal\s+box|box\s*#?\s*\d+|casier\s+postal|c\.?\s*p\.?\s+\d+)\b/i;
+export const isPoBox = (...lines) => lines.some((l) => l && PO_BOX_RE.test(String(l)));
+
+// Normalized copy of a shipping_info object (snake_case keys, as stored on orders)
+export const normalizeAddress = (info = {}) => {
+  const country = normalizeCountry(info.country);
+  return {
+    ...info,
+    name: info.name ? String(info.name).trim() : info.name ?? null,
+    address_line1: String(info.address_line1 || "").trim().replace(/\s+/g, " "),
+    address_line2: info.address_line2 ? String(info.address_line2).trim().replace(/\s+/g, " ") : null,
+    city: String(info.city || "").trim().replace(/\s+/g, " "),
+    state: normalizeRegion(info.state, country),
+    postal_code: normalizePostalCode(info.postal_code, country),
+    country,
+  };
+};
+
+// Checks that need no network: required fields, postal format, known region code,
+// and (for shipping addresses) the destination allow-list.
+// requireRegion: false turns a missing US state / CA province into a warning (profile addresses)
+const localErrors = (addr, { shippable, requireRegion = true }, warnings = []) => {
+  const errors = [];
+  if (!addr.address_line1) errors.push({ field: "address_line1", message: "Street address is required" });
+  if (!addr.city) errors.push({ field: "city", message: "City is required" });
+  if (!addr.postal_code) errors.push({ field: "postal_code", message: "Postal code is required" });
+  if (!/^[A-Z]{2}$/.test(addr.country)) errors.push({ field: "country", message: "Country must be a 2-letter code" });
+  else if (shippable && !isShippingCountryAllowed(addr.country)) {
+    errors.push({ field: "country", message: `We don't ship to ${addr.country}. Available: ${ALLOWED_SHIPPING_COUNTRIES.join(", ")}` });
+  }
+
+  if (addr.country === "US" || addr.country === "CA") {
+    if (!addr.state) {
+      (requireRegion ? errors : warnings).push({ field: "state", message: addr.country === "US" ? "State is required" : "Province is required" });
+    } else if (!REGION_CODES[addr.country].has(addr.state)) {
+      errors.push({ field: "state", message: `Unknown ${addr.country === "US" ? "state" : "province"}: ${addr.state}` });
+    }
+  }
+  if (addr.country === "US" && addr.postal_code && !/^\d{5}(-\d{4})?$/.test(addr.postal_code)) {
+    errors.push({ field: "postal_code", message: "US ZIP code must be 5 digits (or ZIP+4)" });
+  }
+  if (addr.country === "CA" && addr.postal_code && !/^[A-Z]\d[A-Z] \d[A-Z]\d$/.test(addr.postal_code)) {
+    errors.push({ field: "postal_code", message: "Canadian postal code must look like A1A 1A1" });
+  }
+  return errors;
+};
+
+// Shippo validation results, cached so repeated cart updates don't re-validate the same address
+const VALIDATION_CACHE_TTL_MS = 30 * 60 * 1000;
+const VALIDATION_CACHE_MAX_ENTRIES = 500;
+const validationCache = new Map();
+
+const addressKey = (a) =>
+  [a.address_line1, a.address_line2, a.city, a.state, a.postal_code, a.country].map((v) => String(v || "").toUpperCase()).join("|");
+
+const remoteValidationEnabled = () =>
+  Boolean(shippoClient && process.env.SHIPPO_API_KEY && process.env.SHIPPO_ADDRESS_VALIDATION !== "0");
+
+const validateWithShippo = async (addr) => {
+  const key = addressKey(addr);
+  const hit = validationCache.get(key);
+  if (hit && hit.expiresAt > Date.now()) return hit.value;
+
+  const result = await shippoClient.addresses.create({
+    name: addr.name || undefined,
+    street1: addr.address_line1,
+    street2: addr.address_line2 || undefined,
+    city: addr.city,
+    state: addr.state,
+    zip: addr.postal_code,
+    country: addr.country,
+    validate: true,
+  });
+  const value = {
+    valid: result?.validationResults?.isValid !== false,
+    residential: typeof result?.isResidential === "boolean" ? result.isResidential : null,
+    messages: (result?.validationResults?.messages || []).map((m) => ({
+      code: m?.code || null,
+      type: m?.type || null,
+      text: m?.text || null,
+    })),
+    corrected: {
+      address_line1: result?.street1 || addr.address_line1,
+      address_line2: result?.street2 || addr.address_line2 || null,
+      city: result?.city || addr.city,
+      state: normalizeRegion(result?.state || addr.state, addr.country),
+      postal_code: normalizePostalCode(result?.zip || addr.postal_code, addr.country),
+      country: normalizeCountry(result?.country || addr.country),
+    },
+  };
+  if (validationCache.size >= VALIDATION_CACHE_MAX_ENTRIES) validationCache.delete(validationCache.keys().next().value);
+  validationCache.set(key, { value, expiresAt: Date.now() + VALIDATION_CACHE_TTL_MS });
+  return value;
+};
+
+const sameText = (a, b) => String(a || "").trim().toUpperCase() === String(b || "").trim().toUpperCase();
+const SUGGESTION_FIELDS = ["address_line1", "address_line2", "city", "state", "postal_code", "country"];
+
+/**
+ * Validate and normalize a shipping address.
+ * shippable: also require the country to be in SHIPPING_ALLOWED_COUNTRIES (off for profile addresses).
+ * requireRegion: a missing US state / CA province is an error (default) or only a warning.
+ * Returns {
+ *   valid,               // false when local checks fail or the carrier rejects the address
+ *   address,             // normalized input
+ *   errors,              // local problems (missing fields, bad postal code, unknown state)
+ *   warnings,            // local problems that don't block (missing state when requireRegion is false)
+ *   messages,            // carrier validation messages
+ *   suggestion,          // corrected address when it differs from the input, else null
+ *   classification: { residential: true|false|null, po_box },
+ *   source,              // "shippo" or "local"
+ * }
+ */
+export const validateAddress = async (info = {}, { remote = true, shippable = true, requireRegion = true } = {}) => {
+  const address = normalizeAddress(info);
+  const warnings = [];
+  const errors = localErrors(address, { shippable, requireRegion }, warnings);
+  const classification = {
+    residential: null,
+    po_box: isPoBox(address.address_line1, address.address_line2),
+  };
+  const base = { address, errors, warnings, messages: [], suggestion: null, classification, source: "local" };
+
+  if (errors.length) return { ...base, valid: false };
+  if (!remote || !remoteValidationEnabled()) return { ...base, valid: true };
+
+  try {
+    const shippo = await validateWithShippo(address);
+    classification.residential = shippo.residential;
+    classification.po_box = classification.po_box || isPoBox(shippo.corrected.address_line1, shippo.corrected.address_line2);
+    const differs = SUGGESTION_FIELDS.some((f) => !sameText(shippo.corrected[f], address[f]));
+    return {
+      ...base,
+      valid: shippo.valid,
+      messages: shippo.messages,
+      suggestion: differs ? { ...address, ...shippo.corrected } : null,
+      source: "shippo",
+    };
+  } catch (e) {
+    // Validation is advisory when Shippo is unreachable; local checks already passed
+    console.warn("⚠️ Shippo address validation failed; using local checks only:", e?.message || e);
+    return { ...base, valid: true };
+  }
+};
+
+// Shape returned to clients under `address_validation`
+export const addressValidationSummary = (v) => ({
+  valid: v.valid,
+  source: v.source,
+  errors: v.errors,
+  warnings: v.warnings || [],
+  messages: v.messages,
+  suggestion: v.suggestion,
+  classification: v.classification,
+  normalized: v.address,
+});
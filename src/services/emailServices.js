@@ -16,7 +16,8 @@ const oAuth2Client = new google.auth.OAuth2(
 
 oAuth2Client.setCredentials({ refresh_token: REFRESH_TOKEN });
 
-const sendEmail = async (to, subject, htmlContent, replyTo) => {
+// attachments: nodemailer attachment objects, e.g. [{ filename, content: Buffer, contentType }]
+const sendEmail = async (to, subject, htmlContent, replyTo, attachments) => {
   try {
     const accessToken = await oAuth2Client.getAccessToken();
 
@@ -38,6 +39,7 @@ const sendEmail = async (to, subject, htmlContent, replyTo) => {
       subject,
       html: htmlContent,
       replyTo,
+      ...(attachments?.length ? { attachments } : {}),
     });
 
     console.log("✅ Gmail Email sent:", info.messageId);
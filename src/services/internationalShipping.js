@@ -0,0 +1,73 @@
+// International shipping: destination allow-list, customs declarations, duties messaging
+import dotenv from "dotenv";
+
+dotenv.config();
+
+// SHIPPING_ALLOWED_COUNTRIES="US,CA,GB,AU" (2-letter codes). Also drives Stripe address collection.
+export const ALLOWED_SHIPPING_COUNTRIES = (() => {
+  const list = String(process.env.SHIPPING_ALLOWED_COUNTRIES || "US,CA")
+    .split(",")
+    .map((c) => c.trim().toUpperCase())
+    .filter((c) => /^[A-Z]{2}$/.test(c));
+  return list.length ? Array.from(new Set(list)) : ["US", "CA"];
+})();
+
+export const isShippingCountryAllowed = (country) =>
+  ALLOWED_SHIPPING_COUNTRIES.includes(String(country || "").trim().toUpperCase());
+
+const ORIGIN_COUNTRY = (process.env.SHIP_FROM_COUNTRY || process.env.WAREHOUSE_COUNTRY || "US").toUpperCase();
+const DEFAULT_ITEM_ORIGIN = (process.env.CUSTOMS_DEFAULT_ORIGIN_COUNTRY || "US").toUpperCase();
+// We ship DDU: the recipient pays import duties/taxes on delivery
+const INCOTERM = "DDU";
+
+export const isInternational = (country) =>
+  String(country || ORIGIN_COUNTRY).trim().toUpperCase() !== ORIGIN_COUNTRY;
+
+// Shown next to international rates; null for domestic destinations
+export const dutiesNotice = (country) => {
+  if (!isInternational(country)) return null;
+  const c = String(country).trim().toUpperCase();
+  return {
+    applies: true,
+    incoterm: INCOTERM,
+    paid_by: "recipient",
+    message: `Shipments to ${c} may be charged import duties and taxes by the destination country. These are not included in the shipping price and are collected from the recipient on delivery.`,
+  };
+};
+
+/**
+ * Shippo customs declaration (inline shipment form) for hydrated cart items.
+ * Items: { quantity, weightOz, title, price, hs_code, origin_country, customs_value, customs_description }
+ * Returns { declaration, warnings } — warnings list products missing an HS code.
+ */
+export const buildCustomsDeclaration = (items = []) => {
+  const warnings = [];
+  const customsItems = items.map((it) => {
+    const qty = Number(it.quantity || 1);
+    const unitValue = Number(it.customs_value ?? it.price ?? 0) || 0;
+    const unitWeightOz = Math.max(Number(it.weightOz || 0), 0.1);
+    if (!it.hs_code) warnings.push({ product_id: it.id ?? it.productId ?? it.product_id ?? null, message: "Missing HS code" });
+    return {
+      description: String(it.customs_description || it.title || "Merchandise").slice(0, 100),
+      quantity: qty,
+      netWeight: String(Math.round(unitWeightOz * qty * 100) / 100),
+      massUnit: "oz",
+      valueAmount: (unitValue * qty).toFixed(2),
+      valueCurrency: "USD",
+      originCountry: String(it.origin_country || DEFAULT_ITEM_ORIGIN).toUpperCase(),
+      ...(it.hs_code ? { tariffNumber: String(it.hs_code) } : {}),
+    };
+  });
+
+  return {
+    declaration: {
+      certify: true,
+      certifySigner: process.env.CUSTOMS_CERTIFY_SIGNER || process.env.SHIP_FROM_NAME || process.env.WAREHOUSE_NAME || "Shipping Department",
+      contentsType: "MERCHANDISE",
+      nonDeliveryOption: "RETURN",
+      incoterm: INCOTERM,
+      items: customsItems,
+    },
+    warnings,
+  };
+};
@@ -0,0 +1,205 @@
+// Shippo label purchase queue: orders are queued at checkout and a background worker buys
+// the label with retries, so a Shippo outage no longer leaves an order without a label.
+import supabase from "../../supabaseClient.js";
+import { shippoClient } from "../shippoClient.js";
+import { sendShippingNotification } from "../controllers/orderController.js";
+import { ORDER_STATUS, normalizeOrderStatus, orderFlow } from "./orderLifecycle.js";
+
+export const LABEL_MAX_ATTEMPTS = Number(process.env.LABEL_MAX_ATTEMPTS) > 0 ? Number(process.env.LABEL_MAX_ATTEMPTS) : 6;
+const LABEL_BASE_DELAY_MS = 60 * 1000; // 1m, 2m, 4m, 8m, ... capped below
+const LABEL_MAX_DELAY_MS = 6 * 60 * 60 * 1000;
+// While an attempt runs the row is leased; a crashed worker's lease expires and the row is picked up again
+const LABEL_LEASE_MS = 10 * 60 * 1000;
+const DUE_STATUSES = ["queued", "retrying", "purchasing"];
+
+export const labelRetryDelayMs = (attempt) =>
+  Math.min(LABEL_BASE_DELAY_MS * 2 ** Math.max(attempt - 1, 0), LABEL_MAX_DELAY_MS);
+
+// Take the lease on an order. The status/time guard makes this a no-op if another worker got there first.
+const claimOrder = async (order, { manual }) => {
+  let query = supabase
+    .from("order")
+    .update({
+      label_status: "purchasing",
+      label_next_attempt_at: new Date(Date.now() + LABEL_LEASE_MS).toISOString(),
+    })
+    .eq("id", order.id);
+  // Orders created before the queue existed have no label_status yet
+  query = order.label_status == null ? query.is("label_status", null) : query.eq("label_status", order.label_status);
+  if (!manual) query = query.lte("label_next_attempt_at", new Date().toISOString());
+  const { data, error } = await query.select("id");
+  if (error) throw error;
+  return (data || []).length > 0;
+};
+
+// Only a shipping order that hasn't left or been canceled/refunded gets a label
+const isShippable = (order) =>
+  orderFlow(order) === "shipping" && normalizeOrderStatus(order.status) === ORDER_STATUS.PENDING;
+
+/**
+ * Take an order out of the label queue (canceled / refunded). A purchase already in flight or
+ * bought is left alone. Returns true when a queued label was canceled.
+ */
+export const cancelQueuedLabel = async (orderId) => {
+  const { data, error } = await supabase
+    .from("order")
+    .update({ label_status: "canceled", label_next_attempt_at: null })
+    .eq("id", orderId)
+    .in("label_status", ["queued", "retrying", "failed"])
+    .select("id");
+  if (error) {
+    console.warn(`⚠️ Could not cancel queued label for order ${orderId}:`, error.message);
+    return false;
+  }
+  return (data || []).length > 0;
+};
+
+const buyLabel = async (rateId) => {
+  const transaction = await shippoClient.transactions.create({
+    rate: rateId,
+    labelFileType: "PDF",
+    async: false,
+  });
+  if (transaction?.status !== "SUCCESS") {
+    const messages = (transaction?.messages || []).map((m) => m?.text || m).filter(Boolean).join("; ");
+    const err = new Error(`Shippo transaction ${transaction?.status || "failed"}${messages ? `: ${messages}` : ""}`);
+    err.transactionId = transaction?.objectId || null;
+    throw err;
+  }
+  return transaction;
+};
+
+/**
+ * Run one purchase attempt for an order and record it in order.label_attempts.
+ * manual: admin-triggered — ignores the backoff schedule and the attempt cap.
+ * Only Pending shipping orders are bought for (else skipped: "not_shippable").
+ * Returns { order, purchased, skipped?, error? }.
+ */
+export const purchaseLabelForOrder = async (orderId, { manual = false } = {}) => {
+  const { data: order, error: findErr } = await supabase.from("order").select("*").eq("id", orderId).single();
+  if (findErr || !order) {
+    const err = new Error("Order not found");
+    err.code = "NOT_FOUND";
+    return { order: null, purchased: false, error: err };
+  }
+  if (order.label_status === "purchased" || order.label_url) {
+    return { order, purchased: false, skipped: "already_purchased" };
+  }
+  if (!isShippable(order)) {
+    // Drop it from the queue so the worker stops picking it up
+    if (DUE_STATUSES.includes(order.label_status) || order.label_status === "failed") await cancelQueuedLabel(order.id);
+    return { order, purchased: false, skipped: "not_shippable" };
+  }
+  if (!order.shippo_rate_id) {
+    const err = new Error("Order has no Shippo rate to purchase");
+    err.code = "NO_RATE";
+    return { order, purchased: false, error: err };
+  }
+  if (!shippoClient) {
+    const err = new Error("Shippo client not configured");
+    err.code = "SHIPPO_UNAVAILABLE";
+    return { order, purchased: false, error: err };
+  }
+  const leaseActive = order.label_status === "purchasing" && Date.parse(order.label_next_attempt_at) > Date.now();
+  if (leaseActive || !(await claimOrder(order, { manual }))) {
+    return { order, purchased: false, skipped: "in_progress" };
+  }
+
+  const attempt = Number(order.label_attempt_count || 0) + 1;
+  const attempts = Array.isArray(order.label_attempts) ? order.label_attempts : [];
+  const at = new Date().toISOString();
+
+  try {
+    const transaction = await buyLabel(order.shippo_rate_id);
+    const { data: updated, error: updErr } = await supabase
+      .from("order")
+      .update({
+        label_status: "purchased",
+        label_attempt_count: attempt,
+        label_attempts: [...attempts, { at, attempt, manual, status: "success", transaction_id: transaction.objectId || null }],
+        label_last_error: null,
+        label_next_attempt_at: null,
+        label_purchased_at: at,
+        shippo_transaction_id: transaction.objectId || null,
+        tracking_code: transaction.trackingNumber || order.tracking_code,
+        tracking_url: transaction.trackingUrlProvider || null,
+        label_url: transaction.labelUrl || transaction.labelFile || null,
+        carrier: transaction.provider || order.carrier || null,
+        service: transaction.servicelevel?.name || transaction.servicelevel?.token || order.service || null,
+      })
+      .eq("id", order.id)
+      .select()
+      .single();
+    if (updErr) throw updErr;
+
+    try {
+      await sendShippingNotification(order.id);
+      if (process.env.NODE_ENV !== 'production') console.log(`📦 Shipping notification sent to ${updated.email}`);
+    } catch (err) {
+      console.error("❌ Failed to send shipping notification email:", err);
+    }
+    return { order: updated, purchased: true };
+  } catch (e) {
+    const message = e?.message || String(e);
+    const exhausted = !manual && attempt >= LABEL_MAX_ATTEMPTS;
+    console.warn(`⚠️ Label purchase attempt ${attempt} failed for order ${order.id}:`, message);
+    const { data: updated } = await supabase
+      .from("order")
+      .update({
+        label_status: exhausted || manual ? "failed" : "retrying",
+        label_attempt_count: attempt,
+        label_attempts: [...attempts, { at, attempt, manual, status: "error", error: message, transaction_id: e?.transactionId || null }],
+        label_last_error: message,
+        label_next_attempt_at: exhausted || manual ? null : new Date(Date.now() + labelRetryDelayMs(attempt)).toISOString(),
+      })
+      .eq("id", order.id)
+      .select()
+      .single();
+    return { order: updated || order, purchased: false, error: e };
+  }
+};
+
+// Process every order whose next attempt is due. Returns a summary for logs.
+export const processDueLabelPurchases = async ({ limit = 20 } = {}) => {
+  const { data: due, error } = await supabase
+    .from("order")
+    .select("id")
+    .in("label_status", DUE_STATUSES)
+    .lte("label_next_attempt_at", new Date().toISOString())
+    .order("label_next_attempt_at", { ascending: true })
+    .limit(limit);
+  if (error) throw error;
+
+  const summary = { processed: 0, purchased: 0, failed: 0 };
+  for (const row of due || []) {
+    const { purchased, skipped } = await purchaseLabelForOrder(row.id);
+    if (skipped) continue;
+    summary.processed++;
+    if (purchased) summary.purchased++;
+    else summary.failed++;
+  }
+  return summary;
+};
+
+// In-process worker. LABEL_QUEUE_INTERVAL_MS=0 disables it (e.g. when a separate cron runs the queue).
+export const startLabelPurchaseWorker = () => {
+  const raw = process.env.LABEL_QUEUE_INTERVAL_MS;
+  const intervalMs = raw === undefined || raw === "" ? 60 * 1000 : Number(raw);
+  if (!Number.isFinite(intervalMs) || intervalMs <= 0) return null;
+
+  let running = false;
+  const timer = setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      const summary = await processDueLabelPurchases();
+      if (summary.processed && process.env.NODE_ENV !== 'production') console.log("🏷️ Label queue run:", summary);
+    } catch (e) {
+      console.warn("⚠️ Label queue run failed:", e?.message || e);
+    } finally {
+      running = false;
+    }
+  }, intervalMs);
+  timer.unref?.();
+  return timer;
+};
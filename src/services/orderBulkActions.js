@@ -0,0 +1,189 @@
+// Bulk admin order actions. A job row tracks progress and per-order results; orders are processed
+// one at a time in the background through the same helpers the single-order endpoints use.
+import supabase from "../../supabaseClient.js";
+import { ORDER_STATUS, canTransition, normalizeOrderStatus, transitionOrder } from "./orderLifecycle.js";
+import { purchaseLabelForOrder, cancelQueuedLabel } from "./labelPurchaseService.js";
+import { restockOrderOnce } from "./orderRestock.js";
+import {
+  sendShippingNotification,
+  setOrderPaid,
+  notifyOrderCanceled,
+} from "../controllers/orderController.js";
+
+export const BULK_ACTIONS = ["mark_shipped", "purchase_label", "mark_paid", "cancel", "add_tag"];
+export const BULK_MAX_ORDERS = 200;
+
+const fail = (message) => ({ ok: false, error: message });
+
+const markShipped = async (orderId, { trackingCodes = {} }, actor) => {
+  const trackingCode = String(trackingCodes[orderId] || "").trim();
+  if (!trackingCode) return fail("No tracking code for this order");
+  const { data: order, error: loadErr } = await supabase.from("order").select("*").eq("id", orderId).single();
+  if (loadErr || !order) return fail("Order not found");
+  // Already shipped: leave the stored tracking code alone rather than overwriting it from the bulk input
+  if (normalizeOrderStatus(order.status) === ORDER_STATUS.SHIPPED) {
+    return { ok: true, skipped: "already_shipped", tracking_code: order.tracking_code };
+  }
+  const { changed, error } = await transitionOrder(order, ORDER_STATUS.SHIPPED, {
+    actor,
+    reason: "Bulk mark shipped",
+    fields: { tracking_code: trackingCode },
+  });
+  if (error) return fail(error.message);
+  if (!changed) return { ok: true, skipped: "already_shipped", tracking_code: order.tracking_code };
+  try {
+    await sendShippingNotification(orderId);
+  } catch (err) {
+    console.error("❌ Failed to send shipping notification email:", err);
+    return { ok: true, tracking_code: trackingCode, warning: "Shipping email failed" };
+  }
+  return { ok: true, tracking_code: trackingCode };
+};
+
+const purchaseLabel = async (orderId) => {
+  const { order, purchased, skipped, error } = await purchaseLabelForOrder(orderId, { manual: true });
+  if (skipped === "already_purchased") return { ok: true, skipped, tracking_code: order?.tracking_code };
+  if (skipped === "in_progress") return fail("Label purchase already in progress");
+  if (skipped === "not_shippable") return fail(`Order is ${order?.status}; no label is bought for it`);
+  if (!purchased) return fail(error?.message || "Label purchase failed");
+  return { ok: true, tracking_code: order.tracking_code, label_url: order.label_url };
+};
+
+const markPaid = async (orderId, _params, actor) => {
+  const { error } = await setOrderPaid(orderId, { actor });
+  if (error) return fail(error.message);
+  return { ok: true };
+};
+
+const cancel = async (orderId, _params, actor) => {
+  const { data: order, error } = await supabase.from("order").select("*").eq("id", orderId).single();
+  if (error || !order) return fail("Order not found");
+  if (!canTransition(order, ORDER_STATUS.CANCELED)) {
+    return fail(`Order cannot be canceled from ${order.status}`);
+  }
+  const { changed, error: cancelErr } = await transitionOrder(order, ORDER_STATUS.CANCELED, {
+    actor,
+    reason: "Bulk cancel",
+  });
+  if (cancelErr) return fail(cancelErr.message);
+  if (!changed) return { ok: true, skipped: "already_canceled" };
+  const restock = await restockOrderOnce(orderId);
+  await cancelQueuedLabel(orderId);
+  notifyOrderCanceled(order);
+  return { ok: true, restock };
+};
+
+const addTag = async (orderId, { tag }) => {
+  const { data: order, error } = await supabase.from("order").select("id, tags").eq("id", orderId).single();
+  if (error || !order) return fail("Order not found");
+  const tags = Array.isArray(order.tags) ? order.tags : [];
+  if (tags.includes(tag)) return { ok: true, skipped: "already_tagged" };
+  const { error: updErr } = await supabase.from("order").update({ tags: [...tags, tag] }).eq("id", orderId);
+  if (updErr) return fail(updErr.message);
+  return { ok: true };
+};
+
+const HANDLERS = {
+  mark_shipped: markShipped,
+  purchase_label: purchaseLabel,
+  mark_paid: markPaid,
+  cancel,
+  add_tag: addTag,
+};
+
+// Tags are short lowercase labels ("drop-oct", "gift")
+export const normalizeTag = (tag) => String(tag ?? "").trim().toLowerCase().replace(/\s+/g, "-").slice(0, 50);
+
+const saveProgress = (jobId, fields) =>
+  supabase.from("order_bulk_job").update(fields).eq("id", jobId).then(({ error }) => {
+    if (error) console.warn(`⚠️ Bulk job ${jobId} progress update failed:`, error.message || error);
+  });
+
+/**
+ * Work through a job's orders, skipping any that already have a result (so an interrupted job
+ * resumes where it stopped). Results are saved after every order for the progress view.
+ */
+export const runBulkJob = async (job) => {
+  const handler = HANDLERS[job.action];
+  const results = Array.isArray(job.results) ? [...job.results] : [];
+  const done = new Set(results.map((r) => String(r.order_id)));
+  const actor = { type: "admin", id: job.created_by, label: job.created_by_email ? `${job.created_by_email} (bulk)` : "bulk" };
+  let succeeded = results.filter((r) => r.ok).length;
+  let failed = results.length - succeeded;
+
+  await saveProgress(job.id, { status: "running", started_at: job.started_at || new Date().toISOString() });
+  try {
+    for (const orderId of job.order_ids) {
+      if (done.has(String(orderId))) continue;
+      let result;
+      try {
+        result = await handler(orderId, job.params || {}, actor);
+      } catch (e) {
+        console.error(`❌ Bulk ${job.action} failed for order ${orderId}:`, e);
+        result = fail(e?.message || "Unexpected error");
+      }
+      results.push({ order_id: String(orderId), ...result });
+      if (result.ok) succeeded++;
+      else failed++;
+      await saveProgress(job.id, { results, succeeded, failed });
+    }
+    await saveProgress(job.id, { status: "completed", finished_at: new Date().toISOString() });
+    if (process.env.NODE_ENV !== 'production') {
+      console.log(`📦 Bulk job ${job.id} (${job.action}) done: ${succeeded} ok, ${failed} failed`);
+    }
+  } catch (e) {
+    console.error(`❌ Bulk job ${job.id} crashed:`, e);
+    await saveProgress(job.id, { status: "failed", error: e?.message || String(e), finished_at: new Date().toISOString() });
+  }
+};
+
+/**
+ * Create a job and start it in the background. Returns { data: job, error } right away.
+ * params: { trackingCodes } for mark_shipped, { tag } for add_tag.
+ */
+export const startBulkJob = async ({ action, orderIds, params = {}, actor = {} }) => {
+  const { data: job, error } = await supabase
+    .from("order_bulk_job")
+    .insert([{
+      action,
+      params,
+      order_ids: orderIds,
+      total: orderIds.length,
+      created_by: actor.id != null ? String(actor.id) : null,
+      created_by_email: actor.label || null,
+    }])
+    .select()
+    .single();
+  if (error) return { data: null, error };
+  setImmediate(() => runBulkJob(job));
+  return { data: job, error: null };
+};
+
+export const getBulkJob = async (jobId) => {
+  const { data, error } = await supabase.from("order_bulk_job").select("*").eq("id", jobId).maybeSingle();
+  return { data, error };
+};
+
+export const listBulkJobs = async ({ limit = 20 } = {}) => {
+  const { data, error } = await supabase
+    .from("order_bulk_job")
+    .select("id, action, status, total, succeeded, failed, created_by_email, created_at, started_at, finished_at")
+    .order("created_at", { ascending: false })
+    .limit(limit);
+  return { data: data || [], error };
+};
+
+// Pick up jobs a restart interrupted (call once at boot; assumes a single API instance)
+export const resumeBulkJobs = async () => {
+  try {
+    const { data: jobs, error } = await supabase
+      .from("order_bulk_job")
+      .select("*")
+      .in("status", ["queued", "running"])
+      .order("created_at", { ascending: true });
+    if (error) throw error;
+    for (const job of jobs || []) await runBulkJob(job);
+  } catch (e) {
+    console.warn("⚠️ Could not resume bulk order jobs:", e?.message || e);
+  }
+};
@@ -0,0 +1,254 @@
+// PDF invoices and packing slips rendered from an order and its order_item rows
+import PDFDocument from "pdfkit";
+import supabase from "../../supabaseClient.js";
+import { pickupSummary } from "./pickupScheduling.js";
+
+const BRAND = process.env.STORE_NAME || "Diva Nails";
+const SUPPORT_EMAIL = process.env.SUPPORT_EMAIL || "support@divafactorynails.com";
+const ACCENT = "#d63384";
+
+export const DOCUMENT_ORDER_SELECT = "*, order_item!fk_order(*, product!fk_product(title, price))";
+
+export const fetchOrderForDocument = async (orderId) => {
+  const { data, error } = await supabase.from("order").select(DOCUMENT_ORDER_SELECT).eq("id", orderId).single();
+  if (error || !data) return { data: null, error: error || new Error("Order not found") };
+  return { data, error: null };
+};
+
+const money = (n) => `$${Number(n || 0).toFixed(2)}`;
+const num = (v) => (v == null || v === "" || !Number.isFinite(Number(v)) ? null : Number(v));
+const formatDate = (iso) => (iso ? new Date(iso).toLocaleDateString("en-US", { year: "numeric", month: "long", day: "numeric" }) : "");
+const isPickup = (order) => order?.shipping_info?.shipping_method === "local_pickup";
+
+const addressLines = (order) => {
+  const s = order.shipping_info || {};
+  const cityLine = [s.city || order.city, [s.state, s.postal_code || order.zip].filter(Boolean).join(" ")].filter(Boolean).join(", ");
+  return [
+    s.name || s.customer?.name,
+    s.address_line1 || order.address,
+    s.address_line2,
+    cityLine,
+    s.country || order.country,
+  ].filter(Boolean);
+};
+
+const pickupLines = (order) => {
+  const p = pickupSummary(order) || {};
+  return [p.location_name || "Pickup at our studio", p.event_title, p.address, p.when].filter(Boolean);
+};
+
+const lineTitle = (it) => it.product?.title || it.title || `Product ${it.product_id}`;
+
+/**
+ * Money breakdown as stored at checkout. Stripe orders carry subtotal/tax_amount/discount_amount/
+ * shipping_fee columns; pickup orders keep subtotal and taxes in shipping_info.
+ */
+export const orderBreakdown = (order) => {
+  const items = order.order_item || [];
+  const info = order.shipping_info || {};
+  const itemsTotal = items.reduce((acc, it) => acc + Number(it.price || 0) * Number(it.quantity || 0), 0);
+  const subtotal = num(order.subtotal) ?? num(info.subtotal) ?? itemsTotal;
+  // Refund adjustments are added to discount_amount; they belong under "Refunded" here
+  const discount = (num(order.discount_amount) ?? 0) - (num(order.refunded_adjustment_amount) ?? 0);
+  const tax = num(order.tax_amount) ?? num(info.taxes) ?? 0;
+  const shipping = isPickup(order) ? 0 : num(order.shipping_fee) ?? num(info.fee) ?? 0;
+  const total = num(order.original_total_amount) ?? num(order.total_amount) ?? subtotal - discount + tax + shipping;
+  const refunded = num(order.refund_amount) ?? 0;
+  return { subtotal, discount, tax, shipping, total, refunded, pointsUsed: Number(order.points_used || 0) };
+};
+
+const header = (doc, title, order) => {
+  doc.fillColor(ACCENT).fontSize(22).font("Helvetica-Bold").text(BRAND, { continued: false });
+  doc.fillColor("#000").fontSize(9).font("Helvetica").text(SUPPORT_EMAIL);
+  doc.moveUp(2).fontSize(18).font("Helvetica-Bold").text(title, { align: "right" });
+  doc.fontSize(9).font("Helvetica").text(`Order ${order.id}`, { align: "right" });
+  doc.text(formatDate(order.created_at), { align: "right" });
+  doc.moveDown(1.5);
+};
+
+const twoColumns = (doc, left, right) => {
+  const top = doc.y;
+  const width = (doc.page.width - doc.page.margins.left - doc.page.margins.right) / 2 - 10;
+  doc.font("Helvetica-Bold").fontSize(10).text(left.title, doc.page.margins.left, top, { width });
+  doc.font("Helvetica").fontSize(10).text(left.lines.join("\n") || "—", { width });
+  const leftBottom = doc.y;
+  doc.font("Helvetica-Bold").text(right.title, doc.page.margins.left + width + 20, top, { width });
+  doc.font("Helvetica").text(right.lines.join("\n") || "—", { width });
+  doc.x = doc.page.margins.left;
+  doc.y = Math.max(leftBottom, doc.y) + 16;
+};
+
+// columns: [{ label, width, align }]; rows: arrays of strings
+const table = (doc, columns, rows) => {
+  const startX = doc.page.margins.left;
+  const drawRow = (cells, bold) => {
+    const y = doc.y;
+    let x = startX;
+    let height = 0;
+    doc.font(bold ? "Helvetica-Bold" : "Helvetica").fontSize(10);
+    cells.forEach((cell, i) => {
+      const col = columns[i];
+      doc.text(String(cell ?? ""), x, y, { width: col.width, align: col.align || "left" });
+      height = Math.max(height, doc.y - y);
+      x += col.width + 8;
+    });
+    doc.x = startX;
+    doc.y = y + height + 4;
+  };
+  drawRow(columns.map((c) => c.label), true);
+  const totalWidth = columns.reduce((acc, c) => acc + c.width + 8, -8);
+  doc.moveTo(startX, doc.y - 2).lineTo(startX + totalWidth, doc.y - 2).strokeColor("#cccccc").stroke();
+  rows.forEach((r) => {
+    if (doc.y > doc.page.height - doc.page.margins.bottom - 40) doc.addPage();
+    drawRow(r, false);
+  });
+  doc.moveDown(0.5);
+};
+
+const totalsBlock = (doc, rows) => {
+  const width = 220;
+  const x = doc.page.width - doc.page.margins.right - width;
+  rows.forEach(([label, value, bold]) => {
+    const y = doc.y;
+    doc.font(bold ? "Helvetica-Bold" : "Helvetica").fontSize(10);
+    doc.text(label, x, y, { width: 130 });
+    doc.text(value, x + 130, y, { width: width - 130, align: "right" });
+  });
+  doc.x = doc.page.margins.left;
+  doc.moveDown(1);
+};
+
+const writeInvoice = (doc, order) => {
+  header(doc, "INVOICE", order);
+  const info = order.shipping_info || {};
+  twoColumns(
+    doc,
+    { title: "Bill to", lines: [info.name || info.customer?.name, order.email].filter(Boolean) },
+    { title: isPickup(order) ? "Local pickup" : "Ship to", lines: isPickup(order) ? pickupLines(order) : addressLines(order) }
+  );
+
+  table(
+    doc,
+    [
+      { label: "Item", width: 280 },
+      { label: "Qty", width: 50, align: "center" },
+      { label: "Unit price", width: 80, align: "right" },
+      { label: "Amount", width: 80, align: "right" },
+    ],
+    (order.order_item || []).map((it) => [
+      lineTitle(it),
+      String(it.quantity),
+      money(it.price),
+      money(Number(it.price || 0) * Number(it.quantity || 0)),
+    ])
+  );
+
+  const b = orderBreakdown(order);
+  const rows = [["Subtotal", money(b.subtotal)]];
+  if (b.discount > 0) rows.push(["Discounts", `-${money(b.discount)}`]);
+  if (b.pointsUsed > 0) rows.push(["Points redeemed", String(b.pointsUsed)]);
+  if (!isPickup(order)) rows.push(["Shipping", money(b.shipping)]);
+  if (b.tax > 0) rows.push(["Tax", money(b.tax)]);
+  rows.push([isPickup(order) ? "Total due at pickup" : "Total", money(b.total), true]);
+  if (b.refunded > 0) {
+    rows.push(["Refunded", `-${money(b.refunded)}`]);
+    rows.push(["Net paid", money(b.total - b.refunded), true]);
+  }
+  totalsBlock(doc, rows);
+
+  const paid = isPickup(order) ? (info.payment_status === "paid" ? "Paid in person" : "Payment due at pickup") : "Paid by card (Stripe)";
+  doc.font("Helvetica").fontSize(9).fillColor("#555").text(`Payment: ${paid}`);
+  doc.text(`Questions? Email ${SUPPORT_EMAIL} with your order number.`);
+  doc.fillColor("#000");
+};
+
+const writePackingSlip = (doc, order) => {
+  header(doc, "PACKING SLIP", order);
+  const info = order.shipping_info || {};
+  twoColumns(
+    doc,
+    { title: isPickup(order) ? "Pickup customer" : "Ship to", lines: isPickup(order) ? [info.name || info.customer?.name, order.email, info.customer?.phone].filter(Boolean) : addressLines(order) },
+    {
+      title: "Shipment",
+      lines: [
+        order.carrier || order.service ? [order.carrier, order.service].filter(Boolean).join(" ") : null,
+        order.tracking_code && !["Processing", "Pickup"].includes(order.tracking_code) ? `Tracking: ${order.tracking_code}` : null,
+        `Status: ${order.status || "—"}`,
+      ].filter(Boolean),
+    }
+  );
+
+  // Box plan from the packer when we have one, so the packer knows what goes where
+  const packing = Array.isArray(order.packing) ? order.packing : [];
+  const boxOf = new Map();
+  packing.forEach((p) => (p.items || []).forEach((it) => {
+    const key = String(it.id);
+    boxOf.set(key, [...(boxOf.get(key) || []), `#${p.parcel} ${p.box || ""}`.trim()]);
+  }));
+
+  table(
+    doc,
+    [
+      { label: "", width: 20, align: "center" },
+      { label: "Item", width: 300 },
+      { label: "SKU / ID", width: 90 },
+      { label: "Qty", width: 40, align: "center" },
+      ...(packing.length ? [{ label: "Box", width: 60 }] : []),
+    ],
+    (order.order_item || []).map((it) => [
+      "[ ]",
+      lineTitle(it),
+      String(it.product_id || ""),
+      String(it.quantity),
+      ...(packing.length ? [(boxOf.get(String(it.product_id)) || []).join(", ")] : []),
+    ])
+  );
+
+  const units = (order.order_item || []).reduce((acc, it) => acc + Number(it.quantity || 0), 0);
+  doc.font("Helvetica-Bold").fontSize(10).text(`Total units: ${units}${packing.length ? `   Parcels: ${packing.length}` : ""}`);
+  if (info.notes) {
+    doc.moveDown(0.5).font("Helvetica-Bold").text("Customer notes");
+    doc.font("Helvetica").text(String(info.notes));
+  }
+  doc.moveDown(1).font("Helvetica").fontSize(9).fillColor("#555").text(`Thank you for shopping with ${BRAND}!`);
+  doc.fillColor("#000");
+};
+
+const WRITERS = { invoice: writeInvoice, packingSlip: writePackingSlip };
+
+/**
+ * Build a PDF with one document per order (each starts on a new page).
+ * Returns the ended PDFKit stream; pipe it to a response or collect it with pdfToBuffer.
+ */
+export const buildOrderPdf = (orders, kind = "invoice") => {
+  const write = WRITERS[kind];
+  if (!write) throw new Error(`Unknown document kind: ${kind}`);
+  const doc = new PDFDocument({ size: "LETTER", margin: 50, info: { Title: `${BRAND} ${kind === "invoice" ? "Invoice" : "Packing Slip"}` } });
+  (orders || []).forEach((order, i) => {
+    if (i > 0) doc.addPage();
+    write(doc, order);
+  });
+  doc.end();
+  return doc;
+};
+
+export const pdfToBuffer = (doc) =>
+  new Promise((resolve, reject) => {
+    const chunks = [];
+    doc.on("data", (c) => chunks.push(c));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+  });
+
+// Email attachment for the order confirmation; null when the invoice can't be rendered
+export const invoiceAttachment = async (orderId) => {
+  try {
+    const { data: order, error } = await fetchOrderForDocument(orderId);
+    if (error) throw error;
+    const content = await pdfToBuffer(buildOrderPdf([order], "invoice"));
+    return { filename: `invoice-${order.id}.pdf`, content, contentType: "application/pdf" };
+  } catch (e) {
+    console.warn("⚠️ Could not render invoice attachment:", e?.message || e);
+    return null;
+  }
+};
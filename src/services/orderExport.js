@@ -0,0 +1,191 @@
+// Order export for bookkeeping: CSV rows per order or per line item, and journal layouts
+// that QuickBooks Online and Xero can import
+import supabase from "../../supabaseClient.js";
+import { orderBreakdown } from "./orderDocuments.js";
+import { ORDER_STATUS } from "./orderLifecycle.js";
+
+const PAGE_SIZE = 500;
+
+export const EXPORT_LAYOUTS = ["orders", "lines", "quickbooks", "xero"];
+
+// Ledger accounts for journal layouts. Override with EXPORT_JOURNAL_ACCOUNTS='{"sales":"200",...}'
+// (Xero imports expect account codes rather than names).
+const DEFAULT_ACCOUNTS = {
+  clearing: "Stripe Clearing",          // card payments awaiting payout
+  cash: "Undeposited Funds",            // paid in person at pickup
+  fees: "Merchant Fees",
+  sales: "Sales",
+  discounts: "Sales Discounts",
+  shipping: "Shipping Income",
+  tax: "Sales Tax Payable",
+  refunds: "Sales Returns and Allowances",
+};
+const ACCOUNTS = (() => {
+  if (!process.env.EXPORT_JOURNAL_ACCOUNTS) return DEFAULT_ACCOUNTS;
+  try {
+    return { ...DEFAULT_ACCOUNTS, ...JSON.parse(process.env.EXPORT_JOURNAL_ACCOUNTS) };
+  } catch (e) {
+    console.warn("⚠️ EXPORT_JOURNAL_ACCOUNTS is not valid JSON; using defaults:", e?.message || e);
+    return DEFAULT_ACCOUNTS;
+  }
+})();
+
+const round2 = (n) => Math.round(Number(n || 0) * 100) / 100;
+const fixed = (n) => (n == null || n === "" ? "" : round2(n).toFixed(2));
+const day = (iso) => (iso ? String(iso).slice(0, 10) : "");
+const isPickup = (order) => order?.shipping_info?.shipping_method === "local_pickup";
+
+export const csvCell = (v) => {
+  if (v == null) return "";
+  const s = String(v);
+  // Leading =,+,-,@ would be evaluated as formulas by spreadsheet apps
+  const safe = /^[=+\-@]/.test(s) && !/^-?\d+(\.\d+)?$/.test(s) ? `'${s}` : s;
+  return /[",\r\n]/.test(safe) ? `"${safe.replace(/"/g, '""')}"` : safe;
+};
+export const csvLine = (cells) => `${cells.map(csvCell).join(",")}\r\n`;
+
+export const paymentMethodOf = (order) => {
+  if (order.stripe_payment_intent_id) return "stripe";
+  return order.shipping_info?.pickup_payment_method || order.shipping_info?.payment_method || "";
+};
+
+const paymentStatusOf = (order) => {
+  if (order.refund_status) return order.refund_status;
+  if (order.stripe_payment_intent_id) return order.stripe_payment_status || "paid";
+  return order.shipping_info?.payment_status || "unpaid";
+};
+
+/**
+ * Apply export filters to an order query.
+ * filters: { from, to (ISO dates, inclusive days), status, brandSegment, shippingMethod: "local_pickup" | "shipping" }
+ */
+export const applyExportFilters = (query, { from, to, status, brandSegment, shippingMethod } = {}) => {
+  let q = query;
+  if (from) q = q.gte("created_at", from);
+  if (to) q = q.lte("created_at", /^\d{4}-\d{2}-\d{2}$/.test(to) ? `${to}T23:59:59.999Z` : to);
+  if (status) q = q.eq("status", status);
+  if (brandSegment) q = q.eq("order_item.product_brand_segment", String(brandSegment).toLowerCase());
+  if (shippingMethod === "local_pickup") q = q.contains("shipping_info", { shipping_method: "local_pickup" });
+  else if (shippingMethod === "shipping") {
+    q = q.or("shipping_info->>shipping_method.is.null,shipping_info->>shipping_method.neq.local_pickup");
+  }
+  return q;
+};
+
+// Page through matching orders oldest first; yields arrays of orders
+export async function* exportOrderPages(filters = {}) {
+  // !inner so a brand filter drops orders without a matching line (and only those lines are embedded)
+  const itemJoin = filters.brandSegment ? "order_item!fk_order!inner" : "order_item!fk_order";
+  for (let page = 0; ; page++) {
+    const query = applyExportFilters(
+      supabase
+        .from("order")
+        .select(`*, user!fk_user(email), ${itemJoin}(*, product!fk_product(title))`)
+        .order("created_at", { ascending: true })
+        .order("id", { ascending: true })
+        .range(page * PAGE_SIZE, (page + 1) * PAGE_SIZE - 1),
+      filters
+    );
+    const { data, error } = await query;
+    if (error) throw error;
+    if (!data?.length) return;
+    yield data;
+    if (data.length < PAGE_SIZE) return;
+  }
+}
+
+const ORDER_COLUMNS = [
+  "order_id", "created_at", "status", "customer_email", "customer_name", "shipping_method", "payment_method",
+  "payment_status", "items", "subtotal", "discount", "shipping", "tax", "total", "stripe_fee", "refunded",
+  "net", "tracking_code", "city", "state", "postal_code", "country",
+];
+
+const orderRow = (order) => {
+  const b = orderBreakdown(order);
+  const info = order.shipping_info || {};
+  const fee = order.stripe_fee != null ? Number(order.stripe_fee) : null;
+  return [
+    order.id, order.created_at, order.status, order.user?.email || order.email, info.name || info.customer?.name || "",
+    isPickup(order) ? "local_pickup" : "shipping", paymentMethodOf(order), paymentStatusOf(order),
+    (order.order_item || []).reduce((acc, it) => acc + Number(it.quantity || 0), 0),
+    fixed(b.subtotal), fixed(b.discount), fixed(b.shipping), fixed(b.tax), fixed(b.total), fixed(fee), fixed(b.refunded),
+    fixed(b.total - b.refunded - (fee || 0)),
+    order.tracking_code || "", info.city || order.city || "", info.state || "", info.postal_code || order.zip || "", info.country || order.country || "",
+  ];
+};
+
+const LINE_COLUMNS = [
+  "order_id", "created_at", "status", "customer_email", "shipping_method", "payment_method", "product_id",
+  "product_title", "brand_segment", "quantity", "unit_price", "line_total", "refunded_quantity",
+];
+
+const lineRows = (order) =>
+  (order.order_item || []).map((it) => [
+    order.id, order.created_at, order.status, order.user?.email || order.email,
+    isPickup(order) ? "local_pickup" : "shipping", paymentMethodOf(order), it.product_id, it.product?.title || "",
+    it.product_brand_segment || "", Number(it.quantity || 0), fixed(it.price),
+    fixed(Number(it.price || 0) * Number(it.quantity || 0)), Number(it.refunded_quantity || 0),
+  ]);
+
+// Orders that never took money don't belong in the ledger
+const isPaid = (order) => {
+  if (isPickup(order)) return order.shipping_info?.payment_status === "paid";
+  if (!order.stripe_payment_intent_id) return false;
+  if (["failed", "expired"].includes(order.stripe_payment_status)) return false;
+  return !(order.status === ORDER_STATUS.CANCELED && !Number(order.refund_amount || 0));
+};
+
+/**
+ * Balanced journal lines for one order: [{ date, account, debit, credit, memo }].
+ * Sales is derived as total + discount − shipping − tax so rounding or points never unbalance an entry.
+ */
+export const journalLines = (order) => {
+  if (!isPaid(order)) return [];
+  const b = orderBreakdown(order);
+  const fee = Number(order.stripe_fee || 0);
+  const bank = isPickup(order) ? ACCOUNTS.cash : ACCOUNTS.clearing;
+  const date = day(order.created_at);
+  const memo = `Order ${order.id}`;
+  const sales = round2(b.total + b.discount - b.shipping - b.tax);
+  const lines = [
+    { date, account: bank, debit: round2(b.total - fee), credit: 0, memo },
+    { date, account: ACCOUNTS.fees, debit: fee, credit: 0, memo },
+    { date, account: ACCOUNTS.discounts, debit: b.discount, credit: 0, memo },
+    { date, account: ACCOUNTS.sales, debit: 0, credit: sales, memo },
+    { date, account: ACCOUNTS.shipping, debit: 0, credit: b.shipping, memo },
+    { date, account: ACCOUNTS.tax, debit: 0, credit: b.tax, memo },
+  ];
+  if (b.refunded > 0) {
+    const refundDate = day(order.refunded_at) || date;
+    lines.push(
+      { date: refundDate, account: ACCOUNTS.refunds, debit: b.refunded, credit: 0, memo: `Refund ${memo}` },
+      { date: refundDate, account: bank, debit: 0, credit: b.refunded, memo: `Refund ${memo}` }
+    );
+  }
+  return lines.filter((l) => round2(l.debit) !== 0 || round2(l.credit) !== 0);
+};
+
+// QuickBooks Online "Journal Entries" import
+const QUICKBOOKS_COLUMNS = ["JournalNo", "JournalDate", "AccountName", "Debits", "Credits", "Description", "Name", "Memo"];
+const quickbooksRows = (order) => {
+  const lines = journalLines(order);
+  // Refund lines post on their own date, so they get their own journal number
+  return lines.map((l) => [
+    l.memo.startsWith("Refund") ? `R-${order.id}` : String(order.id),
+    l.date, l.account, l.debit ? fixed(l.debit) : "", l.credit ? fixed(l.credit) : "", l.memo, order.email || "", l.memo,
+  ]);
+};
+
+// Xero "Manual Journal" import: positive amounts are debits, negative are credits
+const XERO_COLUMNS = ["Narration", "Date", "Description", "AccountCode", "TaxRate", "Amount"];
+const xeroRows = (order) =>
+  journalLines(order).map((l) => [
+    l.memo, l.date, `${l.memo}${order.email ? ` (${order.email})` : ""}`, l.account, "Tax Exempt", fixed(round2(l.debit - l.credit)),
+  ]);
+
+export const EXPORT_FORMATS = {
+  orders: { columns: ORDER_COLUMNS, rows: (o) => [orderRow(o)] },
+  lines: { columns: LINE_COLUMNS, rows: lineRows },
+  quickbooks: { columns: QUICKBOOKS_COLUMNS, rows: quickbooksRows },
+  xero: { columns: XERO_COLUMNS, rows: xeroRows },
+};
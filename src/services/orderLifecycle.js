@@ -0,0 +1,175 @@
+// Order lifecycle: the allowed statuses, legal transitions, and a history row for every change
+import supabase from "../../supabaseClient.js";
+
+export const ORDER_STATUS = Object.freeze({
+  PENDING: "Pending",
+  SHIPPED: "Shipped",
+  DELIVERED: "Delivered",
+  AWAITING_PICKUP: "awaiting_pickup",
+  PICKED_UP: "picked_up",
+  CANCELED: "Canceled",
+  REFUNDED: "Refunded",
+});
+
+export const ORDER_STATUSES = Object.values(ORDER_STATUS);
+
+const { PENDING, SHIPPED, DELIVERED, AWAITING_PICKUP, PICKED_UP, CANCELED, REFUNDED } = ORDER_STATUS;
+
+// Shipped orders: Pending → Shipped → Delivered. Pickup orders: awaiting_pickup → picked_up.
+// Either can be canceled before it leaves us, and refunded at any point (Stripe may refund a canceled order).
+const TRANSITIONS = {
+  shipping: {
+    [PENDING]: [SHIPPED, DELIVERED, CANCELED, REFUNDED],
+    [SHIPPED]: [DELIVERED, REFUNDED],
+    [DELIVERED]: [REFUNDED],
+    [CANCELED]: [REFUNDED],
+    [REFUNDED]: [],
+  },
+  pickup: {
+    [AWAITING_PICKUP]: [PICKED_UP, CANCELED, REFUNDED],
+    [PICKED_UP]: [REFUNDED],
+    [CANCELED]: [REFUNDED],
+    [REFUNDED]: [],
+  },
+};
+
+export const INITIAL_STATUS = { shipping: PENDING, pickup: AWAITING_PICKUP };
+
+// Loose spellings seen in stored rows and admin input → canonical status
+const ALIASES = {
+  pending: PENDING,
+  shipped: SHIPPED,
+  delivered: DELIVERED,
+  awaiting_pickup: AWAITING_PICKUP,
+  "awaiting pickup": AWAITING_PICKUP,
+  picked_up: PICKED_UP,
+  "picked up": PICKED_UP,
+  canceled: CANCELED,
+  cancelled: CANCELED,
+  refunded: REFUNDED,
+};
+
+export const normalizeOrderStatus = (status) => {
+  if (status == null) return null;
+  return ALIASES[String(status).trim().toLowerCase()] || null;
+};
+
+export const orderFlow = (order) =>
+  order?.shipping_info?.shipping_method === "local_pickup" ? "pickup" : "shipping";
+
+export const allowedTransitions = (order) => {
+  const current = normalizeOrderStatus(order?.status);
+  return TRANSITIONS[orderFlow(order)][current] || [];
+};
+
+export const canTransition = (order, to) => allowedTransitions(order).includes(normalizeOrderStatus(to));
+
+// Who made a change: { type: "admin" | "customer" | "system", id?, label? }
+export const actorFromRequest = (req) => {
+  const user = req?.user || {};
+  const isAdmin = user.role === "admin" || user.isAdmin === true;
+  return {
+    type: isAdmin ? "admin" : "customer",
+    id: user.id || user.userId || null,
+    label: user.email || null,
+  };
+};
+
+export const systemActor = (label) => ({ type: "system", id: null, label });
+
+// Append one row to order_status_history (never blocks the status change itself)
+export const recordStatusChange = async (orderId, fromStatus, toStatus, actor = {}, reason = null) => {
+  try {
+    const { error } = await supabase.from("order_status_history").insert([{
+      order_id: String(orderId),
+      from_status: fromStatus ?? null,
+      to_status: toStatus,
+      actor_type: actor.type || "system",
+      actor_id: actor.id != null ? String(actor.id) : null,
+      actor_label: actor.label || null,
+      reason: reason ? String(reason).slice(0, 1000) : null,
+    }]);
+    if (error) console.warn("⚠️ order_status_history insert failed:", error.message || error);
+  } catch (e) {
+    console.warn("⚠️ order_status_history insert error:", e?.message || e);
+  }
+};
+
+/**
+ * Move an order to a new status if the lifecycle allows it, writing `fields` in the same update.
+ * The update is conditional on the status we read, so two concurrent moves can't both win.
+ * `match` adds more conditions ({ column or json path: value read }, null = IS NULL) for callers
+ * whose `fields` were built from a snapshot that must not have changed meanwhile.
+ * Returns { data: order, changed, error } — error.code is NOT_FOUND, INVALID_STATUS,
+ * ILLEGAL_TRANSITION or CONFLICT. Moving to the current status is a no-op (changed: false).
+ */
+export const transitionOrder = async (orderOrId, toStatus, { actor, reason, fields = {}, match = {} } = {}) => {
+  let order = typeof orderOrId === "object" ? orderOrId : null;
+  if (!order || order.status === undefined || order.shipping_info === undefined) {
+    const id = order?.id ?? orderOrId;
+    const { data, error } = await supabase.from("order").select("*").eq("id", id).single();
+    if (error || !data) {
+      const err = new Error("Order not found");
+      err.code = "NOT_FOUND";
+      return { data: null, changed: false, error: err };
+    }
+    order = data;
+  }
+
+  const to = normalizeOrderStatus(toStatus);
+  if (!to) {
+    const err = new Error(`Invalid status "${toStatus}". Allowed: ${ORDER_STATUSES.join(", ")}`);
+    err.code = "INVALID_STATUS";
+    return { data: order, changed: false, error: err };
+  }
+
+  const from = normalizeOrderStatus(order.status);
+  if (from === to) {
+    if (!Object.keys(fields).length) return { data: order, changed: false, error: null };
+    const { data, error } = await supabase.from("order").update(fields).eq("id", order.id).select().single();
+    return { data: data || order, changed: false, error: error || null };
+  }
+
+  if (!canTransition(order, to)) {
+    const allowed = allowedTransitions(order);
+    const err = new Error(
+      `Cannot change order from ${order.status || "unknown"} to ${to}` +
+      (allowed.length ? ` (allowed: ${allowed.join(", ")})` : " (no further changes allowed)")
+    );
+    err.code = "ILLEGAL_TRANSITION";
+    err.allowed = allowed;
+    return { data: order, changed: false, error: err };
+  }
+
+  let query = supabase
+    .from("order")
+    .update({ ...fields, status: to })
+    .eq("id", order.id)
+    .eq("status", order.status);
+  for (const [column, value] of Object.entries(match)) {
+    query = value == null ? query.is(column, null) : query.eq(column, value);
+  }
+  const { data: updated, error } = await query.select();
+  if (error) return { data: order, changed: false, error };
+  if (!updated?.length) {
+    const err = new Error("Order status changed concurrently; reload and try again");
+    err.code = "CONFLICT";
+    return { data: order, changed: false, error: err };
+  }
+
+  await recordStatusChange(order.id, order.status ?? null, to, actor || systemActor("unknown"), reason);
+  return { data: updated[0], changed: true, error: null };
+};
+
+// HTTP status for a transitionOrder error
+export const transitionErrorStatus = (error) =>
+  ({ NOT_FOUND: 404, INVALID_STATUS: 400, ILLEGAL_TRANSITION: 409, CONFLICT: 409 })[error?.code] || 500;
+
+export const getOrderStatusHistory = async (orderId) => {
+  const { data, error } = await supabase
+    .from("order_status_history")
+    .select("id, from_status, to_status, actor_type, actor_id, actor_label, reason, created_at")
+    .eq("order_id", String(orderId))
+    .order("created_at", { ascending: true });
+  return { data: data || [], error };
+};
@@ -0,0 +1,168 @@
+// Order notes: internal notes for staff and customer-visible messages (emailed to the customer).
+// Attachments live in the orders bucket under orders/<order_id>/notes/<note_id>/.
+import supabase from "../../supabaseClient.js";
+import sendEmail from "./emailServices.js";
+import { ordersBucket, uploadOrderFile, signedOrderFileUrl, safeFileName } from "./orderStorage.js";
+
+export const NOTE_VISIBILITIES = ["internal", "customer"];
+const MAX_NOTE_LENGTH = 5000;
+
+const escapeHtml = (s) =>
+  String(s ?? "").replace(/[&<>"']/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[c]);
+
+// Attachments as stored plus a short-lived signed url each
+const withSignedAttachments = async (note, ttlSeconds) => ({
+  ...note,
+  attachments: await Promise.all(
+    (note.attachments || []).map(async (a) => ({ ...a, url: await signedOrderFileUrl(a.path, ttlSeconds) }))
+  ),
+});
+
+// What a customer sees: no author ids, just who (the store) wrote it and when
+const toCustomerMessage = (note) => ({
+  id: note.id,
+  body: note.body,
+  attachments: note.attachments,
+  created_at: note.created_at,
+});
+
+const sendCustomerMessageEmail = async (order, note) => {
+  if (!order.email) return false;
+  const files = note.attachments.length
+    ? `<p>${note.attachments.length} attachment(s) — view them with your order on our site.</p>`
+    : "";
+  const html = `
+    <div style="font-family: Arial, sans-serif; background: #fff; padding: 24px; border-radius: 8px; box-shadow: 0 2px 8px #eee;">
+      <h2 style="color: #d63384;">A message about your order</h2>
+      <p>Order <b>${order.id}</b></p>
+      <p>${escapeHtml(note.body).replace(/\n/g, "<br>")}</p>
+      ${files}
+      <p>Just reply to this email or contact us at <a href="mailto:support@divafactorynails.com">support@divafactorynails.com</a>.</p>
+    </div>
+  `;
+  try {
+    await sendEmail(order.email, `Update on your Diva Nails order ${order.id}`, html);
+    return true;
+  } catch (err) {
+    console.error("❌ Failed to send order message email:", err);
+    return false;
+  }
+};
+
+/**
+ * Add a note to an order. files: multer files to store as attachments.
+ * Customer-visible notes are emailed to the order's email. Returns { data: note, error }
+ * (error.code NOT_FOUND or INVALID).
+ */
+export const createOrderNote = async (orderId, { body, visibility = "internal", files = [], actor = {} }) => {
+  const text = String(body ?? "").trim();
+  if (!text) {
+    const err = new Error("body is required");
+    err.code = "INVALID";
+    return { data: null, error: err };
+  }
+  if (text.length > MAX_NOTE_LENGTH) {
+    const err = new Error(`body is limited to ${MAX_NOTE_LENGTH} characters`);
+    err.code = "INVALID";
+    return { data: null, error: err };
+  }
+  if (!NOTE_VISIBILITIES.includes(visibility)) {
+    const err = new Error(`visibility must be one of: ${NOTE_VISIBILITIES.join(", ")}`);
+    err.code = "INVALID";
+    return { data: null, error: err };
+  }
+
+  const { data: order, error: orderErr } = await supabase.from("order").select("id, email").eq("id", orderId).single();
+  if (orderErr || !order) {
+    const err = new Error("Order not found");
+    err.code = "NOT_FOUND";
+    return { data: null, error: err };
+  }
+
+  const { data: note, error } = await supabase
+    .from("order_note")
+    .insert([{
+      order_id: String(order.id),
+      visibility,
+      body: text,
+      author_id: actor.id != null ? String(actor.id) : null,
+      author_email: actor.label || null,
+    }])
+    .select()
+    .single();
+  if (error) return { data: null, error };
+
+  // Upload after the insert so paths can carry the note id; a failed upload is logged and skipped
+  const attachments = [];
+  for (const file of files) {
+    const objectPath = `orders/${order.id}/notes/${note.id}/${Date.now()}_${safeFileName(file.originalname, "attachment")}`;
+    const { error: upErr } = await uploadOrderFile(objectPath, file);
+    if (upErr) console.warn("⚠️ Note attachment upload failed:", upErr.message || upErr);
+    else attachments.push({ path: objectPath, name: file.originalname || null, content_type: file.mimetype || null, size: file.size ?? null });
+  }
+
+  const fields = {};
+  if (attachments.length) fields.attachments = attachments;
+  if (visibility === "customer" && (await sendCustomerMessageEmail(order, { ...note, attachments }))) {
+    fields.emailed_at = new Date().toISOString();
+  }
+  if (!Object.keys(fields).length) return { data: note, error: null };
+
+  const { data: updated, error: updErr } = await supabase.from("order_note").update(fields).eq("id", note.id).select().single();
+  if (updErr) console.warn("⚠️ Could not save note attachments/email time:", updErr.message || updErr);
+  return { data: updated || { ...note, ...fields }, error: null };
+};
+
+// Every note on an order (admin view), oldest first, with signed attachment urls
+export const listOrderNotes = async (orderId) => {
+  const { data, error } = await supabase
+    .from("order_note")
+    .select("*")
+    .eq("order_id", String(orderId))
+    .order("created_at", { ascending: true });
+  if (error) return { data: [], error };
+  return { data: await Promise.all((data || []).map((n) => withSignedAttachments(n))), error: null };
+};
+
+/**
+ * Customer-visible messages for a set of orders, keyed by order id. Attachment urls are signed for
+ * an hour so a customer can open them from the order page.
+ */
+export const customerMessagesByOrder = async (orderIds) => {
+  const byOrder = {};
+  const ids = (orderIds || []).map(String);
+  if (!ids.length) return byOrder;
+  const { data, error } = await supabase
+    .from("order_note")
+    .select("*")
+    .in("order_id", ids)
+    .eq("visibility", "customer")
+    .order("created_at", { ascending: true });
+  if (error) {
+    console.warn("⚠️ Could not load order messages:", error.message || error);
+    return byOrder;
+  }
+  for (const note of data || []) {
+    const signed = await withSignedAttachments(note, 60 * 60);
+    (byOrder[note.order_id] ||= []).push(toCustomerMessage(signed));
+  }
+  return byOrder;
+};
+
+// Returns { data: deleted note | null, error }; stored attachments are removed best-effort
+export const deleteOrderNote = async (orderId, noteId) => {
+  const { data, error } = await supabase
+    .from("order_note")
+    .delete()
+    .eq("id", noteId)
+    .eq("order_id", String(orderId))
+    .select()
+    .maybeSingle();
+  if (error || !data) return { data: null, error };
+  const paths = (data.attachments || []).map((a) => a.path).filter(Boolean);
+  if (paths.length) {
+    const { error: rmErr } = await supabase.storage.from(ordersBucket()).remove(paths);
+    if (rmErr) console.warn("⚠️ Could not remove note attachments:", rmErr.message || rmErr);
+  }
+  return { data, error: null };
+};
@@ -0,0 +1,285 @@
+// Partial refunds and adjustments: line items, shipping and custom amounts, via Stripe or recorded manually
+import crypto from "crypto";
+import Stripe from "stripe";
+import supabase from "../../supabaseClient.js";
+import sendEmail from "./emailServices.js";
+import { incrementProductQuantity } from "../controllers/productController.js";
+import { ORDER_STATUS, transitionOrder } from "./orderLifecycle.js";
+import { cancelQueuedLabel } from "./labelPurchaseService.js";
+
+const stripe = new Stripe(process.env.STRIPE_SECRET_KEY, { apiVersion: "2022-11-15" });
+
+export const MANUAL_REFUND_METHODS = ["cash", "card_in_person", "zelle", "venmo", "store_credit", "other"];
+
+const ORDER_SELECT =
+  "*, order_item!fk_order(id, product_id, quantity, price, refunded_quantity, restocked_quantity, product!fk_product(title))";
+
+// Long enough to cover a slow Stripe call; a crashed refund frees the order after this
+const REFUND_LOCK_MS = 5 * 60 * 1000;
+
+const roundMoney = (n) => Math.round(Number(n || 0) * 100) / 100;
+
+const refundError = (code, message) => Object.assign(new Error(message), { code });
+
+// Share of list price the customer actually paid after order-level discounts (custom
+// adjustments are excluded so refunding an adjustment doesn't shrink later line refunds)
+const paidRatio = (order) => {
+  const subtotal = Number(order.subtotal ?? order.shipping_info?.subtotal ?? 0);
+  const discount = Number(order.discount_amount || 0) - Number(order.refunded_adjustment_amount || 0);
+  if (!(subtotal > 0) || !(discount > 0)) return 1;
+  return Math.min(Math.max((subtotal - discount) / subtotal, 0), 1);
+};
+
+// What has been paid and not yet refunded
+const originalTotal = (order) => Number(order.original_total_amount ?? order.total_amount ?? 0);
+export const refundableRemaining = (order) => roundMoney(originalTotal(order) - Number(order.refund_amount || 0));
+
+/**
+ * Price a refund request against the order without touching anything.
+ * items: [{ order_item_id, quantity }]; shipping: true (all remaining) or a dollar amount; amount: custom dollars.
+ * Returns { data: { lines, shippingAmount, customAmount, total }, error } — error.code INVALID or EXCEEDS.
+ */
+export const priceRefund = (order, { items = [], shipping = false, amount = 0, totalOverride } = {}) => {
+  const byId = new Map((order.order_item || []).map((it) => [String(it.id), it]));
+  const ratio = paidRatio(order);
+  const lines = [];
+  for (const req of items || []) {
+    const orderItem = byId.get(String(req?.order_item_id ?? req?.orderItemId));
+    const qty = Number.parseInt(String(req?.quantity ?? 0), 10);
+    if (!orderItem) return { data: null, error: refundError("INVALID", `Item ${req?.order_item_id ?? req?.orderItemId} is not part of this order`) };
+    if (!Number.isFinite(qty) || qty < 1) return { data: null, error: refundError("INVALID", "Each item needs a positive quantity") };
+    const remainingQty = Number(orderItem.quantity || 0) - Number(orderItem.refunded_quantity || 0);
+    if (qty > remainingQty) {
+      return { data: null, error: refundError("EXCEEDS", `Only ${Math.max(remainingQty, 0)} unit(s) of item ${orderItem.id} can still be refunded`) };
+    }
+    lines.push({
+      order_item_id: orderItem.id,
+      product_id: orderItem.product_id,
+      title: orderItem.product?.title || null,
+      quantity: qty,
+      unit_price: Number(orderItem.price || 0),
+      amount: roundMoney(Number(orderItem.price || 0) * qty * ratio),
+    });
+  }
+
+  const shippingRemaining = roundMoney(Number(order.shipping_fee || 0) - Number(order.refunded_shipping_amount || 0));
+  let shippingAmount = 0;
+  if (shipping === true) shippingAmount = Math.max(shippingRemaining, 0);
+  else if (shipping) shippingAmount = roundMoney(shipping);
+  if (!Number.isFinite(shippingAmount) || shippingAmount < 0) return { data: null, error: refundError("INVALID", "shipping must be true or a non-negative amount") };
+  if (shippingAmount > shippingRemaining + 0.001) {
+    return { data: null, error: refundError("EXCEEDS", `Only $${Math.max(shippingRemaining, 0).toFixed(2)} of shipping can still be refunded`) };
+  }
+
+  const customAmount = roundMoney(amount || 0);
+  if (!Number.isFinite(customAmount) || customAmount < 0) return { data: null, error: refundError("INVALID", "amount must be a non-negative number") };
+
+  const computed = roundMoney(lines.reduce((acc, l) => acc + l.amount, 0) + shippingAmount + customAmount);
+  const total = totalOverride != null ? roundMoney(totalOverride) : computed;
+  if (!Number.isFinite(total) || total < 0) return { data: null, error: refundError("INVALID", "Refund total must be a non-negative number") };
+  if (!lines.length && total <= 0) return { data: null, error: refundError("INVALID", "Nothing to refund: pass items, shipping or amount") };
+  const remaining = refundableRemaining(order);
+  if (total > remaining + 0.001) {
+    return { data: null, error: refundError("EXCEEDS", `Refund of $${total.toFixed(2)} exceeds the $${Math.max(remaining, 0).toFixed(2)} still refundable`) };
+  }
+  return { data: { lines, shippingAmount, customAmount, total }, error: null };
+};
+
+const refundEmailHtml = (order, refund, { lines, shippingAmount, customAmount, total }) => {
+  const rows = lines.map((l) =>
+    `<tr><td>${l.title || `Item ${l.order_item_id}`}</td><td style="text-align:center">${l.quantity}</td><td style="text-align:right">$${l.amount.toFixed(2)}</td></tr>`
+  );
+  if (shippingAmount > 0) rows.push(`<tr><td>Shipping</td><td></td><td style="text-align:right">$${shippingAmount.toFixed(2)}</td></tr>`);
+  if (customAmount > 0) rows.push(`<tr><td>Adjustment${refund.reason ? ` — ${refund.reason}` : ""}</td><td></td><td style="text-align:right">$${customAmount.toFixed(2)}</td></tr>`);
+  const how = refund.method === "stripe"
+    ? "It will appear on your original payment method within 5–10 business days."
+    : `Refunded via ${String(refund.method).replace(/_/g, " ")}.`;
+  return `
+    <div style="font-family: Arial, sans-serif;">
+      <h2 style="color: #d63384;">Refund Issued</h2>
+      <p>We've issued a refund for order <b>${order.id}</b>.</p>
+      <table style="border-collapse: collapse; min-width: 320px;">
+        <tr><th style="text-align:left">Item</th><th>Qty</th><th style="text-align:right">Amount</th></tr>
+        ${rows.join("")}
+        <tr><td colspan="2"><b>Total refunded</b></td><td style="text-align:right"><b>$${total.toFixed(2)}</b></td></tr>
+      </table>
+      <p>${how}</p>
+      <p>If you have any questions, please contact us at <a href="mailto:support@divafactorynails.com">support@divafactorynails.com</a>.</p>
+    </div>`;
+};
+
+// Take the order's refund lease. The null/expired guard makes this a no-op while another refund runs.
+const lockOrderForRefund = async (orderId) => {
+  const token = crypto.randomUUID();
+  const now = new Date();
+  const { data, error } = await supabase
+    .from("order")
+    .update({ refund_lock_id: token, refund_lock_expires_at: new Date(now.getTime() + REFUND_LOCK_MS).toISOString() })
+    .eq("id", orderId)
+    .or(`refund_lock_id.is.null,refund_lock_expires_at.lt.${now.toISOString()}`)
+    .select("id");
+  if (error) return { token: null, error };
+  return { token: (data || []).length ? token : null, error: null };
+};
+
+const unlockOrderForRefund = async (orderId, token) => {
+  const { error } = await supabase
+    .from("order")
+    .update({ refund_lock_id: null, refund_lock_expires_at: null })
+    .eq("id", orderId)
+    .eq("refund_lock_id", token);
+  if (error) console.warn(`⚠️ Could not release refund lock on order ${orderId}:`, error.message);
+};
+
+/**
+ * Refund part (or all) of an order and record it in order_refund.
+ * Stripe orders are refunded against stripe_payment_intent_id; `manual` records a refund paid
+ * outside Stripe (pickup orders paid in person) with `paymentMethod`.
+ * Options: { items, shipping, amount, totalOverride, restock, reason, actor, manual, paymentMethod,
+ *            idempotencyKey, notify, source }
+ * Refunds of one order run one at a time: the order is re-read and re-priced under its refund lease.
+ * Returns { data: { refund, order }, error } — error.code NOT_FOUND, INVALID, EXCEEDS,
+ * NO_PAYMENT_INTENT, HAS_PAYMENT_INTENT, IN_PROGRESS or STRIPE_FAILED.
+ */
+export const refundOrder = async (orderId, opts = {}) => {
+  const { token, error: lockErr } = await lockOrderForRefund(orderId);
+  if (lockErr) return { data: null, error: lockErr };
+  if (!token) {
+    const { data: exists } = await supabase.from("order").select("id").eq("id", orderId).maybeSingle();
+    if (!exists) return { data: null, error: refundError("NOT_FOUND", "Order not found") };
+    return { data: null, error: refundError("IN_PROGRESS", "Another refund for this order is in progress; try again shortly") };
+  }
+  try {
+    return await refundLockedOrder(orderId, opts);
+  } finally {
+    await unlockOrderForRefund(orderId, token);
+  }
+};
+
+const refundLockedOrder = async (orderId, opts) => {
+  const { restock = false, reason = null, actor = {}, manual = false, paymentMethod, idempotencyKey, notify = true, source = "admin" } = opts;
+
+  const { data: order, error: orderErr } = await supabase.from("order").select(ORDER_SELECT).eq("id", orderId).single();
+  if (orderErr || !order) return { data: null, error: refundError("NOT_FOUND", "Order not found") };
+
+  if (!manual && !order.stripe_payment_intent_id) {
+    return { data: null, error: refundError("NO_PAYMENT_INTENT", "Order has no Stripe payment; record a manual refund instead") };
+  }
+  if (manual && order.stripe_payment_intent_id) {
+    return { data: null, error: refundError("HAS_PAYMENT_INTENT", "Order was paid through Stripe; refund it through Stripe") };
+  }
+  const method = manual ? String(paymentMethod || "other") : "stripe";
+  if (manual && !MANUAL_REFUND_METHODS.includes(method)) {
+    return { data: null, error: refundError("INVALID", `paymentMethod must be one of: ${MANUAL_REFUND_METHODS.join(", ")}`) };
+  }
+
+  const { data: priced, error: priceErr } = priceRefund(order, opts);
+  if (priceErr) return { data: null, error: priceErr };
+  const { lines, shippingAmount, customAmount, total } = priced;
+
+  const { data: refundRow, error: insErr } = await supabase
+    .from("order_refund")
+    .insert([{
+      order_id: String(order.id),
+      method,
+      status: "pending",
+      amount: total,
+      shipping_amount: shippingAmount,
+      adjustment_amount: customAmount,
+      items: lines,
+      restock: Boolean(restock),
+      reason: reason ? String(reason).slice(0, 1000) : null,
+      source,
+      actor_id: actor.id != null ? String(actor.id) : null,
+      actor_label: actor.label || null,
+    }])
+    .select()
+    .single();
+  if (insErr || !refundRow) return { data: null, error: insErr || new Error("Failed to record refund") };
+
+  let stripeRefundId = null;
+  if (method === "stripe" && total > 0) {
+    try {
+      const refund = await stripe.refunds.create(
+        {
+          payment_intent: order.stripe_payment_intent_id,
+          amount: Math.round(total * 100),
+          metadata: { order_id: String(order.id), order_refund_id: String(refundRow.id) },
+        },
+        { idempotencyKey: idempotencyKey || `order-refund-${refundRow.id}` }
+      );
+      stripeRefundId = refund.id;
+    } catch (e) {
+      await supabase.from("order_refund").update({ status: "failed", error: String(e?.message || e).slice(0, 2000) }).eq("id", refundRow.id);
+      return { data: null, error: Object.assign(refundError("STRIPE_FAILED", e?.message || "Stripe refund failed"), { refundId: refundRow.id }) };
+    }
+  }
+
+  // Money has moved; from here on failures are logged, not returned
+  const restockFailures = [];
+  for (const line of lines) {
+    const orderItem = order.order_item.find((it) => String(it.id) === String(line.order_item_id));
+    const itemUpdate = { refunded_quantity: Number(orderItem.refunded_quantity || 0) + line.quantity };
+    if (restock) {
+      const { error: incErr } = await incrementProductQuantity(line.product_id, line.quantity);
+      if (incErr) {
+        restockFailures.push(line.order_item_id);
+        console.warn("⚠️ Restock failed for refunded product", line.product_id, incErr);
+      } else {
+        itemUpdate.restocked_quantity = Number(orderItem.restocked_quantity || 0) + line.quantity;
+      }
+    }
+    const { error: itemErr } = await supabase.from("order_item").update(itemUpdate).eq("id", line.order_item_id);
+    if (itemErr) console.warn("⚠️ Could not update refunded quantity for order item", line.order_item_id, itemErr);
+  }
+
+  const original = originalTotal(order);
+  const refundedTotal = roundMoney(Number(order.refund_amount || 0) + total);
+  const fullyRefunded = refundedTotal >= original - 0.001;
+  const fields = {
+    original_total_amount: original,
+    total_amount: roundMoney(Math.max(original - refundedTotal, 0)),
+    refund_amount: refundedTotal,
+    refunded_shipping_amount: roundMoney(Number(order.refunded_shipping_amount || 0) + shippingAmount),
+    refunded_adjustment_amount: roundMoney(Number(order.refunded_adjustment_amount || 0) + customAmount),
+    discount_amount: roundMoney(Number(order.discount_amount || 0) + customAmount),
+    refund_status: fullyRefunded ? "refunded" : "partially_refunded",
+    refunded_at: new Date().toISOString(),
+  };
+  let updatedOrder = order;
+  if (fullyRefunded) {
+    const { data, error } = await transitionOrder(order, ORDER_STATUS.REFUNDED, { actor, reason: reason || "Refunded in full", fields });
+    if (error) console.warn(`⚠️ Refund recorded but order ${order.id} not updated:`, error.message);
+    else updatedOrder = data;
+    await cancelQueuedLabel(order.id);
+  } else {
+    const { data, error } = await supabase.from("order").update(fields).eq("id", order.id).select().single();
+    if (error) console.warn(`⚠️ Refund recorded but order ${order.id} totals not updated:`, error.message);
+    else updatedOrder = data;
+  }
+
+  const { data: finalRefund } = await supabase
+    .from("order_refund")
+    .update({ status: "succeeded", stripe_refund_id: stripeRefundId, restock_failures: restockFailures })
+    .eq("id", refundRow.id)
+    .select()
+    .single();
+  const refund = finalRefund || { ...refundRow, status: "succeeded", stripe_refund_id: stripeRefundId };
+
+  if (notify && order.email) {
+    sendEmail(order.email, `Refund for Your Diva Order ${order.id}`, refundEmailHtml(order, refund, priced))
+      .then(() => { if (process.env.NODE_ENV !== 'production') console.log("📧 Refund email sent to", order.email); })
+      .catch((err) => console.error("❌ Failed to send refund email:", err));
+  }
+
+  return { data: { refund, order: updatedOrder, restockFailures }, error: null };
+};
+
+export const getOrderRefunds = async (orderId) => {
+  const { data, error } = await supabase
+    .from("order_refund")
+    .select("*")
+    .eq("order_id", String(orderId))
+    .order("created_at", { ascending: true });
+  return { data: data || [], error };
+};
@@ -0,0 +1,55 @@
+// Putting a canceled/refunded order's units back on the shelf, once per order
+import supabase from "../../supabaseClient.js";
+import { incrementProductQuantity } from "../controllers/productController.js";
+
+/**
+ * Restock every order_item of the order once (guarded by order.restocked_at).
+ * restocked_at is claimed with a conditional update before anything is incremented, so a cancel
+ * racing a refund webhook (or a retried request) restocks only once. Units already handled by a
+ * partial refund or received return (refunded_quantity / restocked_quantity) are skipped.
+ * Returns { success, failed } line counts, plus skipped: true when the order was already restocked.
+ */
+export const restockOrderOnce = async (orderOrId) => {
+  const orderId = typeof orderOrId === "object" ? orderOrId?.id : orderOrId;
+  if (orderId == null) return { success: 0, failed: 0, skipped: true };
+  if (typeof orderOrId === "object" && orderOrId.restocked_at) return { success: 0, failed: 0, skipped: true };
+
+  const { data: claimed, error: claimErr } = await supabase
+    .from("order")
+    .update({ restocked_at: new Date().toISOString() })
+    .eq("id", orderId)
+    .is("restocked_at", null)
+    .select("id");
+  if (claimErr) {
+    console.warn(`⚠️ Could not claim restock for order ${orderId}:`, claimErr);
+    return { success: 0, failed: 0 };
+  }
+  if (!claimed?.length) return { success: 0, failed: 0, skipped: true };
+
+  const { data: items, error } = await supabase
+    .from("order_item")
+    .select("id, product_id, quantity, refunded_quantity, restocked_quantity")
+    .eq("order_id", orderId);
+  if (error) {
+    console.warn("⚠️ Could not fetch order items for restock:", error);
+    // Release the claim so a retry can restock
+    await supabase.from("order").update({ restocked_at: null }).eq("id", orderId);
+    return { success: 0, failed: 0 };
+  }
+  let success = 0;
+  let failed = 0;
+  for (const it of items || []) {
+    const handled = Math.max(Number(it.refunded_quantity || 0), Number(it.restocked_quantity || 0));
+    const qty = Number(it.quantity || 0) - handled;
+    if (qty <= 0) continue;
+    const { error: incErr } = await incrementProductQuantity(it.product_id, qty);
+    if (incErr) {
+      failed++;
+      console.warn("⚠️ Restock failed for product", it.product_id, incErr);
+    } else {
+      success++;
+      if (process.env.NODE_ENV !== 'production') console.log(`🔄 Restocked product ${it.product_id} by ${qty}`);
+    }
+  }
+  return { success, failed };
+};
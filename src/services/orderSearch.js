@@ -0,0 +1,123 @@
+// Admin order search over the order_search view: combinable filters, sorting and cursor pagination
+import supabase from "../../supabaseClient.js";
+import { pickupSummary } from "./pickupScheduling.js";
+
+export const SEARCH_SORTS = ["created_at", "total_amount"];
+export const MAX_SEARCH_LIMIT = 100;
+
+export const ADMIN_ORDER_SELECT = "*, user!fk_user(email), order_item!fk_order(*, product!fk_product(title, price))";
+
+// Drop characters that act as wildcards or separators in PostgREST filter strings
+const term = (v) => String(v ?? "").replace(/[%*,()"\\]/g, " ").trim().toLowerCase();
+// Values inside or() are quoted so timestamps and decimals survive the "." and ":" separators
+const quoted = (v) => `"${String(v).replace(/["\\]/g, "")}"`;
+
+// Opaque cursor: the sort value and id of the last row on the previous page
+export const encodeCursor = (row, sort) => Buffer.from(JSON.stringify([row[sort], row.id_text])).toString("base64url");
+
+export const decodeCursor = (cursor) => {
+  try {
+    const parsed = JSON.parse(Buffer.from(String(cursor), "base64url").toString("utf8"));
+    if (!Array.isArray(parsed) || parsed.length !== 2 || parsed[1] == null) return null;
+    return { value: parsed[0], id: String(parsed[1]) };
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Apply search filters to a query on order_search. Every filter is optional and they combine with AND.
+ * filters: { orderId (prefix), customer (name or email), tracking, product (title or id), from, to,
+ *   minTotal, maxTotal, brandSegment, shippingMethod, status[], paymentStatus[], proofStatus[] }
+ */
+export const applySearchFilters = (query, f = {}) => {
+  let q = query;
+  if (f.orderId) q = q.ilike("id_text", `${term(f.orderId)}%`);
+  if (f.customer) {
+    const t = term(f.customer);
+    q = q.or(`email.ilike.*${t}*,customer_name.ilike.*${t}*`);
+  }
+  if (f.tracking) q = q.ilike("tracking_code", `%${term(f.tracking)}%`);
+  if (f.product) {
+    const t = term(f.product);
+    q = q.or(`product_titles.ilike.*${t}*,product_ids.cs.{${quoted(t)}}`);
+  }
+  if (f.from) q = q.gte("created_at", f.from);
+  if (f.to) q = q.lte("created_at", /^\d{4}-\d{2}-\d{2}$/.test(f.to) ? `${f.to}T23:59:59.999Z` : f.to);
+  if (f.minTotal != null) q = q.gte("total_amount", f.minTotal);
+  if (f.maxTotal != null) q = q.lte("total_amount", f.maxTotal);
+  if (f.brandSegment) q = q.contains("brand_segments", [term(f.brandSegment)]);
+  if (f.shippingMethod) q = q.eq("shipping_method", f.shippingMethod);
+  if (f.status?.length) q = q.in("status", f.status);
+  if (f.paymentStatus?.length) q = q.in("payment_status", f.paymentStatus);
+  if (f.proofStatus?.length) {
+    // "none" = no proof uploaded yet
+    const values = f.proofStatus.filter((s) => s !== "none");
+    const parts = [
+      ...(values.length ? [`payment_proof_status.in.(${values.map(quoted).join(",")})`] : []),
+      ...(f.proofStatus.includes("none") ? ["payment_proof_status.is.null"] : []),
+    ];
+    q = q.or(parts.join(","));
+  }
+  return q;
+};
+
+/**
+ * Run a search. Returns { data: { orders, nextCursor, total }, error }.
+ * Keyset pagination on (sort, id) keeps pages stable while new orders come in.
+ */
+export const searchOrders = async (filters = {}, { sort = "created_at", ascending = false, limit = 25, cursor = null, withTotal = false } = {}) => {
+  let q = applySearchFilters(
+    supabase.from("order_search").select("id, id_text, created_at, total_amount", withTotal ? { count: "exact" } : undefined),
+    filters
+  );
+  if (cursor) {
+    const op = ascending ? "gt" : "lt";
+    const v = quoted(cursor.value);
+    q = q.or(`${sort}.${op}.${v},and(${sort}.eq.${v},id_text.${op}.${quoted(cursor.id)})`);
+  }
+  const { data: hits, count, error } = await q
+    .order(sort, { ascending })
+    .order("id_text", { ascending })
+    .limit(limit + 1);
+  if (error) return { data: null, error };
+
+  const page = hits.slice(0, limit);
+  const nextCursor = hits.length > limit ? encodeCursor(page[page.length - 1], sort) : null;
+  if (!page.length) return { data: { orders: [], nextCursor: null, total: withTotal ? count : undefined }, error: null };
+
+  const { data: rows, error: ordersError } = await supabase
+    .from("order")
+    .select(ADMIN_ORDER_SELECT)
+    .in("id", page.map((h) => h.id));
+  if (ordersError) return { data: null, error: ordersError };
+
+  // .in() doesn't keep our order; put rows back in search order
+  const byId = new Map(rows.map((o) => [String(o.id), o]));
+  const orders = page.map((h) => byId.get(h.id_text)).filter(Boolean);
+  return { data: { orders, nextCursor, total: withTotal ? count : undefined }, error: null };
+};
+
+// Admin list shape shared by the paged list and search (camelCase extras for the dashboard)
+export const toAdminOrder = (order) => {
+  const items = Array.isArray(order.order_item)
+    ? order.order_item.map((oi) => ({
+        productId: oi.product_id,
+        title: oi.product?.title ?? null,
+        quantity: Number(oi.quantity || 0),
+        unitPrice: Number(oi.price || 0),
+        lineTotal: Number(oi.price || 0) * Number(oi.quantity || 0),
+      }))
+    : [];
+
+  return {
+    ...order,
+    customerEmail: order.user?.email || order.email,
+    // normalize DB snake_case to frontend camelCase
+    items,
+    totalAmount: order.total_amount,
+    trackingCode: order.tracking_code,
+    // Where and when a pickup order is collected (null for shipped orders)
+    pickup: pickupSummary(order),
+  };
+};
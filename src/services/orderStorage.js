@@ -0,0 +1,51 @@
+// Supabase Storage helpers for order files (payment proofs, return photos)
+import supabase from "../../supabaseClient.js";
+
+// You can override via env: SUPABASE_ORDERS_BUCKET=divasDB
+export const ordersBucket = () => (process.env.SUPABASE_ORDERS_BUCKET || "divasDB").trim();
+
+export const safeFileName = (name, fallback = "file") =>
+  String(name || fallback).replace(/[^a-zA-Z0-9_.-]/g, "_");
+
+// Ensure the Supabase storage bucket exists (service role key required). No-op if already exists.
+export async function ensureOrdersBucket(bucketName = ordersBucket()) {
+  try {
+    if (!supabase?.storage?.listBuckets) return; // older clients may not support
+    const { data: buckets } = await supabase.storage.listBuckets();
+    const exists = Array.isArray(buckets) && buckets.some((b) => b.name === bucketName);
+    if (!exists && supabase.storage.createBucket) {
+      const { error: cErr } = await supabase.storage.createBucket(bucketName, {
+        public: false,
+        fileSizeLimit: 10 * 1024 * 1024, // 10MB
+      });
+      if (cErr && cErr.status !== 409) {
+        console.warn("⚠️ createBucket failed:", cErr);
+      }
+    }
+  } catch (e) {
+    console.warn("⚠️ ensureOrdersBucket error:", e?.message || e);
+  }
+}
+
+// Upload a multer file to the orders bucket. Returns { data: { path }, error }.
+export async function uploadOrderFile(objectPath, file) {
+  const bucket = ordersBucket();
+  await ensureOrdersBucket(bucket);
+  const { error } = await supabase.storage
+    .from(bucket)
+    .upload(objectPath, file.buffer, { contentType: file.mimetype || "application/octet-stream", upsert: true });
+  if (error) return { data: null, error };
+  return { data: { path: objectPath }, error: null };
+}
+
+// Short-lived signed URL for a stored object (null when it can't be signed)
+export async function signedOrderFileUrl(objectPath, ttlSeconds = 60 * 5) {
+  if (!objectPath) return null;
+  try {
+    const { data, error } = await supabase.storage.from(ordersBucket()).createSignedUrl(objectPath, ttlSeconds);
+    if (error) return null;
+    return data?.signedUrl || null;
+  } catch (_) {
+    return null;
+  }
+}
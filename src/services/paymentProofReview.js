@@ -0,0 +1,149 @@
+// Review of payment proofs (Venmo/Zelle screenshots) uploaded for pay-on-pickup orders.
+// Approving marks the order paid and extends the pickup hold; rejecting asks the customer to re-upload.
+import supabase from "../../supabaseClient.js";
+import sendEmail from "./emailServices.js";
+import { signedOrderFileUrl } from "./orderStorage.js";
+import { pickupSummary } from "./pickupScheduling.js";
+import { ORDER_STATUS } from "./orderLifecycle.js";
+
+const CLIENT_URL = process.env.CLIENT_URL || process.env.FRONTEND_URL || "http://localhost:3000";
+// Paid holds are never auto-canceled; the longer hold also keeps reminders and staff views honest
+const HOLD_EXTENSION_HOURS = Number(process.env.PAYMENT_PROOF_HOLD_EXTENSION_HOURS) > 0 ? Number(process.env.PAYMENT_PROOF_HOLD_EXTENSION_HOURS) : 72;
+// After a rejection the hold runs at least this long, so the customer has time to re-upload
+const REUPLOAD_HOURS = Number(process.env.PAYMENT_PROOF_REUPLOAD_HOURS) > 0 ? Number(process.env.PAYMENT_PROOF_REUPLOAD_HOURS) : 24;
+
+const reviewError = (message, code) => {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+};
+
+const escapeHtml = (s) =>
+  String(s ?? "").replace(/[&<>"']/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[c]);
+
+const notifyCustomer = async (order, decision, reason) => {
+  if (!order.email) return;
+  const html = decision === "approve"
+    ? `
+      <div style="font-family: Arial, sans-serif; padding:16px">
+        <h2 style="color:#d63384">Payment received 💅</h2>
+        <p>Thanks! We confirmed your payment for order <b>${order.id}</b>. Your items are held for pickup${pickupSummary(order)?.when ? ` (<b>${pickupSummary(order).when}</b>)` : ""}.</p>
+      </div>`
+    : `
+      <div style="font-family: Arial, sans-serif; padding:16px">
+        <h2 style="color:#d63384">Please re-upload your payment proof</h2>
+        <p>We couldn't confirm the payment proof for order <b>${order.id}</b>.</p>
+        <p>Reason: ${escapeHtml(reason)}</p>
+        <p>Please upload a new screenshot from <a href="${CLIENT_URL}/orders/${order.id}">your order page</a>, or pay at pickup. Questions? Reply to this email.</p>
+      </div>`;
+  const subject = decision === "approve"
+    ? `Payment confirmed for order ${order.id}`
+    : `Action needed: payment proof for order ${order.id}`;
+  try {
+    await sendEmail(order.email, subject, html);
+  } catch (err) {
+    console.error(`❌ Failed to send payment proof ${decision} email:`, err);
+  }
+};
+
+/**
+ * Approve or reject the submitted proof on an order.
+ * Only orders still awaiting pickup can be reviewed (a canceled hold has been restocked).
+ * The update only applies while the proof is still "submitted" and the order still awaiting
+ * pickup, so two reviewers (or a reviewer and the expiry sweep) can't both act.
+ * Returns { data: order, error } — error.code NOT_FOUND, INVALID, NOT_AWAITING_PICKUP or NOT_SUBMITTED.
+ */
+export const reviewPaymentProof = async (orderId, { decision, reason, actor = {} }) => {
+  if (!["approve", "reject"].includes(decision)) return { data: null, error: reviewError("decision must be approve or reject", "INVALID") };
+  const note = reason ? String(reason).trim().slice(0, 1000) : "";
+  if (decision === "reject" && !note) return { data: null, error: reviewError("reason is required to reject a proof", "INVALID") };
+
+  const { data: order, error } = await supabase.from("order").select("*").eq("id", orderId).maybeSingle();
+  if (error) return { data: null, error };
+  if (!order) return { data: null, error: reviewError("Order not found", "NOT_FOUND") };
+  if (order.status !== ORDER_STATUS.AWAITING_PICKUP) {
+    return { data: order, error: reviewError(`Order is ${order.status || "not awaiting pickup"}; its payment proof can no longer be reviewed`, "NOT_AWAITING_PICKUP") };
+  }
+  const info = order.shipping_info || {};
+  if (info.payment_proof_status !== "submitted") {
+    return { data: order, error: reviewError(`No proof awaiting review (status: ${info.payment_proof_status || "none"})`, "NOT_SUBMITTED") };
+  }
+
+  const now = new Date();
+  const review = {
+    decision,
+    reason: note || null,
+    at: now.toISOString(),
+    by: actor.label || (actor.id != null ? String(actor.id) : null),
+    proof_path: info.payment_proof_path || null,
+  };
+  const next = {
+    ...info,
+    payment_proof_status: decision === "approve" ? "approved" : "rejected",
+    payment_proof_reviewed_at: review.at,
+    payment_proof_reviewed_by: review.by,
+    payment_proof_rejection_reason: decision === "reject" ? note : null,
+    payment_proof_reviews: [...(Array.isArray(info.payment_proof_reviews) ? info.payment_proof_reviews : []), review],
+  };
+  const current = Date.parse(info.pickup?.reservation_expires_at || "");
+  const extended = now.getTime() + (decision === "approve" ? HOLD_EXTENSION_HOURS : REUPLOAD_HOURS) * 60 * 60 * 1000;
+  if (!Number.isFinite(current) || current < extended) {
+    next.pickup = { ...(info.pickup || {}), reservation_expires_at: new Date(extended).toISOString(), hold_extended_at: review.at };
+  }
+  if (decision === "approve") {
+    next.payment_status = "paid";
+    next.paid_at = info.paid_at || review.at;
+    next.pickup_payment_method = info.pickup_payment_method || "payment_proof";
+  } else if ((info.payment_status || "").toLowerCase() !== "paid") {
+    next.payment_status = "unpaid";
+  }
+
+  // A re-upload between our read and this write changes uploaded_at, so the newer proof isn't overwritten
+  let query = supabase
+    .from("order")
+    .update({ shipping_info: next })
+    .eq("id", order.id)
+    .eq("status", ORDER_STATUS.AWAITING_PICKUP)
+    .eq("shipping_info->>payment_proof_status", "submitted");
+  query = info.payment_proof_uploaded_at
+    ? query.eq("shipping_info->>payment_proof_uploaded_at", info.payment_proof_uploaded_at)
+    : query.is("shipping_info->>payment_proof_uploaded_at", null);
+  const { data: updated, error: updErr } = await query.select();
+  if (updErr) return { data: null, error: updErr };
+  if (!updated?.length) {
+    return { data: order, error: reviewError("Order changed meanwhile (proof reviewed or replaced, or hold canceled); reload", "NOT_SUBMITTED") };
+  }
+
+  await notifyCustomer(updated[0], decision, note);
+  return { data: updated[0], error: null };
+};
+
+// Open pickup orders with a proof waiting for review, oldest upload first, with a short-lived link to the file
+export const listSubmittedProofs = async ({ limit = 100 } = {}) => {
+  const { data, error } = await supabase
+    .from("order")
+    .select("id, email, status, total_amount, created_at, shipping_info")
+    .eq("status", ORDER_STATUS.AWAITING_PICKUP)
+    .eq("shipping_info->>payment_proof_status", "submitted")
+    .order("shipping_info->>payment_proof_uploaded_at", { ascending: true })
+    .limit(limit);
+  if (error) return { data: [], error };
+  const queue = await Promise.all(
+    (data || []).map(async (o) => {
+      const info = o.shipping_info || {};
+      return {
+        order_id: o.id,
+        email: o.email,
+        customer_name: info.customer?.name || null,
+        status: o.status,
+        total_amount: o.total_amount,
+        payment_status: info.payment_status || "unpaid",
+        uploaded_at: info.payment_proof_uploaded_at || null,
+        proof_url: (await signedOrderFileUrl(info.payment_proof_path, 60 * 15)) || info.payment_proof_url || null,
+        previous_reviews: info.payment_proof_reviews || [],
+        pickup: pickupSummary(o),
+      };
+    })
+  );
+  return { data: queue, error: null };
+};
@@ -0,0 +1,172 @@
+// QR pickup check-in. Each pickup order carries a random nonce; the customer's code is the order id
+// and nonce signed with PICKUP_CODE_SECRET. Completing check-in consumes the code, records payment
+// and marks the order picked up in one database call (complete_pickup_check_in).
+import crypto from "crypto";
+import QRCode from "qrcode";
+import supabase from "../../supabaseClient.js";
+import { ORDER_STATUS } from "./orderLifecycle.js";
+import { pickupSummary } from "./pickupScheduling.js";
+
+export const PICKUP_PAYMENT_METHODS = ["cash", "card_in_person", "venmo", "zelle"];
+// Paid through an app: staff need the uploaded proof or a transaction reference
+const PROOF_METHODS = ["venmo", "zelle"];
+
+const secret = () => {
+  const key = process.env.PICKUP_CODE_SECRET || process.env.JWT_SECRET;
+  if (!key) throw new Error("PICKUP_CODE_SECRET (or JWT_SECRET) must be set to sign pickup codes");
+  return key;
+};
+
+const sign = (orderId, nonce) =>
+  crypto.createHmac("sha256", secret()).update(`${orderId}.${nonce}`).digest("base64url");
+
+export const newPickupNonce = () => crypto.randomBytes(12).toString("base64url");
+
+// "<order id, base64url>.<nonce>.<signature>"
+export const pickupCode = (orderId, nonce) =>
+  `${Buffer.from(String(orderId)).toString("base64url")}.${nonce}.${sign(orderId, nonce)}`;
+
+// Returns { orderId, nonce } for a well-signed code, otherwise null
+export const parsePickupCode = (code) => {
+  const parts = String(code || "").trim().split(".");
+  if (parts.length !== 3) return null;
+  const [encodedId, nonce, signature] = parts;
+  const orderId = Buffer.from(encodedId, "base64url").toString("utf8");
+  if (!orderId || !nonce) return null;
+  const expected = Buffer.from(sign(orderId, nonce));
+  const given = Buffer.from(signature);
+  if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) return null;
+  return { orderId, nonce };
+};
+
+// Inline PNG for emails: reference it as <img src="cid:pickup-qr">
+export const pickupQrAttachment = async (code) => ({
+  filename: "pickup-code.png",
+  content: await QRCode.toBuffer(code, { width: 280, margin: 1 }),
+  contentType: "image/png",
+  cid: "pickup-qr",
+});
+
+export const pickupQrHtml = () => `
+  <p>Show this code at pickup:</p>
+  <p><img src="cid:pickup-qr" alt="Pickup QR code" width="200" height="200" style="display:block"></p>`;
+
+const codeError = (message, code) => {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+};
+
+// Load and check the order behind a code. error.code: INVALID_CODE, NOT_FOUND, USED, NOT_AWAITING
+const loadOrderForCode = async (code) => {
+  const parsed = parsePickupCode(code);
+  if (!parsed) return { data: null, error: codeError("Pickup code not recognized", "INVALID_CODE") };
+  const { data: order, error } = await supabase
+    .from("order")
+    .select("*, order_item!fk_order(*, product!fk_product(title, price))")
+    .eq("id", parsed.orderId)
+    .maybeSingle();
+  if (error) return { data: null, error };
+  if (!order) return { data: null, error: codeError("Order not found", "NOT_FOUND") };
+  if (order.pickup_checked_in_at) {
+    return { data: order, error: codeError(`Already picked up at ${order.pickup_checked_in_at}`, "USED") };
+  }
+  if (order.pickup_code_nonce !== parsed.nonce) {
+    return { data: order, error: codeError("This pickup code has been replaced by a newer one", "INVALID_CODE") };
+  }
+  if (order.status !== ORDER_STATUS.AWAITING_PICKUP) {
+    return { data: order, error: codeError(`Order is ${order.status}, not awaiting pickup`, "NOT_AWAITING") };
+  }
+  return { data: { order, nonce: parsed.nonce }, error: null };
+};
+
+// An uploaded proof backs a venmo/zelle payment unless an admin rejected it
+const hasUsableProof = (info = {}) =>
+  Boolean(info.payment_proof_path || info.payment_proof_url) && info.payment_proof_status !== "rejected";
+
+// What staff see after scanning
+const checkInView = (order) => {
+  const info = order.shipping_info || {};
+  const paid = (info.payment_status || "").toLowerCase() === "paid";
+  return {
+    order_id: order.id,
+    status: order.status,
+    customer: { name: info.customer?.name || info.name || null, email: order.email, phone: info.customer?.phone || null },
+    items: (order.order_item || []).map((it) => ({
+      product_id: it.product_id,
+      title: it.product?.title || null,
+      quantity: Number(it.quantity || 0),
+      unit_price: Number(it.price || 0),
+    })),
+    total_amount: Number(order.total_amount || 0),
+    amount_due: paid ? 0 : Number(order.total_amount || 0),
+    payment_status: info.payment_status || "unpaid",
+    payment_proof_status: info.payment_proof_status || null,
+    has_payment_proof: hasUsableProof(info),
+    pickup: pickupSummary(order),
+  };
+};
+
+export const verifyPickupCode = async (code) => {
+  const { data, error } = await loadOrderForCode(code);
+  if (error) return { data: error.code === "USED" || error.code === "NOT_AWAITING" ? checkInView(data) : null, error };
+  return { data: checkInView(data.order), error: null };
+};
+
+/**
+ * Consume the code: record payment (when not already paid) and mark the order picked up.
+ * Returns { data: view, error } — error.code as in verifyPickupCode plus PAYMENT_REQUIRED / INVALID.
+ */
+export const completePickupCheckIn = async (code, { paymentMethod, reference, actor = {} } = {}) => {
+  const { data, error } = await loadOrderForCode(code);
+  if (error) return { data: null, error };
+  const { order, nonce } = data;
+  const info = order.shipping_info || {};
+  const paid = (info.payment_status || "").toLowerCase() === "paid";
+
+  const method = paymentMethod ? String(paymentMethod).toLowerCase() : null;
+  if (method && !PICKUP_PAYMENT_METHODS.includes(method)) {
+    return { data: null, error: codeError(`paymentMethod must be one of: ${PICKUP_PAYMENT_METHODS.join(", ")}`, "INVALID") };
+  }
+  if (!paid && !method) {
+    return { data: null, error: codeError("Order is unpaid; paymentMethod is required", "PAYMENT_REQUIRED") };
+  }
+  const ref = reference ? String(reference).trim().slice(0, 200) : null;
+  if (!paid && PROOF_METHODS.includes(method) && !ref && !hasUsableProof(info)) {
+    const message = info.payment_proof_status === "rejected"
+      ? `The uploaded proof was rejected; ${method} payments need a transaction reference`
+      : `${method} payments need an uploaded proof or a transaction reference`;
+    return { data: null, error: codeError(message, "PAYMENT_REQUIRED") };
+  }
+
+  const { data: updated, error: rpcErr } = await supabase.rpc("complete_pickup_check_in", {
+    p_order_id: String(order.id),
+    p_nonce: nonce,
+    p_payment_method: paid ? null : method,
+    p_payment_reference: ref,
+    p_actor_id: actor.id != null ? String(actor.id) : null,
+    p_actor_label: actor.label || null,
+  });
+  if (rpcErr) {
+    if (/pickup code not valid/i.test(rpcErr.message || "")) {
+      return { data: null, error: codeError("Pickup code was just used or the order changed; scan again", "USED") };
+    }
+    return { data: null, error: rpcErr };
+  }
+  return { data: checkInView({ ...updated, order_item: order.order_item }), error: null };
+};
+
+// New nonce (old codes stop working). Returns { data: { order, code }, error }
+export const rotatePickupCode = async (orderId) => {
+  const nonce = newPickupNonce();
+  const { data: order, error } = await supabase
+    .from("order")
+    .update({ pickup_code_nonce: nonce })
+    .eq("id", orderId)
+    .eq("status", ORDER_STATUS.AWAITING_PICKUP)
+    .select("id, email, total_amount, shipping_info")
+    .maybeSingle();
+  if (error) return { data: null, error };
+  if (!order) return { data: null, error: codeError("Order not found or not awaiting pickup", "NOT_FOUND") };
+  return { data: { order, code: pickupCode(order.id, nonce) }, error: null };
+};
@@ -0,0 +1,175 @@
+// Pickup hold notifications: a reminder ~24h before reservation_expires_at, a final warning a few
+// hours before, and a notice once an expired hold is auto-canceled. Each send is claimed on the
+// order (pickup_*_sent_at) before the email goes out, so concurrent runs never send twice.
+import supabase from "../../supabaseClient.js";
+import sendEmail from "./emailServices.js";
+import { ORDER_STATUS } from "./orderLifecycle.js";
+import { pickupSummary } from "./pickupScheduling.js";
+
+const HOUR_MS = 60 * 60 * 1000;
+const REMINDER_HOURS = Number(process.env.PICKUP_REMINDER_HOURS) > 0 ? Number(process.env.PICKUP_REMINDER_HOURS) : 24;
+const FINAL_WARNING_HOURS = Number(process.env.PICKUP_FINAL_WARNING_HOURS) > 0 ? Number(process.env.PICKUP_FINAL_WARNING_HOURS) : 2;
+const ADMIN_EMAIL = process.env.ADMIN_EMAIL || "admin@thedivafactory.com";
+
+const expiresAtOf = (order) => order?.shipping_info?.pickup?.reservation_expires_at || null;
+const isPaid = (order) => (order?.shipping_info?.payment_status || "").toLowerCase() === "paid";
+const money = (n) => `$${Number(n || 0).toFixed(2)}`;
+const formatExpiry = (order) => {
+  const tz = order?.shipping_info?.pickup?.timezone || "America/Los_Angeles";
+  return new Date(expiresAtOf(order)).toLocaleString("en-US", { timeZone: tz, weekday: "short", month: "short", day: "numeric", hour: "numeric", minute: "2-digit" });
+};
+
+// Same contact the pickup confirmation gave: the location's, falling back to the shop admin
+const contactHtml = (order) => {
+  const p = pickupSummary(order) || {};
+  const email = p.contact_email || ADMIN_EMAIL;
+  return `<a href="mailto:${email}">${email}</a>${p.contact_phone ? ` / ${p.contact_phone}` : ""}`;
+};
+
+const wrap = (order, title, body) => `
+  <div style="font-family: Arial, sans-serif; padding:16px">
+    <h2 style="color:#d63384">${title}</h2>
+    ${body}
+    <p>Questions? Reply to this email or contact ${contactHtml(order)}.</p>
+  </div>`;
+
+const whereWhenHtml = (order) => {
+  const p = pickupSummary(order) || {};
+  const place = [p.location_name, p.event_title, p.address].filter(Boolean).join(" — ");
+  return `${p.when ? `<p>Pickup time: <b>${p.when}</b></p>` : ""}${place ? `<p>Location: <b>${place}</b></p>` : ""}`;
+};
+
+const TEMPLATES = {
+  reminder: (order) => ({
+    subject: `Reminder: your Diva Nails pickup (order ${order.id})`,
+    html: wrap(
+      order,
+      "See you soon 💅",
+      `<p>Your pickup order <b>${order.id}</b> is waiting for you.</p>${whereWhenHtml(order)}
+       ${isPaid(order) ? "<p>Your order is paid — just bring your order number.</p>" : `<p>Amount due at pickup: <b>${money(order.total_amount)}</b></p>`}
+       <p>Your hold is kept until <b>${formatExpiry(order)}</b>.</p>`
+    ),
+  }),
+  final_warning: (order) => ({
+    subject: `Last call: your pickup hold expires soon (order ${order.id})`,
+    html: wrap(
+      order,
+      "Your pickup hold expires soon",
+      `<p>We haven't seen you yet for order <b>${order.id}</b>.</p>${whereWhenHtml(order)}
+       <p>If it isn't picked up and paid by <b>${formatExpiry(order)}</b>, the hold will be canceled and the items released.</p>
+       <p>Running late? Reply to this email and we'll try to help.</p>`
+    ),
+  }),
+  expiry_notice: (order) => ({
+    subject: `Your pickup hold was canceled (order ${order.id})`,
+    html: wrap(
+      order,
+      "Pickup hold canceled",
+      `<p>Your pickup order <b>${order.id}</b> wasn't collected by <b>${formatExpiry(order)}</b>, so we canceled it and returned the items to stock.</p>
+       <p>You haven't been charged. You're welcome to place a new order any time.</p>`
+    ),
+  }),
+};
+
+const SENT_COLUMN = {
+  reminder: "pickup_reminder_sent_at",
+  final_warning: "pickup_final_warning_sent_at",
+  expiry_notice: "pickup_expiry_notice_sent_at",
+};
+
+/**
+ * Send one notification kind for an order at most once. The timestamp is claimed with a conditional
+ * update first; if the email fails the claim is released so the next run retries.
+ * Returns true when this call sent the email.
+ */
+export const sendPickupNotification = async (order, kind) => {
+  const column = SENT_COLUMN[kind];
+  if (!column || !order?.email) return false;
+  const { data: claimed, error } = await supabase
+    .from("order")
+    .update({ [column]: new Date().toISOString() })
+    .eq("id", order.id)
+    .is(column, null)
+    .select("id");
+  if (error) {
+    console.warn(`⚠️ Could not claim ${kind} for order ${order.id}:`, error.message || error);
+    return false;
+  }
+  if (!claimed?.length) return false; // already sent (or being sent) by another run
+
+  const { subject, html } = TEMPLATES[kind](order);
+  try {
+    await sendEmail(order.email, subject, html);
+    if (process.env.NODE_ENV !== 'production') console.log(`📧 Pickup ${kind} sent for order ${order.id}`);
+    return true;
+  } catch (err) {
+    console.error(`❌ Pickup ${kind} email failed for order ${order.id}:`, err);
+    await supabase.from("order").update({ [column]: null }).eq("id", order.id);
+    return false;
+  }
+};
+
+// Called when an expired hold has been canceled and restocked
+export const sendPickupExpiryNotice = (order) => sendPickupNotification(order, "expiry_notice");
+
+/**
+ * Send due reminders and final warnings for open pickup holds. Returns { reminders, warnings }.
+ * The 24h reminder is skipped for holds booked less than a day ahead (the confirmation covers it),
+ * and paid orders get no expiry warning since paid holds are never auto-canceled.
+ */
+export const processPickupReminders = async ({ now = new Date() } = {}) => {
+  const nowIso = now.toISOString();
+  const horizonIso = new Date(now.getTime() + REMINDER_HOURS * HOUR_MS).toISOString();
+  const { data: orders, error } = await supabase
+    .from("order")
+    .select("id, email, status, total_amount, created_at, shipping_info, pickup_reminder_sent_at, pickup_final_warning_sent_at")
+    .eq("status", ORDER_STATUS.AWAITING_PICKUP)
+    .contains("shipping_info", { shipping_method: "local_pickup" })
+    .gt("shipping_info->pickup->>reservation_expires_at", nowIso)
+    .lte("shipping_info->pickup->>reservation_expires_at", horizonIso)
+    .or("pickup_reminder_sent_at.is.null,pickup_final_warning_sent_at.is.null")
+    .limit(200);
+  if (error) throw error;
+
+  const summary = { reminders: 0, warnings: 0 };
+  for (const order of orders || []) {
+    const expiresMs = Date.parse(expiresAtOf(order));
+    if (!Number.isFinite(expiresMs)) continue;
+    const leftMs = expiresMs - now.getTime();
+    const bookedAheadMs = expiresMs - Date.parse(order.created_at);
+
+    if (leftMs <= FINAL_WARNING_HOURS * HOUR_MS) {
+      // Holds with a proof awaiting review aren't auto-canceled, so there's nothing to warn about
+      const awaitingReview = order.shipping_info?.payment_proof_status === "submitted";
+      if (!order.pickup_final_warning_sent_at && !isPaid(order) && !awaitingReview && bookedAheadMs > FINAL_WARNING_HOURS * HOUR_MS) {
+        if (await sendPickupNotification(order, "final_warning")) summary.warnings++;
+      }
+    } else if (!order.pickup_reminder_sent_at && bookedAheadMs > REMINDER_HOURS * HOUR_MS) {
+      if (await sendPickupNotification(order, "reminder")) summary.reminders++;
+    }
+  }
+  return summary;
+};
+
+// In-process worker. PICKUP_REMINDER_INTERVAL_MS=0 disables it (e.g. when a separate cron calls the endpoint).
+export const startPickupReminderWorker = () => {
+  const raw = process.env.PICKUP_REMINDER_INTERVAL_MS;
+  const intervalMs = raw === undefined || raw === "" ? 5 * 60 * 1000 : Number(raw);
+  if (!Number.isFinite(intervalMs) || intervalMs <= 0) return null;
+
+  let running = false;
+  const timer = setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      const summary = await processPickupReminders();
+      if ((summary.reminders || summary.warnings) && process.env.NODE_ENV !== 'production') console.log("⏰ Pickup reminders run:", summary);
+    } catch (e) {
+      console.warn("⚠️ Pickup reminders run failed:", e?.message || e);
+    } finally {
+      running = false;
+    }
+  }, intervalMs);
+  timer.unref?.();
+  return timer;
+};
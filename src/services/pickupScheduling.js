@@ -0,0 +1,254 @@
+// Pickup appointments: open slots from a location's weekly hours, blackout dates and capacity,
+// and atomic booking of a slot for a pickup order. Times are stored in UTC and laid out in the
+// location's timezone.
+import supabase from "../../supabaseClient.js";
+
+export const LOCATION_SELECT = "*, pickup_hours(*), pickup_blackout(*), popup_events(id, title, description, emoji)";
+// Orders in these statuses no longer hold their slot
+const RELEASED_STATUSES = ["Canceled", "Refunded"];
+
+// Offset (ms) between the wall clock in `timeZone` and UTC at a given instant
+const tzOffsetMs = (date, timeZone) => {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      hourCycle: "h23",
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+      second: "2-digit",
+    })
+      .formatToParts(date)
+      .map((p) => [p.type, p.value])
+  );
+  const asUtc = Date.UTC(+parts.year, +parts.month - 1, +parts.day, +parts.hour, +parts.minute, +parts.second);
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+// Wall-clock time on a calendar day in `timeZone` → Date (second pass settles DST edges)
+const zonedToUtc = (ymd, minutes, timeZone) => {
+  const [y, m, d] = ymd.split("-").map(Number);
+  const guess = Date.UTC(y, m - 1, d, 0, minutes);
+  const first = guess - tzOffsetMs(new Date(guess), timeZone);
+  return new Date(guess - tzOffsetMs(new Date(first), timeZone));
+};
+
+// Calendar date (YYYY-MM-DD) of an instant in `timeZone`
+export const zonedDate = (date, timeZone) =>
+  new Intl.DateTimeFormat("en-CA", { timeZone, year: "numeric", month: "2-digit", day: "2-digit" }).format(date);
+
+const addDays = (ymd, n) => {
+  const [y, m, d] = ymd.split("-").map(Number);
+  return new Date(Date.UTC(y, m - 1, d + n)).toISOString().slice(0, 10);
+};
+const weekdayOf = (ymd) => new Date(`${ymd}T00:00:00Z`).getUTCDay();
+const toMinutes = (time) => {
+  const [h, m] = String(time || "").split(":").map(Number);
+  return h * 60 + (m || 0);
+};
+const slotKey = (iso) => new Date(iso).toISOString();
+
+// "Tue, Oct 20, 10:00 AM – 10:30 AM" in the location's timezone
+export const formatSlot = (slot, timeZone) => {
+  if (!slot?.start) return "";
+  const day = new Date(slot.start).toLocaleDateString("en-US", { timeZone, weekday: "short", month: "short", day: "numeric" });
+  const time = (iso) => new Date(iso).toLocaleTimeString("en-US", { timeZone, hour: "numeric", minute: "2-digit" });
+  return `${day}, ${time(slot.start)} – ${time(slot.end)}`;
+};
+
+// Past popup events stay in the table for their orders but are no longer offered
+export const isLocationOpenForBooking = (location, now = new Date()) =>
+  Boolean(location?.active) && (!location.event_date || location.event_date >= zonedDate(now, location.timezone || "America/Los_Angeles"));
+
+/**
+ * Where and when an order is picked up, from the snapshot stored in shipping_info.pickup at booking.
+ * Null for shipped orders; legacy holds (no slot) return just the window text.
+ */
+export const pickupSummary = (order) => {
+  const info = order?.shipping_info;
+  if (info?.shipping_method !== "local_pickup") return null;
+  const p = info.pickup || {};
+  const slot = p.slot_start ? { start: p.slot_start, end: p.slot_end } : null;
+  return {
+    location_id: p.location_id || null,
+    location_name: p.location_name || null,
+    address: p.address || null,
+    event_title: p.event_title || null,
+    event_date: p.event_date || null,
+    slot_start: p.slot_start || null,
+    slot_end: p.slot_end || null,
+    when: slot ? formatSlot(slot, p.timezone || "America/Los_Angeles") : p.window_hours || null,
+    contact_email: p.contact_email || null,
+    contact_phone: p.contact_phone || null,
+    reservation_expires_at: p.reservation_expires_at || null,
+  };
+};
+
+// Expiry for a booked hold: slot end plus the location's grace period
+export const holdExpiresAt = (location, slot) =>
+  new Date(Date.parse(slot.end) + Number(location.hold_grace_minutes || 0) * 60 * 1000);
+
+/**
+ * Lay out a location's slots for `days` calendar days starting at `fromDate` (YYYY-MM-DD, location time).
+ * booked: Map of slot start ISO → active bookings. Past slots and slots inside the lead time are left out.
+ * Returns [{ start, end, remaining }] with full slots included (remaining 0).
+ */
+export const computeSlots = (location, { fromDate, days, booked = new Map(), now = new Date() }) => {
+  const tz = location.timezone || "America/Los_Angeles";
+  const step = Number(location.slot_minutes || 30);
+  const earliest = now.getTime() + Number(location.min_lead_minutes || 0) * 60 * 1000;
+  const horizon = now.getTime() + Number(location.booking_horizon_days || 14) * 24 * 60 * 60 * 1000;
+  const blackouts = location.pickup_blackout || [];
+  const slots = [];
+
+  for (let i = 0; i < days; i++) {
+    const ymd = addDays(fromDate, i);
+    // Popup event locations only open on the event day
+    if (location.event_date && ymd !== location.event_date) continue;
+    if (blackouts.some((b) => ymd >= b.starts_on && ymd <= b.ends_on)) continue;
+    const hours = (location.pickup_hours || [])
+      .filter((h) => Number(h.weekday) === weekdayOf(ymd))
+      .sort((a, b) => toMinutes(a.opens_at) - toMinutes(b.opens_at));
+    for (const h of hours) {
+      const close = toMinutes(h.closes_at);
+      for (let m = toMinutes(h.opens_at); m + step <= close; m += step) {
+        const start = zonedToUtc(ymd, m, tz);
+        if (start.getTime() < earliest || start.getTime() > horizon) continue;
+        const key = start.toISOString();
+        slots.push({
+          start: key,
+          end: zonedToUtc(ymd, m + step, tz).toISOString(),
+          remaining: Math.max(0, Number(location.slot_capacity || 1) - (booked.get(key) || 0)),
+        });
+      }
+    }
+  }
+  return slots;
+};
+
+// Active bookings per slot start for a location between two instants
+const bookedCounts = async (locationId, fromIso, toIso) => {
+  const { data: bookings, error } = await supabase
+    .from("pickup_booking")
+    .select("order_id, slot_start")
+    .eq("location_id", locationId)
+    .gte("slot_start", fromIso)
+    .lt("slot_start", toIso);
+  if (error) throw error;
+  if (!bookings?.length) return new Map();
+
+  const { data: orders, error: ordersErr } = await supabase
+    .from("order")
+    .select("id, status")
+    .in("id", bookings.map((b) => b.order_id));
+  if (ordersErr) throw ordersErr;
+  const live = new Set((orders || []).filter((o) => !RELEASED_STATUSES.includes(o.status)).map((o) => String(o.id)));
+
+  const counts = new Map();
+  for (const b of bookings) {
+    if (!live.has(String(b.order_id))) continue;
+    const key = slotKey(b.slot_start);
+    counts.set(key, (counts.get(key) || 0) + 1);
+  }
+  return counts;
+};
+
+export const getPickupLocation = async (locationId, { activeOnly = false } = {}) => {
+  let query = supabase.from("pickup_location").select(LOCATION_SELECT).eq("id", locationId);
+  if (activeOnly) query = query.eq("active", true);
+  const { data, error } = await query.maybeSingle();
+  return { data, error };
+};
+
+// activeOnly: what customers can book right now (active, and popup events not yet over)
+export const listPickupLocations = async ({ activeOnly = true } = {}) => {
+  let query = supabase
+    .from("pickup_location")
+    .select(LOCATION_SELECT)
+    .order("event_date", { ascending: true, nullsFirst: true })
+    .order("name", { ascending: true });
+  if (activeOnly) query = query.eq("active", true);
+  const { data, error } = await query;
+  return { data: activeOnly ? (data || []).filter((l) => isLocationOpenForBooking(l)) : data || [], error };
+};
+
+// Slots with their remaining capacity for one location
+export const slotsForLocation = async (location, { fromDate, days } = {}) => {
+  const tz = location.timezone || "America/Los_Angeles";
+  const start = fromDate || zonedDate(new Date(), tz);
+  const span = Math.min(Number(days) || Number(location.booking_horizon_days || 14), Number(location.booking_horizon_days || 14));
+  const windowStart = zonedToUtc(start, 0, tz).toISOString();
+  const windowEnd = zonedToUtc(addDays(start, span), 0, tz).toISOString();
+  const booked = await bookedCounts(location.id, windowStart, windowEnd);
+  return computeSlots(location, { fromDate: start, days: span, booked });
+};
+
+/**
+ * Check that `slotStart` is a bookable slot at the location right now.
+ * Returns { data: { location, slot, expiresAt }, error } — error.code NOT_FOUND, INVALID_SLOT or SLOT_FULL.
+ */
+export const resolvePickupSlot = async (locationId, slotStart) => {
+  const { data: location, error } = await getPickupLocation(locationId, { activeOnly: true });
+  if (error) return { data: null, error };
+  if (!location || !isLocationOpenForBooking(location)) {
+    const err = new Error("Pickup location not found");
+    err.code = "NOT_FOUND";
+    return { data: null, error: err };
+  }
+  const startMs = Date.parse(slotStart);
+  if (!Number.isFinite(startMs)) {
+    const err = new Error("slot_start must be an ISO date-time");
+    err.code = "INVALID_SLOT";
+    return { data: null, error: err };
+  }
+  const tz = location.timezone || "America/Los_Angeles";
+  const ymd = zonedDate(new Date(startMs), tz);
+  const dayStart = zonedToUtc(ymd, 0, tz).toISOString();
+  const dayEnd = zonedToUtc(addDays(ymd, 1), 0, tz).toISOString();
+  const booked = await bookedCounts(location.id, dayStart, dayEnd);
+  const slot = computeSlots(location, { fromDate: ymd, days: 1, booked }).find((s) => Date.parse(s.start) === startMs);
+  if (!slot) {
+    const err = new Error("That pickup time is not available. Please choose another slot.");
+    err.code = "INVALID_SLOT";
+    return { data: null, error: err };
+  }
+  if (slot.remaining <= 0) {
+    const err = new Error("That pickup slot is full. Please choose another time.");
+    err.code = "SLOT_FULL";
+    return { data: null, error: err };
+  }
+  return { data: { location, slot, expiresAt: holdExpiresAt(location, slot) }, error: null };
+};
+
+// Claim the slot for an order (capacity enforced in the database). error.code SLOT_FULL when taken meanwhile.
+export const bookPickupSlot = async (location, slot, orderId) => {
+  const { error } = await supabase.rpc("book_pickup_slot", {
+    p_location_id: location.id,
+    p_order_id: String(orderId),
+    p_slot_start: slot.start,
+    p_slot_end: slot.end,
+    p_capacity: Number(location.slot_capacity || 1),
+  });
+  if (!error) return { error: null };
+  if (/slot full/i.test(error.message || "")) {
+    const err = new Error("That pickup slot is full. Please choose another time.");
+    err.code = "SLOT_FULL";
+    return { error: err };
+  }
+  return { error };
+};
+
+// Bookings for a location on one calendar day (staff prep list)
+export const bookingsForDay = async (location, ymd) => {
+  const tz = location.timezone || "America/Los_Angeles";
+  const { data, error } = await supabase
+    .from("pickup_booking")
+    .select("order_id, slot_start, slot_end")
+    .eq("location_id", location.id)
+    .gte("slot_start", zonedToUtc(ymd, 0, tz).toISOString())
+    .lt("slot_start", zonedToUtc(addDays(ymd, 1), 0, tz).toISOString())
+    .order("slot_start", { ascending: true });
+  return { data: data || [], error };
+};
@@ -0,0 +1,142 @@
+// Promotion engine (database-backed automatic discounts)
+import supabase from "../../supabaseClient.js";
+
+export const PROMOTION_TYPES = new Set(["percent", "fixed"]);
+
+const lower = (v) => String(v || "").trim().toLowerCase();
+
+// Fetch promotions that are switched on and whose window contains `now`
+export const getActivePromotions = async (now = new Date()) => {
+  const nowIso = now.toISOString();
+  const { data, error } = await supabase
+    .from("promotion")
+    .select("*")
+    .eq("active", true)
+    .or(`starts_at.is.null,starts_at.lte.${nowIso}`)
+    .or(`ends_at.is.null,ends_at.gt.${nowIso}`);
+  if (error) throw error;
+  return data || [];
+};
+
+const isWithinWindow = (promo, nowMs) => {
+  const start = promo.starts_at ? Date.parse(promo.starts_at) : null;
+  const end = promo.ends_at ? Date.parse(promo.ends_at) : null;
+  if (Number.isFinite(start) && nowMs < start) return false;
+  if (Number.isFinite(end) && nowMs >= end) return false;
+  return true;
+};
+
+// A promotion with no targeting applies to every line
+const lineMatches = (promo, line) => {
+  const brands = (promo.brand_segments || []).map(lower).filter(Boolean);
+  const categories = (promo.category_slugs || []).map(lower).filter(Boolean);
+  const productIds = (promo.product_ids || []).map(String).filter(Boolean);
+  if (!brands.length && !categories.length && !productIds.length) return true;
+  return (
+    brands.includes(lower(line.brandSegment)) ||
+    categories.includes(lower(line.categorySlug)) ||
+    productIds.includes(String(line.id))
+  );
+};
+
+// Higher priority first; ties broken by creation order so results are stable
+const byPrecedence = (a, b) =>
+  (Number(b.priority) || 0) - (Number(a.priority) || 0) ||
+  String(a.created_at || "").localeCompare(String(b.created_at || ""));
+
+/**
+ * Evaluate promotions against priced cart lines.
+ *
+ * lines: [{ id, quantity, unitCents, brandSegment, categorySlug }]
+ *
+ * Precedence rules:
+ * - promotions are walked in priority order (highest first)
+ * - the first applicable promotion wins; if it is not stackable nothing else applies
+ * - if it is stackable, later stackable promotions are applied on top of the
+ *   already-discounted unit prices
+ * - unless `combinable_with_codes` is set, a valid manual discount code
+ *   suppresses the promotion (manual code takes precedence)
+ *
+ * Returns per-line discounted unit prices plus a summary of what was applied.
+ */
+export const evaluatePromotions = ({ lines = [], promotions = [], hasDiscountCode = false, now = new Date() } = {}) => {
+  const nowMs = now.getTime();
+  const subtotalCents = lines.reduce((acc, l) => acc + l.unitCents * l.quantity, 0);
+  const unitCents = lines.map((l) => l.unitCents);
+  const applied = [];
+  const skipped = [];
+
+  const candidates = promotions
+    .filter((p) => p && p.active !== false && PROMOTION_TYPES.has(lower(p.discount_type)))
+    .sort(byPrecedence);
+
+  for (const promo of candidates) {
+    const reason =
+      !isWithinWindow(promo, nowMs) ? "outside_window"
+      : hasDiscountCode && !promo.combinable_with_codes ? "discount_code_present"
+      : subtotalCents < Math.round(Number(promo.min_subtotal || 0) * 100) ? "below_min_subtotal"
+      : !lines.some((l) => lineMatches(promo, l)) ? "no_eligible_items"
+      : applied.length && !promo.stackable ? "not_stackable"
+      : null;
+    if (reason) {
+      skipped.push({ id: promo.id, name: promo.name, reason });
+      continue;
+    }
+
+    const eligible = lines.map((l, i) => (lineMatches(promo, l) ? i : -1)).filter((i) => i >= 0);
+    const amount = Number(promo.amount) || 0;
+    let promoCents = 0;
+
+    if (lower(promo.discount_type) === "percent") {
+      const rate = Math.min(Math.max(amount, 0), 100) / 100;
+      for (const i of eligible) {
+        const off = Math.round(unitCents[i] * rate);
+        unitCents[i] -= off;
+        promoCents += off * lines[i].quantity;
+      }
+    } else {
+      // Fixed amount: spread across eligible lines in proportion to their value,
+      // rounded down to whole cents per unit so Stripe unit amounts stay integral.
+      const eligibleCents = eligible.reduce((acc, i) => acc + unitCents[i] * lines[i].quantity, 0);
+      const fixedCents = Math.min(Math.round(amount * 100), eligibleCents);
+      for (const i of eligible) {
+        if (!eligibleCents) break;
+        const share = (unitCents[i] * lines[i].quantity) / eligibleCents;
+        const perUnit = Math.min(unitCents[i], Math.floor((fixedCents * share) / lines[i].quantity));
+        unitCents[i] -= perUnit;
+        promoCents += perUnit * lines[i].quantity;
+      }
+    }
+
+    applied.push({
+      id: promo.id,
+      name: promo.name,
+      discount_type: lower(promo.discount_type),
+      amount,
+      discount_cents: promoCents,
+    });
+
+    if (!promo.stackable) break;
+  }
+
+  const discountCents = applied.reduce((acc, p) => acc + p.discount_cents, 0);
+  return {
+    lines: lines.map((l, i) => ({ ...l, discountedUnitCents: unitCents[i] })),
+    applied,
+    skipped,
+    subtotalCents,
+    discountCents,
+  };
+};
+
+// Convenience wrapper: load active promotions and evaluate. Failures are non-fatal
+// (checkout proceeds at full price) so a bad promotion row never blocks a sale.
+export const applyActivePromotions = async ({ lines, hasDiscountCode = false, now = new Date() } = {}) => {
+  let promotions = [];
+  try {
+    promotions = await getActivePromotions(now);
+  } catch (e) {
+    console.warn("⚠️ Could not load promotions:", e?.message || e);
+  }
+  return evaluatePromotions({ lines, promotions, hasDiscountCode, now });
+};
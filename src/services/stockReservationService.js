@@ -0,0 +1,202 @@
+// Short-lived stock holds for open Stripe Checkout sessions
+import crypto from "crypto";
+import supabase from "../../supabaseClient.js";
+
+// The Stripe session expires together with the hold. Stripe requires expires_at to be
+// 30 minutes to 24 hours out, so the TTL is clamped with a minute of headroom.
+export const STOCK_HOLD_TTL_MINUTES = (() => {
+  const v = Number(process.env.STOCK_HOLD_TTL_MINUTES);
+  return Number.isFinite(v) ? Math.min(Math.max(v, 31), 24 * 60 - 1) : 35;
+})();
+
+// Sum of active, unexpired holds per product id.
+// strict: throw on a query error instead of reporting nothing held (used when placing a hold)
+export const getReservedQuantities = async (productIds = [], { strict = false } = {}) => {
+  const ids = Array.from(new Set(productIds.map(String).filter(Boolean)));
+  const reserved = new Map();
+  if (!ids.length) return reserved;
+  try {
+    const { data, error } = await supabase
+      .from("stock_reservation")
+      .select("product_id, quantity")
+      .eq("status", "active")
+      .gt("expires_at", new Date().toISOString())
+      .in("product_id", ids);
+    if (error) throw error;
+    for (const row of data || []) {
+      const pid = String(row.product_id);
+      reserved.set(pid, (reserved.get(pid) || 0) + Number(row.quantity || 0));
+    }
+  } catch (e) {
+    if (strict) throw e;
+    // Fail open for listings: a missing table or transient error should not block browsing
+    console.warn("⚠️ getReservedQuantities failed:", e?.message || e);
+  }
+  return reserved;
+};
+
+// Decorate product rows with reserved/available counts for listings
+export const withAvailability = async (products = []) => {
+  const reserved = await getReservedQuantities(products.map((p) => p?.id));
+  return products.map((p) => {
+    const reservedQty = reserved.get(String(p.id)) || 0;
+    const onHand = Number(p.quantity || 0);
+    return {
+      ...p,
+      reserved_quantity: reservedQty,
+      available_quantity: Math.max(0, onHand - reservedQty),
+    };
+  });
+};
+
+// PostgREST / Postgres codes for "function does not exist" (migration not applied yet)
+const MISSING_FUNCTION_CODES = ["PGRST202", "42883"];
+
+const unavailable = (cause) => {
+  const err = new Error("Stock reservations are temporarily unavailable; please try again");
+  err.code = "RESERVATION_UNAVAILABLE";
+  err.cause = cause;
+  return err;
+};
+
+// Merge duplicate product lines so each product is held once
+const aggregateLines = (lines = []) => {
+  const byId = new Map();
+  for (const l of lines) {
+    const pid = String(l.id ?? l.product_id);
+    byId.set(pid, (byId.get(pid) || 0) + Number(l.quantity || 0));
+  }
+  return Array.from(byId, ([product_id, quantity]) => ({ product_id, quantity }));
+};
+
+/**
+ * Place a hold on the given lines. Returns { holdId, expiresAt, error }.
+ * error.code === "INSUFFICIENT_STOCK" when another open session already holds the stock, or
+ * "RESERVATION_UNAVAILABLE" when the hold could not be placed safely (checkout should not proceed).
+ * Only the reserve_product_stock RPC is race-free; the check-then-insert fallback runs only while
+ * that function is missing (migration not applied).
+ */
+export const reserveStock = async (lines, { ttlMinutes = STOCK_HOLD_TTL_MINUTES } = {}) => {
+  const holdId = crypto.randomUUID();
+  const expiresAt = new Date(Date.now() + ttlMinutes * 60 * 1000).toISOString();
+  const items = aggregateLines(lines);
+
+  await releaseExpiredReservations();
+
+  // First attempt: DB RPC (locks product rows so concurrent sessions cannot oversell)
+  try {
+    const { error } = await supabase.rpc("reserve_product_stock", {
+      p_hold_id: holdId,
+      p_items: items,
+      p_expires_at: expiresAt,
+    });
+    if (!error) return { holdId, expiresAt, error: null };
+    if (error.message && error.message.toLowerCase().includes("insufficient")) {
+      const err = new Error(error.message);
+      err.code = "INSUFFICIENT_STOCK";
+      return { holdId: null, expiresAt: null, error: err };
+    }
+    if (!MISSING_FUNCTION_CODES.includes(error.code)) {
+      console.error("❌ reserve_product_stock RPC returned error:", error);
+      return { holdId: null, expiresAt: null, error: unavailable(error) };
+    }
+    console.warn("⚠️ reserve_product_stock RPC missing; apply the stock reservation migration. Using a non-atomic check");
+  } catch (rpcEx) {
+    console.error("❌ reserve_product_stock RPC threw exception:", rpcEx?.message || rpcEx);
+    return { holdId: null, expiresAt: null, error: unavailable(rpcEx) };
+  }
+
+  // Fallback while the RPC is missing: check-then-insert (not atomic, so a last unit can still oversell)
+  try {
+    const ids = items.map((i) => i.product_id);
+    const { data: products, error: prodErr } = await supabase
+      .from("product")
+      .select("id, quantity")
+      .in("id", ids);
+    if (prodErr) return { holdId: null, expiresAt: null, error: unavailable(prodErr) };
+    const onHand = new Map((products || []).map((p) => [String(p.id), Number(p.quantity || 0)]));
+    const reserved = await getReservedQuantities(ids, { strict: true });
+    for (const it of items) {
+      const available = (onHand.get(it.product_id) || 0) - (reserved.get(it.product_id) || 0);
+      if (available < it.quantity) {
+        const err = new Error(`Insufficient stock for product ${it.product_id}`);
+        err.code = "INSUFFICIENT_STOCK";
+        err.product_id = it.product_id;
+        err.available = Math.max(0, available);
+        return { holdId: null, expiresAt: null, error: err };
+      }
+    }
+    const { error: insErr } = await supabase
+      .from("stock_reservation")
+      .insert(items.map((it) => ({ hold_id: holdId, product_id: it.product_id, quantity: it.quantity, expires_at: expiresAt })));
+    if (insErr) return { holdId: null, expiresAt: null, error: unavailable(insErr) };
+    return { holdId, expiresAt, error: null };
+  } catch (err) {
+    console.error("❌ reserveStock unexpected error:", err);
+    return { holdId: null, expiresAt: null, error: unavailable(err) };
+  }
+};
+
+export const attachHoldToSession = async (holdId, stripeSessionId) => {
+  if (!holdId || !stripeSessionId) return;
+  const { error } = await supabase
+    .from("stock_reservation")
+    .update({ stripe_session_id: stripeSessionId })
+    .eq("hold_id", holdId);
+  if (error) console.warn("⚠️ attachHoldToSession failed:", error?.message || error);
+};
+
+// Look up by hold id when known, else by Stripe session id
+const holdQuery = (query, { holdId, stripeSessionId }) =>
+  holdId ? query.eq("hold_id", holdId) : query.eq("stripe_session_id", stripeSessionId);
+
+// Release an active hold (session expired / abandoned / creation failed)
+export const releaseHold = async ({ holdId, stripeSessionId } = {}) => {
+  if (!holdId && !stripeSessionId) return { released: 0 };
+  const { data, error } = await holdQuery(
+    supabase
+      .from("stock_reservation")
+      .update({ status: "released", released_at: new Date().toISOString() })
+      .eq("status", "active"),
+    { holdId, stripeSessionId }
+  ).select("id");
+  if (error) {
+    console.warn("⚠️ releaseHold failed:", error?.message || error);
+    return { released: 0, error };
+  }
+  return { released: (data || []).length };
+};
+
+// Mark a hold as converted once the real stock decrement has happened
+export const convertHold = async ({ holdId, stripeSessionId, orderId } = {}) => {
+  if (!holdId && !stripeSessionId) return { converted: 0 };
+  const { data, error } = await holdQuery(
+    supabase
+      .from("stock_reservation")
+      .update({ status: "converted", converted_at: new Date().toISOString(), order_id: orderId || null })
+      .in("status", ["active", "released"]),
+    { holdId, stripeSessionId }
+  ).select("id");
+  if (error) {
+    console.warn("⚠️ convertHold failed:", error?.message || error);
+    return { converted: 0, error };
+  }
+  return { converted: (data || []).length };
+};
+
+// Housekeeping: flip expired active holds to released (availability already ignores them)
+export const releaseExpiredReservations = async () => {
+  try {
+    const { data, error } = await supabase
+      .from("stock_reservation")
+      .update({ status: "released", released_at: new Date().toISOString() })
+      .eq("status", "active")
+      .lte("expires_at", new Date().toISOString())
+      .select("id");
+    if (error) throw error;
+    return (data || []).length;
+  } catch (e) {
+    console.warn("⚠️ releaseExpiredReservations failed:", e?.message || e);
+    return 0;
+  }
+};
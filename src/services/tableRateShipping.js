@@ -0,0 +1,82 @@
+// Table-rate shipping estimate (weight band × zone), used when Shippo cannot quote
+import dotenv from "dotenv";
+
+dotenv.config();
+
+// Upper bound of each weight band in ounces (billable weight per parcel)
+const DEFAULT_BANDS_OZ = [16, 32, 80, 160, 320, 640, 1120];
+// Dollars per parcel for each band. US zones 1–4 grow with distance from the warehouse;
+// "remote" is AK/HI/territories.
+const DEFAULT_ZONE_RATES = {
+  1: [6.5, 8, 11, 15, 22, 35, 55],
+  2: [7, 9, 13, 18, 27, 42, 65],
+  3: [8, 10.5, 15, 21, 32, 50, 78],
+  4: [9, 12, 17, 25, 38, 60, 95],
+  remote: [12, 16, 24, 35, 55, 85, 130],
+  CA: [18, 24, 32, 45, 65, 95, 140],
+  intl: [28, 36, 48, 65, 95, 140, 200],
+};
+
+// Override with SHIPPING_TABLE_RATES = { "bands_oz": [...], "zones": { "1": [...], ... } }
+const loadTable = () => {
+  const table = { bandsOz: DEFAULT_BANDS_OZ, zones: DEFAULT_ZONE_RATES };
+  if (!process.env.SHIPPING_TABLE_RATES) return table;
+  try {
+    const parsed = JSON.parse(process.env.SHIPPING_TABLE_RATES);
+    const bands = (parsed?.bands_oz || []).map(Number);
+    if (bands.length && bands.every((b) => Number.isFinite(b) && b > 0)) table.bandsOz = bands;
+    if (parsed?.zones && typeof parsed.zones === "object") table.zones = { ...DEFAULT_ZONE_RATES, ...parsed.zones };
+  } catch (e) {
+    console.warn("⚠️ SHIPPING_TABLE_RATES is not valid JSON; using defaults:", e?.message || e);
+  }
+  return table;
+};
+const TABLE = loadTable();
+
+const zip3 = (zip) => parseInt(String(zip || "").replace(/\D/g, "").slice(0, 3), 10);
+// 967/968 Hawaii, 969 Pacific territories, 995–999 Alaska, 006–009 Puerto Rico/VI
+const isRemoteUsZip = (z) => (z >= 967 && z <= 969) || z >= 995 || (z >= 6 && z <= 9);
+
+/**
+ * Approximate shipping zone. US ZIP prefixes are roughly geographic, so the distance between
+ * the first digits of origin and destination stands in for the carrier zone.
+ */
+export const shippingZoneFor = ({ country, zip }, originZip = process.env.SHIP_FROM_ZIP || process.env.WAREHOUSE_POSTAL_CODE || "89101") => {
+  const c = String(country || "US").toUpperCase();
+  if (c === "CA") return "CA";
+  if (c !== "US") return "intl";
+  const dest = zip3(zip);
+  if (!Number.isFinite(dest)) return "4";
+  if (isRemoteUsZip(dest)) return "remote";
+  const origin = zip3(originZip);
+  if (!Number.isFinite(origin)) return "4";
+  const diff = Math.abs(Math.floor(dest / 100) - Math.floor(origin / 100));
+  if (diff === 0) return "1";
+  if (diff === 1) return "2";
+  if (diff <= 3) return "3";
+  return "4";
+};
+
+const parcelPrice = (weightOz, rates) => {
+  const bands = TABLE.bandsOz;
+  const idx = bands.findIndex((max) => weightOz <= max);
+  if (idx >= 0) return Number(rates[Math.min(idx, rates.length - 1)]);
+  // Heavier than the top band: charge the top band per started multiple of it
+  const top = bands[bands.length - 1];
+  return Number(rates[Math.min(bands.length, rates.length) - 1]) * Math.ceil(weightOz / top);
+};
+
+/**
+ * Estimate the cost of shipping the given Shippo-style parcels ({ weight, massUnit: "oz" }).
+ * Returns { amount, zone, parcels: [{ weight_oz, amount }] } in dollars, before handling.
+ */
+export const estimateTableRate = ({ parcels = [], to = {} } = {}) => {
+  const zone = shippingZoneFor(to);
+  const rates = TABLE.zones[zone] || TABLE.zones["4"];
+  const priced = parcels.map((p) => {
+    const weightOz = Number(p.weight) || 0;
+    return { weight_oz: weightOz, amount: parcelPrice(weightOz, rates) };
+  });
+  const amount = Math.round(priced.reduce((acc, p) => acc + p.amount, 0) * 100) / 100;
+  return { amount, zone, parcels: priced };
+};
@@ -0,0 +1,75 @@
+// Persistent log of incoming webhook events (Stripe, Shippo) so failures can be inspected and replayed
+import supabase from "../../supabaseClient.js";
+
+const truncate = (s, n = 2000) => (s && s.length > n ? `${s.slice(0, n)}…` : s);
+
+/**
+ * Store the event (first delivery) or fetch the existing row (redelivery / replay).
+ * eventId defaults to the payload's id; providers without one pass a derived key.
+ * Returns the row, or null when the log is unavailable — logging never blocks processing.
+ */
+export const recordWebhookEvent = async (provider, event, eventId = event?.id || event?.object_id || null) => {
+  try {
+    if (eventId) {
+      const { data: existing, error: findErr } = await supabase
+        .from("webhook_event")
+        .select("*")
+        .eq("provider", provider)
+        .eq("event_id", eventId)
+        .limit(1);
+      if (findErr) throw findErr;
+      if (existing?.length) return existing[0];
+    }
+    const { data, error } = await supabase
+      .from("webhook_event")
+      .insert([{
+        provider,
+        event_id: eventId,
+        type: event?.type || event?.event || "unknown",
+        payload: event,
+        status: "received",
+        attempts: 0,
+      }])
+      .select()
+      .single();
+    if (error) throw error;
+    return data;
+  } catch (e) {
+    console.warn("⚠️ recordWebhookEvent failed (continuing without log):", e?.message || e);
+    return null;
+  }
+};
+
+export const markWebhookEventAttempt = async (row) => {
+  if (!row?.id) return row;
+  const { data, error } = await supabase
+    .from("webhook_event")
+    .update({
+      status: "processing",
+      attempts: Number(row.attempts || 0) + 1,
+      last_attempt_at: new Date().toISOString(),
+    })
+    .eq("id", row.id)
+    .select()
+    .single();
+  if (error) {
+    console.warn("⚠️ markWebhookEventAttempt failed:", error?.message || error);
+    return row;
+  }
+  return data;
+};
+
+// status: processed | ignored | failed
+export const markWebhookEventResult = async (row, { status, error = null, result = null }) => {
+  if (!row?.id) return;
+  const { error: updErr } = await supabase
+    .from("webhook_event")
+    .update({
+      status,
+      error: error ? truncate(String(error?.message || error)) : null,
+      result,
+      ...(status === "processed" || status === "ignored" ? { processed_at: new Date().toISOString() } : {}),
+    })
+    .eq("id", row.id);
+  if (updErr) console.warn("⚠️ markWebhookEventResult failed:", updErr?.message || updErr);
+};
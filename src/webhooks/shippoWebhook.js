@@ -0,0 +1,186 @@
+import dotenv from "dotenv";
+import supabase from "../../supabaseClient.js";
+import sendEmail from "../services/emailServices.js";
+import { recordWebhookEvent, markWebhookEventAttempt, markWebhookEventResult } from "../services/webhookEventLog.js";
+import { ORDER_STATUS, canTransition, systemActor, transitionOrder } from "../services/orderLifecycle.js";
+
+dotenv.config();
+
+// Shippo tracking status → our tracking_status
+const mapTrackingStatus = (trackingStatus) => {
+  const status = String(trackingStatus?.status || "").toUpperCase();
+  const substatus = String(trackingStatus?.substatus?.code || "").toLowerCase();
+  if (status === "PRE_TRANSIT") return "pre_transit";
+  if (status === "TRANSIT") return substatus === "out_for_delivery" ? "out_for_delivery" : "in_transit";
+  if (status === "DELIVERED") return "delivered";
+  if (status === "RETURNED" || status === "FAILURE") return "exception";
+  return null;
+};
+
+// Order status each tracking state implies; only applied when the lifecycle allows the move
+const ORDER_STATUS_FOR = {
+  in_transit: ORDER_STATUS.SHIPPED,
+  out_for_delivery: ORDER_STATUS.SHIPPED,
+  delivered: ORDER_STATUS.DELIVERED,
+};
+
+const formatLocation = (loc) =>
+  loc ? [loc.city, loc.state, loc.zip, loc.country].filter(Boolean).join(", ") || null : null;
+
+const toHistoryEntry = (h) => ({
+  status: mapTrackingStatus(h) || String(h?.status || "").toLowerCase() || null,
+  carrier_status: h?.status || null,
+  substatus: h?.substatus?.code || null,
+  details: h?.status_details || null,
+  date: h?.status_date || null,
+  location: formatLocation(h?.location),
+});
+
+// Shippo sends no event id; tracking number + status + timestamp identifies an update
+const shippoEventKey = (event) => {
+  const d = event?.data || {};
+  if (!d.tracking_number) return null;
+  return `${d.tracking_number}:${d.tracking_status?.status || ""}:${d.tracking_status?.status_date || ""}`;
+};
+
+const findOrderForTracking = async ({ transaction, tracking_number }) => {
+  const transactionId = typeof transaction === "string" ? transaction : transaction?.object_id;
+  for (const [column, value] of [["shippo_transaction_id", transactionId], ["tracking_code", tracking_number]]) {
+    if (!value) continue;
+    const { data, error } = await supabase.from("order").select("*").eq(column, value).limit(1);
+    if (error) throw error;
+    if (data?.length) return data[0];
+  }
+  return null;
+};
+
+const TRANSITION_EMAILS = {
+  out_for_delivery: (order) => ({
+    subject: "Your Diva Order Is Out for Delivery!",
+    html: `<p>Good news 💅 Your order <b>${order.id}</b> is out for delivery today.<br>Tracking number: <b>${order.tracking_code}</b></p>`,
+  }),
+  delivered: (order) => ({
+    subject: "Your Diva Order Has Been Delivered",
+    html: `<p>Your order <b>${order.id}</b> has been delivered. Enjoy! 💅<br>Tracking number: <b>${order.tracking_code}</b></p>`,
+  }),
+  exception: (order, details) => ({
+    subject: "There's an Issue With Your Diva Order Delivery",
+    html: `<p>The carrier reported a problem delivering your order <b>${order.id}</b>${details ? `: ${details}` : "."}<br>
+      Tracking number: <b>${order.tracking_code}</b><br>
+      If you have any questions, please contact us at <a href="mailto:support@divafactorynails.com">support@divafactorynails.com</a>.</p>`,
+  }),
+};
+
+/**
+ * track_updated: store the tracking state + history on the order and advance its status.
+ * Shippo resends full history each time, so replaying an update is harmless.
+ */
+const processTrackUpdated = async (data) => {
+  const order = await findOrderForTracking(data);
+  if (!order) {
+    if (process.env.NODE_ENV !== 'production') console.log("ℹ️ Shippo track_updated: no order for", data?.tracking_number);
+    return { status: "ignored", result: { reason: "order_not_found" } };
+  }
+
+  const trackingStatus = mapTrackingStatus(data.tracking_status);
+  if (!trackingStatus) return { status: "ignored", result: { order_id: order.id, reason: "unknown_status" } };
+
+  // Carriers can deliver updates out of order; never let an older scan overwrite a newer one
+  const statusDate = data.tracking_status?.status_date || new Date().toISOString();
+  if (order.tracking_status_at && Date.parse(statusDate) < Date.parse(order.tracking_status_at)) {
+    return { status: "ignored", result: { order_id: order.id, reason: "stale_update" } };
+  }
+
+  const changed = order.tracking_status !== trackingStatus;
+  const update = {
+    tracking_status: trackingStatus,
+    tracking_status_at: statusDate,
+    tracking_history: (data.tracking_history || []).map(toHistoryEntry),
+    ...(data.carrier && !order.carrier ? { carrier: data.carrier } : {}),
+  };
+  if (trackingStatus === "delivered" && !order.delivered_at) update.delivered_at = statusDate;
+
+  const next = ORDER_STATUS_FOR[trackingStatus];
+  let updated;
+  if (next && canTransition(order, next)) {
+    const { data, error } = await transitionOrder(order, next, {
+      actor: systemActor("shippo"),
+      reason: `Carrier scan: ${trackingStatus}`,
+      fields: update,
+    });
+    if (error) throw error;
+    updated = data;
+  } else {
+    const { data, error } = await supabase
+      .from("order")
+      .update(update)
+      .eq("id", order.id)
+      .select()
+      .single();
+    if (error) throw error;
+    updated = data;
+  }
+
+  const buildEmail = changed && TRANSITION_EMAILS[trackingStatus];
+  if (buildEmail && updated.email) {
+    try {
+      const { subject, html } = buildEmail(updated, data.tracking_status?.status_details);
+      await sendEmail(updated.email, subject, html);
+      if (process.env.NODE_ENV !== 'production') console.log(`📬 Tracking email (${trackingStatus}) sent to`, updated.email);
+    } catch (err) {
+      console.error("❌ Failed to send tracking update email:", err);
+    }
+  }
+
+  return {
+    status: "processed",
+    result: { order_id: order.id, tracking_status: trackingStatus, order_status: updated.status },
+  };
+};
+
+const dispatchShippoEvent = async (event) => {
+  if (event?.event === "track_updated") return processTrackUpdated(event.data || {});
+  if (process.env.NODE_ENV !== 'production') console.log(`ℹ️ Ignoring Shippo event: ${event?.event}`);
+  return { status: "ignored", result: {} };
+};
+
+// Same contract as runStripeEvent: log, run, record outcome. Returns { result, error, record }.
+export const runShippoEvent = async (event, { force = false } = {}) => {
+  let record = await recordWebhookEvent("shippo", event, shippoEventKey(event));
+  if (!force && record && (record.status === "processed" || record.status === "ignored")) {
+    return { result: { ...(record.result || {}), duplicate: true }, error: null, record };
+  }
+
+  record = await markWebhookEventAttempt(record);
+  try {
+    const { status, result } = await dispatchShippoEvent(event);
+    await markWebhookEventResult(record, { status, result });
+    return { result, error: null, record };
+  } catch (error) {
+    if (process.env.NODE_ENV !== 'production') console.error("❌ Error handling Shippo event:", error?.message || error);
+    await markWebhookEventResult(record, { status: "failed", error });
+    return { result: null, error, record };
+  }
+};
+
+// ✅ Shippo Webhook Handler
+// Shippo does not sign webhooks, so the URL registered in Shippo carries ?token=SHIPPO_WEBHOOK_TOKEN
+export const shippoWebhookHandler = async (req, res) => {
+  const expected = process.env.SHIPPO_WEBHOOK_TOKEN;
+  if (expected) {
+    if (req.query?.token !== expected) return res.status(401).json({ message: "Invalid webhook token" });
+  } else if (process.env.NODE_ENV !== 'production') {
+    console.warn("⚠️ SHIPPO_WEBHOOK_TOKEN not set; accepting unauthenticated Shippo webhook (dev only)");
+  } else {
+    return res.status(503).json({ message: "Shippo webhook not configured" });
+  }
+
+  const event = req.body;
+  if (!event || typeof event !== "object" || !event.event) {
+    return res.status(400).json({ message: "Invalid Shippo webhook payload" });
+  }
+
+  const { result, error } = await runShippoEvent(event);
+  if (error) return res.status(500).send("Internal Server Error");
+  return res.status(200).json({ received: true, ...result });
+};
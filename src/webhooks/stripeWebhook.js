@@ -2,11 +2,18 @@ import Stripe from "stripe";
 import dotenv from "dotenv";
 import supabase from "../../supabaseClient.js";
 import { decrementProductQuantity } from "../controllers/productController.js";
-import { shippoClient } from "../shippoClient.js"; // NEW
 import sendEmail from "../services/emailServices.js";
+import { convertHold, releaseHold } from "../services/stockReservationService.js";
+import { purchaseLabelForOrder, cancelQueuedLabel } from "../services/labelPurchaseService.js";
+import { planPacking } from "../routes/shippingQuote.js";
+import { recordWebhookEvent, markWebhookEventAttempt, markWebhookEventResult } from "../services/webhookEventLog.js";
+import { invoiceAttachment } from "../services/orderDocuments.js";
+import { restockOrderOnce } from "../services/orderRestock.js";
+import { ORDER_STATUS, recordStatusChange, systemActor, transitionOrder } from "../services/orderLifecycle.js";
 
 dotenv.config();
 const stripe = new Stripe(process.env.STRIPE_SECRET_KEY, { apiVersion: "2022-11-15" });
+const ADMIN_EMAIL = process.env.ADMIN_EMAIL || "support@divafactorynails.com";
 
 // ✅ Stripe Webhook Handler
 export const stripeWebhookHandler = async (req, res) => {
@@ -38,26 +45,75 @@ export const stripeWebhookHandler = async (req, res) => {
     return res.status(400).send(`Webhook Error: ${error?.message || error}`);
   }
 
-  try {
-    if (event.type === "checkout.session.completed") {
-      const session = event.data.object || event.object || {};
-  if (process.env.NODE_ENV !== 'production') {
-    console.log("📝 Raw session.id:", session.id, "has metadata?", !!session.metadata);
-    console.log("📝 session.metadata:", session.metadata);
-  }
-  // Preview raw body length for signature context
-  if (process.env.NODE_ENV !== 'production') console.log("📝 Raw body length:", Buffer.isBuffer(req.body) ? req.body.length : (typeof req.body === 'string' ? req.body.length : 'n/a'));
-      const inserted = await processCheckoutSession(session); // ← no res passed
-
-      if (process.env.NODE_ENV !== 'production') console.log("📦 Webhook metadata received:", session?.metadata || null);
-      return res.status(200).json({ received: true, order_id: inserted?.id || null });
+  const { result, error } = await runStripeEvent(event);
+  if (error) return res.status(500).send("Internal Server Error");
+  return res.status(200).json({ received: true, ...result });
+};
+
+// Route a Stripe event to its processor. Every processor is safe to run again for the same event.
+const dispatchStripeEvent = async (event) => {
+  if (event.type === "checkout.session.completed") {
+    const session = event.data.object || event.object || {};
+    if (process.env.NODE_ENV !== 'production') {
+      console.log("📝 Raw session.id:", session.id, "has metadata?", !!session.metadata);
+      console.log("📝 session.metadata:", session.metadata);
     }
+    const inserted = await processCheckoutSession(session);
+    return { status: "processed", result: { order_id: inserted?.id || null } };
+  }
+
+  if (event.type === "checkout.session.expired") {
+    // Shopper abandoned the session: give held stock back right away instead of waiting for the TTL
+    const session = event.data.object || {};
+    const { released } = await releaseHold({
+      holdId: session?.metadata?.stock_hold_id,
+      stripeSessionId: session?.id,
+    });
+    if (process.env.NODE_ENV !== 'production') console.log(`🔓 Released ${released} stock hold(s) for expired session`, session?.id);
+    const order = await recordCheckoutSessionOutcome(session, "expired");
+    return { status: "processed", result: { released, order_id: order?.id || null } };
+  }
+
+  if (event.type === "checkout.session.async_payment_failed") {
+    const order = await recordCheckoutSessionOutcome(event.data.object || {}, "failed");
+    return { status: "processed", result: { order_id: order?.id || null } };
+  }
+
+  if (event.type === "charge.refunded") {
+    const order = await processChargeRefunded(event.data.object || {});
+    return { status: "processed", result: { order_id: order?.id || null } };
+  }
+
+  if (event.type === "charge.dispute.created" || event.type === "charge.dispute.closed") {
+    const order = await processDisputeEvent(event.data.object || {}, event.type);
+    return { status: "processed", result: { order_id: order?.id || null } };
+  }
 
-    if (process.env.NODE_ENV !== 'production') console.log(`ℹ️ Ignoring event type: ${event.type}`);
-    return res.status(200).json({ received: true });
+  if (process.env.NODE_ENV !== 'production') console.log(`ℹ️ Ignoring event type: ${event.type}`);
+  return { status: "ignored", result: {} };
+};
+
+/**
+ * Log the event to webhook_event, run it and record the outcome.
+ * Stripe redeliveries of an already-processed event are acknowledged without re-running;
+ * `force` (admin replay) always re-runs. Returns { result, error, record }.
+ */
+export const runStripeEvent = async (event, { force = false } = {}) => {
+  let record = await recordWebhookEvent("stripe", event);
+  if (!force && record && (record.status === "processed" || record.status === "ignored")) {
+    if (process.env.NODE_ENV !== 'production') console.log("🛑 Stripe event already processed:", event?.id);
+    return { result: { ...(record.result || {}), duplicate: true }, error: null, record };
+  }
+
+  record = await markWebhookEventAttempt(record);
+  try {
+    const { status, result } = await dispatchStripeEvent(event);
+    await markWebhookEventResult(record, { status, result });
+    return { result, error: null, record };
   } catch (error) {
     if (process.env.NODE_ENV !== 'production') console.error("❌ Error handling Stripe event:", error?.message || error);
-    return res.status(500).send("Internal Server Error");
+    await markWebhookEventResult(record, { status: "failed", error });
+    return { result: null, error, record };
   }
 };
 
@@ -178,9 +234,6 @@ const extractShippingInfo = (session) => {
   return null;
 };
 
-const generateTrackingCode = () =>
-  `TRK-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
-
 // ---------- Core ----------
 
 /**
@@ -191,6 +244,7 @@ const processCheckoutSession = async (session) => {
   if (process.env.NODE_ENV !== 'production') console.log("📦 Processing session:", session?.id);
 
   // 🔁 Idempotency: if an order already exists for this Stripe session, return it
+  let existingOrder = null;
   if (session?.id) {
     try {
       const { data: existingRows, error: existingErr } = await supabase
@@ -199,13 +253,21 @@ const processCheckoutSession = async (session) => {
         .eq("stripe_session_id", session.id)
         .limit(1);
       if (!existingErr && Array.isArray(existingRows) && existingRows.length) {
-        if (process.env.NODE_ENV !== 'production') console.log("🛑 Duplicate webhook: order already exists for session", session.id, "order id", existingRows[0].id);
-        return existingRows[0];
+        existingOrder = existingRows[0];
       }
     } catch (e) {
       if (process.env.NODE_ENV !== 'production') console.warn("⚠️ Idempotency check failed (continuing):", e?.message || e);
     }
   }
+  if (existingOrder) {
+    if (process.env.NODE_ENV !== 'production') console.log("🛑 Duplicate webhook: order already exists for session", session.id, "order id", existingOrder.id);
+    // A previous run may have stopped before every line was decremented: finish that part only
+    const { failed } = await finishStockDecrement(existingOrder.id, session);
+    if (failed.length) {
+      throw new Error(`Stock decrement failed for order ${existingOrder.id}: ${failed.map((f) => `${f.product_id} (${f.error})`).join(", ")}`);
+    }
+    return existingOrder;
+  }
 
   // Email required for your order row
   const email = extractEmail(session);
@@ -294,40 +356,13 @@ const processCheckoutSession = async (session) => {
     ? session.payment_intent
     : (session?.payment_intent?.id || null);
 
-  let tracking_code = generateTrackingCode();
-  let tracking_url = null;
-  let label_url = null;
-  let carrier = null;
-  let service = null;
-  let shippo_transaction_id = null;
-
-  // Attempt label purchase if shipment + rate present
-  if (shippo_shipment_id && shippo_rate_id && shippoClient) {
-    try {
-      const transaction = await shippoClient.transactions.create({
-        rate: shippo_rate_id,
-        labelFileType: "PDF",
-        async: false,
-      });
-      shippo_transaction_id = transaction?.objectId || null;
-      if (transaction?.status === "SUCCESS") {
-        tracking_code = transaction.trackingNumber || tracking_code;
-        tracking_url = transaction.trackingUrlProvider || null;
-        label_url = transaction.labelUrl || transaction.labelFile || null;
-        carrier = transaction.provider || null;
-        service = transaction.servicelevel?.name || transaction.servicelevel?.token || null;
-      } else {
-        console.warn("⚠️ Shippo transaction not successful:", transaction?.status, transaction?.messages);
-      }
-    } catch (e) {
-      console.error("❌ Shippo label purchase failed:", e?.message || e);
-    }
-  }
+  // The label is bought by the label queue after the order exists (see labelPurchaseService)
+  const labelQueued = Boolean(shippo_shipment_id && shippo_rate_id);
 
   const payload = {
     email,
     user_id,
-    status: "Pending",
+    status: ORDER_STATUS.PENDING,
     shipping_info, // jsonb
     subtotal,
     tax_amount,
@@ -338,14 +373,11 @@ const processCheckoutSession = async (session) => {
     shipping_fee,
     total_amount, // dollars
   points_used, // ADD: persist loyalty points consumed
-    tracking_code,
-    tracking_url,
-    label_url,
-    carrier,
-    service,
+    tracking_code: "Processing",
     shippo_shipment_id,
     shippo_rate_id,
-    shippo_transaction_id,
+    label_status: labelQueued ? "queued" : null,
+    label_next_attempt_at: labelQueued ? new Date().toISOString() : null,
     stripe_session_id,            // NEW
     stripe_payment_intent_id,     // NEW
     ...flatAddress,
@@ -369,6 +401,7 @@ const processCheckoutSession = async (session) => {
   }
 
   if (process.env.NODE_ENV !== 'production') console.log("✅ Order inserted:", inserted?.id);
+  await recordStatusChange(inserted.id, null, inserted.status, systemActor("stripe"), "Checkout completed");
 
   // ----- Optional: create order_items + decrement stock -----
   const items = await parseItemsFromSession(session);
@@ -389,32 +422,29 @@ const processCheckoutSession = async (session) => {
       throw new Error("Failed to create order items");
     }
 
-    // decrement inventory
-    for (const it of items) {
-      try {
-        const qty = Number(it.quantity || 1);
-  if (process.env.NODE_ENV !== 'production') console.log("🛠 Attempting decrement for product", it.id, "qty", qty);
-        const { error: decErr } = await decrementProductQuantity(it.id, qty);
-        if (decErr) {
-          console.warn("⚠️ decrementProductQuantity error for", it.id, decErr);
-        } else {
-          if (process.env.NODE_ENV !== 'production') console.log(`✅ Decremented stock for product ${it.id} by ${qty}`);
-        }
-      } catch (err) {
-        if (process.env.NODE_ENV !== 'production') console.error("❌ Exception decrementing product", it.id, err);
-      }
+    // Record how the cart splits into boxes so fulfilment packs the way it was rated
+    try {
+      const packing = await planPacking(items);
+      await supabase.from("order").update({ packing }).eq("id", inserted.id);
+    } catch (e) {
+      console.warn("⚠️ Could not record packing plan:", e?.message || e);
     }
   } else {
     if (process.env.NODE_ENV !== 'production') console.log("ℹ️ No items to create for order_items (metadata.items missing).");
   }
 
+  // Failed decrements are retried on redelivery/replay; the order itself stays in place
+  const { failed: decrementFailures } = await finishStockDecrement(inserted.id, session);
+
   // After successful order insert
   if (inserted && inserted.email) {
     // Send order confirmation to customer
     try {
       const subject = "Your Diva Order Confirmation";
-      const htmlContent = `<p>Thank you for your order 💅!<br>Order ID: <b>${inserted.id}</b><br>Total: $${inserted.total_amount?.toFixed(2) || "N/A"}</p>`;
-      await sendEmail(inserted.email, subject, htmlContent);
+      // Rendered after order_items are in place so the invoice lists them
+      const invoice = await invoiceAttachment(inserted.id);
+      const htmlContent = `<p>Thank you for your order 💅!<br>Order ID: <b>${inserted.id}</b><br>Total: $${inserted.total_amount?.toFixed(2) || "N/A"}${invoice ? "<br>Your invoice is attached." : ""}</p>`;
+      await sendEmail(inserted.email, subject, htmlContent, undefined, invoice ? [invoice] : undefined);
       if (process.env.NODE_ENV !== 'production') console.log("✅ Order confirmation email sent to", inserted.email);
     } catch (err) {
       if (process.env.NODE_ENV !== 'production') console.error("❌ Failed to send order confirmation email:", err);
@@ -423,7 +453,10 @@ const processCheckoutSession = async (session) => {
     try {
       const adminEmail = process.env.ADMIN_EMAIL || "support@divafactorynails.com";
       const subject = "New Order Placed (Stripe Checkout)";
-      const htmlContent = `<p>A new order has been placed via Stripe Checkout.<br>Order ID: <b>${inserted.id}</b><br>Customer: ${inserted.email}<br>Total: $${inserted.total_amount?.toFixed(2) || "N/A"}</p>`;
+      const estimatedNote = session?.metadata?.shipping_estimated === "true"
+        ? "<br><b>Shipping was an estimate (Shippo unavailable at checkout); buy the label manually.</b>"
+        : "";
+      const htmlContent = `<p>A new order has been placed via Stripe Checkout.<br>Order ID: <b>${inserted.id}</b><br>Customer: ${inserted.email}<br>Total: $${inserted.total_amount?.toFixed(2) || "N/A"}${estimatedNote}</p>`;
       await sendEmail(adminEmail, subject, htmlContent);
       if (process.env.NODE_ENV !== 'production') console.log("✅ Admin notified of new Stripe order at", adminEmail);
     } catch (err) {
@@ -431,5 +464,243 @@ const processCheckoutSession = async (session) => {
     }
   }
 
+  // Processing fee for bookkeeping exports; not needed to fulfil the order
+  if (inserted.stripe_payment_intent_id) {
+    recordStripeFee(inserted.id, inserted.stripe_payment_intent_id).catch((e) =>
+      console.warn("⚠️ Could not record Stripe fee:", e?.message || e)
+    );
+  }
+
+  // First label attempt right away; failures are retried by the label queue worker
+  if (labelQueued) {
+    purchaseLabelForOrder(inserted.id).catch((e) =>
+      console.warn("⚠️ Initial label purchase failed (queued for retry):", e?.message || e)
+    );
+  }
+
+  if (decrementFailures.length) {
+    throw new Error(`Stock decrement failed for order ${inserted.id}: ${decrementFailures.map((f) => `${f.product_id} (${f.error})`).join(", ")}`);
+  }
   return inserted;
 };
+
+/**
+ * Decrement stock for this order's lines that have not been decremented yet
+ * (order_item.stock_decremented_at), so re-running an event never decrements twice.
+ * The checkout hold is converted only once every line is done.
+ */
+const finishStockDecrement = async (orderId, session) => {
+  const { data: pending, error } = await supabase
+    .from("order_item")
+    .select("id, product_id, quantity")
+    .eq("order_id", orderId)
+    .is("stock_decremented_at", null);
+  if (error) throw error;
+
+  const failed = [];
+  for (const it of pending || []) {
+    const qty = Number(it.quantity || 1);
+    try {
+      if (process.env.NODE_ENV !== 'production') console.log("🛠 Attempting decrement for product", it.product_id, "qty", qty);
+      const { error: decErr } = await decrementProductQuantity(it.product_id, qty);
+      if (decErr) throw decErr;
+      const { error: markErr } = await supabase
+        .from("order_item")
+        .update({ stock_decremented_at: new Date().toISOString() })
+        .eq("id", it.id);
+      if (markErr) console.warn("⚠️ Could not mark order_item as decremented:", it.id, markErr);
+      if (process.env.NODE_ENV !== 'production') console.log(`✅ Decremented stock for product ${it.product_id} by ${qty}`);
+    } catch (err) {
+      console.warn("⚠️ decrementProductQuantity error for", it.product_id, err?.message || err);
+      failed.push({ product_id: it.product_id, error: err?.message || String(err) });
+    }
+  }
+
+  if (!failed.length) {
+    // Stock is now really decremented, so the checkout hold no longer counts against availability
+    await convertHold({
+      holdId: session?.metadata?.stock_hold_id,
+      stripeSessionId: session?.id,
+      orderId,
+    });
+  }
+  return { failed };
+};
+
+// ---------- Refunds / disputes / failed payments ----------
+
+const findOrderByPaymentIntent = async (paymentIntentId) => {
+  if (!paymentIntentId) return null;
+  const { data, error } = await supabase
+    .from("order")
+    .select("*")
+    .eq("stripe_payment_intent_id", paymentIntentId)
+    .limit(1);
+  if (error) throw error;
+  return data?.[0] || null;
+};
+
+const findOrderBySessionId = async (sessionId) => {
+  if (!sessionId) return null;
+  const { data, error } = await supabase
+    .from("order")
+    .select("*")
+    .eq("stripe_session_id", sessionId)
+    .limit(1);
+  if (error) throw error;
+  return data?.[0] || null;
+};
+
+// Stripe's fee for the charge (from its balance transaction), stored on the order in dollars
+export const recordStripeFee = async (orderId, paymentIntentId) => {
+  const pi = await stripe.paymentIntents.retrieve(paymentIntentId, { expand: ["latest_charge.balance_transaction"] });
+  const bt = pi?.latest_charge?.balance_transaction;
+  if (!bt || typeof bt !== "object" || !Number.isFinite(Number(bt.fee))) return null;
+  const stripe_fee = Number(bt.fee) / 100;
+  const { error } = await supabase.from("order").update({ stripe_fee }).eq("id", orderId);
+  if (error) throw error;
+  return stripe_fee;
+};
+
+const paymentIntentIdOf = (obj) =>
+  typeof obj?.payment_intent === "string" ? obj.payment_intent : (obj?.payment_intent?.id || null);
+
+const notifyAdmin = async (subject, htmlContent) => {
+  try {
+    await sendEmail(ADMIN_EMAIL, subject, htmlContent);
+  } catch (err) {
+    if (process.env.NODE_ENV !== 'production') console.error("❌ Failed to send admin notification:", err);
+  }
+};
+
+/**
+ * charge.refunded fires for full and partial refunds made anywhere (including the dashboard).
+ * amount_refunded is cumulative, so replaying the event is harmless.
+ */
+const processChargeRefunded = async (charge) => {
+  const order = await findOrderByPaymentIntent(paymentIntentIdOf(charge));
+  if (!order) {
+    console.warn("⚠️ charge.refunded: no order for payment_intent", paymentIntentIdOf(charge));
+    return null;
+  }
+
+  const refundedCents = Number(charge.amount_refunded || 0);
+  const fullyRefunded = charge.refunded === true || refundedCents >= Number(charge.amount || 0);
+  const update = {
+    refund_amount: refundedCents / 100,
+    refund_status: fullyRefunded ? "refunded" : "partially_refunded",
+    refunded_at: new Date().toISOString(),
+  };
+  let updated;
+  if (fullyRefunded) {
+    const { data, error } = await transitionOrder(order, ORDER_STATUS.REFUNDED, {
+      actor: systemActor("stripe"),
+      reason: `charge.refunded ${charge.id || ""}`.trim(),
+      fields: update,
+    });
+    if (error) throw error;
+    updated = data;
+  } else {
+    const { data, error } = await supabase
+      .from("order")
+      .update(update)
+      .eq("id", order.id)
+      .select()
+      .single();
+    if (error) throw error;
+    updated = data;
+  }
+
+  if (fullyRefunded) {
+    await cancelQueuedLabel(order.id);
+    const { success: restocked } = await restockOrderOnce(order);
+    if (process.env.NODE_ENV !== 'production') console.log(`🔄 Order ${order.id} fully refunded; restocked ${restocked} line(s)`);
+  } else if (process.env.NODE_ENV !== 'production') {
+    console.log(`💸 Order ${order.id} partially refunded: $${update.refund_amount.toFixed(2)}`);
+  }
+  return updated;
+};
+
+// charge.dispute.created / charge.dispute.closed: flag the order and tell an admin
+const processDisputeEvent = async (dispute, type) => {
+  let paymentIntentId = paymentIntentIdOf(dispute);
+  if (!paymentIntentId && dispute?.charge) {
+    try {
+      const chargeId = typeof dispute.charge === "string" ? dispute.charge : dispute.charge.id;
+      paymentIntentId = paymentIntentIdOf(await stripe.charges.retrieve(chargeId));
+    } catch (e) {
+      console.warn("⚠️ Could not resolve payment_intent for dispute", dispute?.id, e?.message || e);
+    }
+  }
+  const order = await findOrderByPaymentIntent(paymentIntentId);
+
+  const opened = type === "charge.dispute.created";
+  const amount = Number(dispute?.amount || 0) / 100;
+  if (order) {
+    const { error } = await supabase
+      .from("order")
+      .update({
+        dispute_id: dispute.id || null,
+        dispute_status: dispute.status || (opened ? "needs_response" : "closed"),
+        dispute_reason: dispute.reason || null,
+        dispute_amount: amount,
+        ...(opened ? { disputed_at: new Date().toISOString() } : { dispute_closed_at: new Date().toISOString() }),
+      })
+      .eq("id", order.id);
+    if (error) throw error;
+  } else {
+    console.warn(`⚠️ ${type}: no order for payment_intent`, paymentIntentId);
+  }
+
+  const subject = opened
+    ? `Dispute opened${order ? ` for order ${order.id}` : ""}`
+    : `Dispute closed (${dispute.status || "closed"})${order ? ` for order ${order.id}` : ""}`;
+  const htmlContent = `<p>${opened ? "A customer opened a dispute." : "A dispute was closed."}<br>
+    Order ID: <b>${order?.id || "not found"}</b><br>
+    Customer: ${order?.email || "N/A"}<br>
+    Dispute: ${dispute.id || "N/A"} (${dispute.reason || "no reason"}, status ${dispute.status || "N/A"})<br>
+    Amount: $${amount.toFixed(2)}${opened && dispute?.evidence_details?.due_by ? `<br>Evidence due: ${new Date(dispute.evidence_details.due_by * 1000).toISOString()}` : ""}</p>`;
+  await notifyAdmin(subject, htmlContent);
+  return order;
+};
+
+/**
+ * checkout.session.async_payment_failed / checkout.session.expired.
+ * An order only exists if checkout.session.completed already ran (delayed payment methods);
+ * in that case the failed payment cancels it and puts the stock back.
+ */
+const recordCheckoutSessionOutcome = async (session, outcome) => {
+  const order = await findOrderBySessionId(session?.id);
+  if (!order) {
+    if (process.env.NODE_ENV !== 'production') console.log(`ℹ️ Checkout session ${session?.id} ${outcome}; no order to update`);
+    return null;
+  }
+  if (outcome === "failed") {
+    const { changed, error } = await transitionOrder(order, ORDER_STATUS.CANCELED, {
+      actor: systemActor("stripe"),
+      reason: "Delayed payment failed",
+      fields: { stripe_payment_status: outcome, payment_failed_at: new Date().toISOString() },
+    });
+    // An order that already shipped can't be canceled; leave it for an admin and still flag the payment
+    if (error?.code === "ILLEGAL_TRANSITION") {
+      await supabase.from("order").update({ stripe_payment_status: outcome }).eq("id", order.id);
+      await notifyAdmin(
+        `Payment failed on ${order.status} order ${order.id}`,
+        `<p>The delayed payment for order <b>${order.id}</b> (${order.email || "unknown customer"}) failed, but the order is already ${order.status} so it was not canceled or restocked. Please follow up with the customer manually.</p>`
+      );
+    } else if (error) {
+      throw error;
+    } else if (changed) {
+      await cancelQueuedLabel(order.id);
+      await restockOrderOnce(order);
+      await notifyAdmin(
+        `Payment failed for order ${order.id}`,
+        `<p>The delayed payment for order <b>${order.id}</b> (${order.email || "unknown customer"}) failed. The order was canceled and restocked.</p>`
+      );
+    }
+  } else {
+    const { error } = await supabase.from("order").update({ stripe_payment_status: outcome }).eq("id", order.id);
+    if (error) throw error;
+  }
+  return order;
+};